@@ -0,0 +1,30 @@
+// Request limits per route group. Each can be overridden with
+// RATE_LIMIT_<GROUP>_WINDOW_MS and RATE_LIMIT_<GROUP>_MAX, e.g. RATE_LIMIT_PUBLIC_READ_MAX=600.
+const MINUTE = 60 * 1000
+
+const defaults = {
+  // Sign-in, registration and account recovery
+  auth: { env: 'AUTH', windowMs: 15 * MINUTE, max: 50 },
+  // Anonymous reads of articles, comments and feeds
+  publicRead: { env: 'PUBLIC_READ', windowMs: MINUTE, max: 300 },
+  // Anonymous likes
+  publicLike: { env: 'PUBLIC_LIKE', windowMs: 60 * MINUTE, max: 60 },
+  // Image uploads, including fetch-by-URL
+  upload: { env: 'UPLOAD', windowMs: 15 * MINUTE, max: 30 }
+}
+
+const getRateLimit = (group) => {
+  const config = defaults[group]
+  if (!config) {
+    throw new Error(`Unknown rate limit group '${group}'`)
+  }
+  return {
+    windowMs: parseInt(process.env[`RATE_LIMIT_${config.env}_WINDOW_MS`]) || config.windowMs,
+    max: parseInt(process.env[`RATE_LIMIT_${config.env}_MAX`]) || config.max
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_GROUPS: Object.keys(defaults),
+  getRateLimit
+}
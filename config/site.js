@@ -0,0 +1,27 @@
+// Public-facing site settings used to build absolute URLs in feeds and sitemaps
+const trimSlash = (url) => url.replace(/\/+$/, '')
+
+const site = {
+  title: process.env.SITE_TITLE || 'Blog',
+  description: process.env.SITE_DESCRIPTION || '',
+  language: process.env.SITE_LANGUAGE || 'en',
+  // Frontend that renders articles at /article/:slug
+  url: trimSlash(process.env.SITE_URL || process.env.CORS_ORIGIN || 'http://localhost:3000'),
+  // This API, which serves /uploads and the feeds themselves
+  apiUrl: trimSlash(process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`),
+  // Frontend listing pages linked from the sitemap
+  paths: {
+    category: process.env.SITE_CATEGORY_PATH || '/category',
+    tag: process.env.SITE_TAG_PATH || '/tag',
+    author: process.env.SITE_AUTHOR_PATH || '/author'
+  }
+}
+
+// Make a site-relative or upload path absolute; absolute URLs pass through
+site.absoluteUrl = (path, base = site.url) => {
+  if (!path) return ''
+  if (/^https?:\/\//i.test(path)) return path
+  return `${base}${path.startsWith('/') ? '' : '/'}${path}`
+}
+
+module.exports = site
@@ -0,0 +1,123 @@
+const User = require('../models/User')
+const AuditLog = require('../models/AuditLog')
+const { validationResult } = require('express-validator')
+const { buildAccountExport, deleteAccount: removeAccount } = require('../services/accountData')
+const { verifySecondFactor } = require('../services/twoFactor')
+
+// @desc    Download everything stored about the current user as a .tar.gz
+// @route   GET /api/auth/export
+// @access  Private
+const exportAccount = async (req, res) => {
+  try {
+    const { filename, data, manifest } = await buildAccountExport(req.user.id)
+
+    await AuditLog.record('account.exported', {
+      actor: req.user.id,
+      targetUser: req.user.id,
+      details: manifest.counts,
+      ip: req.ip
+    })
+
+    res.set('Content-Type', 'application/gzip')
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+    res.set('Cache-Control', 'no-store')
+    res.send(data)
+  } catch (error) {
+    console.error('Export account error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error exporting account data'
+    })
+  }
+}
+
+// @desc    Delete the current user's account
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { password, articlePolicy, transferTo, code, recoveryCode } = req.body
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret')
+
+    const isMatch = await user.comparePassword(password)
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      })
+    }
+
+    if (user.twoFactorEnabled && !await verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid two-factor code is required to delete your account'
+      })
+    }
+
+    if (user.role === 'admin') {
+      const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } })
+      if (otherAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'You are the only admin. Promote another admin before deleting your account.'
+        })
+      }
+    }
+
+    if (articlePolicy === 'transfer') {
+      if (transferTo === user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Articles must be transferred to another account'
+        })
+      }
+
+      const recipient = await User.findById(transferTo).select('role isActive')
+      if (!recipient || !recipient.isActive || !['author', 'editor', 'admin'].includes(recipient.role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Articles can only be transferred to an active author, editor or admin'
+        })
+      }
+    }
+
+    const result = await removeAccount(user, { articlePolicy, transferTo })
+
+    await AuditLog.record('account.deleted', {
+      actor: user._id,
+      targetUser: user._id,
+      details: { articlePolicy, transferTo, articles: result.articles, anonymized: result.anonymized },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.anonymized
+        ? 'Your account has been deleted. Your archived articles remain under an anonymous author.'
+        : 'Your account has been deleted'
+    })
+  } catch (error) {
+    console.error('Delete account error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting account'
+    })
+  }
+}
+
+module.exports = {
+  exportAccount,
+  deleteAccount
+}
@@ -0,0 +1,667 @@
+const User = require('../models/User')
+const Article = require('../models/Article')
+const RefreshToken = require('../models/RefreshToken')
+const ApiKey = require('../models/ApiKey')
+const AuditLog = require('../models/AuditLog')
+const { validationResult } = require('express-validator')
+const { sendPasswordResetEmail } = require('../services/accountMail')
+const { escapeRegex } = require('../utils/regex')
+const { getRequiredRoles, setRequiredRoles } = require('../services/twoFactor')
+const { unlockAccount, getAccountStatus } = require('../services/loginThrottle')
+
+const USER_FIELDS = 'name email role avatar bio isActive emailVerified mustResetPassword twoFactorEnabled createdAt updatedAt'
+
+// Sign the user out everywhere: refresh tokens, outstanding access tokens and API keys
+const revokeSessions = async (userId, reason) => {
+  await RefreshToken.revokeAllForUser(userId, reason)
+  await ApiKey.revokeAllForUser(userId)
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+}
+
+// @desc    List users with search, filters and pagination
+// @route   GET /api/admin/users
+// @access  Private (admin)
+const getUsers = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { search, role, status, page = 1, limit = 20, sort = '-createdAt' } = req.query
+
+    const query = {}
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i')
+      query.$or = [{ name: pattern }, { email: pattern }]
+    }
+    if (role) {
+      query.role = role
+    }
+    if (status) {
+      query.isActive = status === 'active'
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const users = await User.find(query)
+      .select(USER_FIELDS)
+      .populate('articlesCount')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await User.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Admin get users error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting users'
+    })
+  }
+}
+
+// @desc    Get a single user
+// @route   GET /api/admin/users/:id
+// @access  Private (admin)
+const getUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.params.id)
+      .select(USER_FIELDS)
+      .populate('articlesCount')
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    const articleStats = await Article.aggregate([
+      { $match: { author: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+
+    const loginStatus = await getAccountStatus(user.email)
+
+    res.json({
+      success: true,
+      data: { user, articleStats, loginStatus }
+    })
+  } catch (error) {
+    console.error('Admin get user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting user'
+    })
+  }
+}
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin)
+const updateUserRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      })
+    }
+
+    const previous = await User.findById(req.params.id).select('role')
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    if (previous.role === 'admin' && req.body.role !== 'admin') {
+      const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: previous._id } })
+      if (otherAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'This is the only admin. Promote another admin before changing their role.'
+        })
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    ).select(USER_FIELDS)
+
+    await AuditLog.record('user.role_changed', {
+      actor: req.user.id,
+      targetUser: user._id,
+      details: { from: previous.role, to: user.role },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { user },
+      message: `Role changed to ${user.role}`
+    })
+  } catch (error) {
+    console.error('Admin update role error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error changing role'
+    })
+  }
+}
+
+// @desc    Deactivate or reactivate an account
+// @route   PUT /api/admin/users/:id/status
+// @access  Private (admin)
+const updateUserStatus = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      })
+    }
+
+    const isActive = req.body.isActive === true || req.body.isActive === 'true'
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true }
+    ).select(USER_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    if (!isActive) {
+      await revokeSessions(user._id, 'admin')
+    }
+
+    await AuditLog.record(isActive ? 'user.reactivated' : 'user.deactivated', {
+      actor: req.user.id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { user },
+      message: isActive ? 'Account reactivated' : 'Account deactivated'
+    })
+  } catch (error) {
+    console.error('Admin update status error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error changing account status'
+    })
+  }
+}
+
+// @desc    Force a password reset: sign the user out and email a reset link
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private (admin)
+const forcePasswordReset = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    user.mustResetPassword = true
+    await sendPasswordResetEmail(user)
+    await revokeSessions(user._id, 'admin')
+
+    await AuditLog.record('user.password_reset_forced', {
+      actor: req.user.id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      message: 'Password reset required; a reset link has been emailed to the user'
+    })
+  } catch (error) {
+    console.error('Admin force password reset error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error forcing password reset'
+    })
+  }
+}
+
+// @desc    Clear failed sign-in attempts and any lockout
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (admin)
+const unlockUser = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.params.id).select('email')
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    const cleared = await unlockAccount(user.email)
+
+    await AuditLog.record('auth.account_unlocked', {
+      actor: req.user.id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      message: cleared ? 'Account unlocked' : 'Account was not locked'
+    })
+  } catch (error) {
+    console.error('Admin unlock user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error unlocking account'
+    })
+  }
+}
+
+// @desc    Turn off a user's 2FA (lost device); they must enroll again if their role requires it
+// @route   POST /api/admin/users/:id/reset-two-factor
+// @access  Private (admin)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 }
+      },
+      { new: true }
+    ).select(USER_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    await revokeSessions(user._id, 'admin')
+
+    await AuditLog.record('two_factor.reset', {
+      actor: req.user.id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { user },
+      message: 'Two-factor authentication reset; the user has been signed out'
+    })
+  } catch (error) {
+    console.error('Admin reset 2FA error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error resetting two-factor authentication'
+    })
+  }
+}
+
+// @desc    Get the roles that must use 2FA
+// @route   GET /api/admin/settings/two-factor
+// @access  Private (admin)
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { requiredRoles: await getRequiredRoles() }
+    })
+  } catch (error) {
+    console.error('Admin get 2FA policy error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting two-factor policy'
+    })
+  }
+}
+
+// @desc    Set the roles that must use 2FA
+// @route   PUT /api/admin/settings/two-factor
+// @access  Private (admin)
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const previous = await getRequiredRoles()
+    const requiredRoles = [...new Set(req.body.requiredRoles)]
+    await setRequiredRoles(requiredRoles, req.user.id)
+
+    await AuditLog.record('settings.two_factor_policy_changed', {
+      actor: req.user.id,
+      details: { from: previous, to: requiredRoles },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { requiredRoles },
+      message: requiredRoles.length
+        ? `Two-factor authentication is now required for: ${requiredRoles.join(', ')}`
+        : 'Two-factor authentication is now optional for every role'
+    })
+  } catch (error) {
+    console.error('Admin update 2FA policy error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating two-factor policy'
+    })
+  }
+}
+
+// @desc    Reassign a user's articles to another author
+// @route   POST /api/admin/users/:id/articles/reassign
+// @access  Private (admin)
+const reassignArticles = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { toUserId, articleIds } = req.body
+
+    if (toUserId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Articles are already owned by this user'
+      })
+    }
+
+    const [fromUser, toUser] = await Promise.all([
+      User.findById(req.params.id).select('name'),
+      User.findById(toUserId).select('name role isActive')
+    ])
+
+    if (!fromUser || !toUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    if (!toUser.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Articles cannot be reassigned to a deactivated account'
+      })
+    }
+
+    const query = { author: fromUser._id }
+    if (Array.isArray(articleIds) && articleIds.length > 0) {
+      query._id = { $in: articleIds }
+    }
+
+    const result = await Article.updateMany(query, { author: toUser._id })
+
+    await AuditLog.record('user.articles_reassigned', {
+      actor: req.user.id,
+      targetUser: fromUser._id,
+      details: { to: toUser._id, reassigned: result.modifiedCount },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { reassigned: result.modifiedCount },
+      message: `Reassigned ${result.modifiedCount} article(s) to ${toUser.name}`
+    })
+  } catch (error) {
+    console.error('Admin reassign articles error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error reassigning articles'
+    })
+  }
+}
+
+// @desc    Archive all of a user's articles
+// @route   POST /api/admin/users/:id/articles/archive
+// @access  Private (admin)
+const archiveUserArticles = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.params.id).select('_id')
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      })
+    }
+
+    const articles = await Article.find({ author: user._id, status: { $ne: 'archived' } }).select('_id status')
+
+    for (const article of articles) {
+      await Article.updateOne(
+        { _id: article._id },
+        {
+          status: 'archived',
+          publishAt: null,
+          unpublishAt: null,
+          $push: {
+            workflowHistory: { action: 'archive', from: article.status, to: 'archived', actor: req.user.id, at: new Date() }
+          }
+        }
+      )
+    }
+
+    await AuditLog.record('user.articles_archived', {
+      actor: req.user.id,
+      targetUser: user._id,
+      details: { archived: articles.length },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { archived: articles.length },
+      message: `Archived ${articles.length} article(s)`
+    })
+  } catch (error) {
+    console.error('Admin archive articles error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error archiving articles'
+    })
+  }
+}
+
+// @desc    Browse the audit log
+// @route   GET /api/admin/audit-log
+// @access  Private (admin)
+const getAuditLog = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { action, actor, targetUser, page = 1, limit = 50 } = req.query
+
+    const query = {}
+    if (action) {
+      // 'invite' matches every invite.* event
+      query.action = action.includes('.') ? action : new RegExp(`^${escapeRegex(action)}\\.`)
+    }
+    if (actor) {
+      query.actor = actor
+    }
+    if (targetUser) {
+      query.targetUser = targetUser
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .populate('targetUser', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await AuditLog.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Admin get audit log error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting audit log'
+    })
+  }
+}
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  unlockUser,
+  resetUserTwoFactor,
+  reassignArticles,
+  archiveUserArticles,
+  getAuditLog,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+}
@@ -0,0 +1,149 @@
+const ApiKey = require('../models/ApiKey')
+const AuditLog = require('../models/AuditLog')
+const { validationResult } = require('express-validator')
+const { isReviewer } = require('../utils/editorialWorkflow')
+
+const MAX_ACTIVE_KEYS = 20
+
+const defaultExpiresDays = () => parseInt(process.env.API_KEY_EXPIRES_DAYS) || 90
+
+// @desc    List the current user's API keys
+// @route   GET /api/auth/api-keys
+// @access  Private
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id })
+      .sort('-createdAt')
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    })
+  } catch (error) {
+    console.error('Get API keys error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting API keys'
+    })
+  }
+}
+
+// @desc    Create an API key; the key itself is only returned in this response
+// @route   POST /api/auth/api-keys
+// @access  Private (author, editor, admin)
+const createApiKey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const scopes = [...new Set(req.body.scopes)]
+
+    if (scopes.includes('articles:review') && !isReviewer(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only editors and admins can create keys with the articles:review scope'
+      })
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    })
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys`
+      })
+    }
+
+    const expiresInDays = parseInt(req.body.expiresInDays) || defaultExpiresDays()
+    const { key, apiKey } = await ApiKey.createKey({
+      user: req.user.id,
+      name: req.body.name,
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    })
+
+    await AuditLog.record('api_key.created', {
+      actor: req.user.id,
+      targetUser: req.user.id,
+      details: { apiKey: apiKey._id, name: apiKey.name, scopes, expiresAt: apiKey.expiresAt },
+      ip: req.ip
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { apiKey, key },
+      message: 'API key created. Copy it now; it will not be shown again.'
+    })
+  } catch (error) {
+    console.error('Create API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating API key'
+    })
+  }
+}
+
+// @desc    Revoke one of the current user's API keys
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+const revokeApiKey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    )
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      })
+    }
+
+    await AuditLog.record('api_key.revoked', {
+      actor: req.user.id,
+      targetUser: req.user.id,
+      details: { apiKey: apiKey._id, name: apiKey.name },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { apiKey },
+      message: 'API key revoked'
+    })
+  } catch (error) {
+    console.error('Revoke API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error revoking API key'
+    })
+  }
+}
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+}
@@ -1,5 +1,11 @@
 const Article = require('../models/Article')
+const ArticleRevision = require('../models/ArticleRevision')
+const Category = require('../models/Category')
+const AuditLog = require('../models/AuditLog')
 const { validationResult } = require('express-validator')
+const { isReviewer, canSetStatusDirectly, requiresReReview } = require('../utils/editorialWorkflow')
+const { trashArticle, purgeDate } = require('../services/articleTrash')
+const { runBulkAction } = require('../services/bulkArticles')
 
 // @desc    Get all articles
 // @route   GET /api/articles
@@ -59,10 +65,13 @@ const getArticles = async (req, res) => {
 // @access  Private
 const getArticle = async (req, res) => {
   try {
-    const article = await Article.findOne({
-      _id: req.params.id,
-      author: req.user.id
-    }).populate('author', 'name email avatar')
+    // Editors and admins can open any article so they can review it
+    const query = { _id: req.params.id }
+    if (!isReviewer(req.user)) {
+      query.author = req.user.id
+    }
+
+    const article = await Article.findOne(query).populate('author', 'name email avatar')
 
     if (!article) {
       return res.status(404).json({
@@ -115,9 +124,19 @@ const createArticle = async (req, res) => {
       seoTitle,
       seoDescription,
       isFeatured = false,
-      allowComments = true
+      allowComments = true,
+      publishAt,
+      unpublishAt,
+      slug
     } = req.body
 
+    if (!canSetStatusDirectly(req.user, status)) {
+      return res.status(403).json({
+        success: false,
+        error: `Articles must go through editorial review before they can be ${status === 'scheduled' ? 'scheduled' : 'published'}.`
+      })
+    }
+
     console.log('Received article data:', {
       title,
       contentBlocks,
@@ -153,7 +172,9 @@ const createArticle = async (req, res) => {
       seoTitle,
       seoDescription,
       isFeatured,
-      allowComments
+      allowComments,
+      publishAt: publishAt || null,
+      unpublishAt: unpublishAt || null
     }
 
     // Only add editorData if it exists and is not null
@@ -161,19 +182,37 @@ const createArticle = async (req, res) => {
       articleData.editorData = editorData
     }
 
+    // A custom slug is pinned so later title changes leave it alone. Slugs other articles
+    // used to have still redirect to them, so those are taken too.
+    if (slug) {
+      if (await Article.slugInUse(slug)) {
+        return res.status(400).json({
+          success: false,
+          error: 'An article with this slug already exists. Please choose a different slug.'
+        })
+      }
+      articleData.slug = slug
+      articleData.slugLocked = true
+    }
+
     console.log('Final article data being saved:', articleData)
     console.log('About to call Article.create...')
 
     const article = await Article.create(articleData)
     console.log('Article created successfully:', article._id)
 
+    await ArticleRevision.record(article, { userId: req.user.id, reason: 'create' })
+    await Article.recordTransition(article._id, { action: 'create', from: null, to: status, actor: req.user.id })
+
     // Populate author info
     await article.populate('author', 'name email avatar')
 
     res.status(201).json({
       success: true,
       data: { article },
-      message: status === 'published' ? 'Article published successfully' : 'Article saved as draft'
+      message: status === 'published'
+        ? 'Article published successfully'
+        : status === 'scheduled' ? 'Article scheduled successfully' : 'Article saved as draft'
     })
   } catch (error) {
     console.error('=== CREATE ARTICLE ERROR ===')
@@ -190,10 +229,10 @@ const createArticle = async (req, res) => {
     }
 
     if (error.code === 11000) {
-      // Likely duplicate slug
+      // Generated slugs are made unique, so this is a custom slug that is already in use
       return res.status(400).json({
         success: false,
-        error: 'An article with this title already exists. Please use a different title.'
+        error: 'An article with this slug already exists. Please choose a different slug.'
       })
     }
 
@@ -230,7 +269,11 @@ const updateArticle = async (req, res) => {
       seoTitle,
       seoDescription,
       isFeatured,
-      allowComments
+      allowComments,
+      publishAt,
+      unpublishAt,
+      slug,
+      slugLocked
     } = req.body
 
     // Find article
@@ -248,21 +291,44 @@ const updateArticle = async (req, res) => {
 
     // Update article
     const updateData = {}
-    if (title !== undefined) {
-      updateData.title = title
-      // Keep slug in sync when title changes (findByIdAndUpdate skips pre-save)
-      updateData.slug = title
-        .toLowerCase()
-        .replace(/[^a-z0-9 -]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-')
-        .trim('-')
+    if (title !== undefined) updateData.title = title
+
+    // Keep slug in sync when title changes (findByIdAndUpdate skips pre-save), unless a
+    // custom slug is pinned. Setting a slug pins it; unpinning goes back to the title's slug.
+    let nextSlug
+    if (slug !== undefined) {
+      if (slug !== article.slug && await Article.slugInUse(slug, article._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'An article with this slug already exists. Please choose a different slug.'
+        })
+      }
+      nextSlug = slug
+      updateData.slugLocked = true
+    } else if (slugLocked === false) {
+      nextSlug = await Article.generateSlug(title !== undefined ? title : article.title, article._id)
+      updateData.slugLocked = false
+    } else if (slugLocked === true) {
+      updateData.slugLocked = true
+    } else if (title !== undefined && !article.slugLocked) {
+      nextSlug = await Article.generateSlug(title, article._id)
+    }
+    if (nextSlug && nextSlug !== article.slug) {
+      updateData.slug = nextSlug
+      // The old slug keeps working as a redirect
+      updateData.previousSlugs = Article.addPreviousSlug(article.previousSlugs, article.slug, nextSlug)
     }
     if (contentBlocks !== undefined) updateData.contentBlocks = contentBlocks
     if (editorData !== undefined) updateData.editorData = editorData
     if (category !== undefined) updateData.category = category
     if (tags !== undefined) updateData.tags = tags
-    if (status !== undefined) {
+    if (status !== undefined && status !== article.status) {
+      if (!canSetStatusDirectly(req.user, status)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Status changes to review, approval or publishing must use the editorial workflow endpoints.'
+        })
+      }
       updateData.status = status
       if (status === 'published' && !article.publishedAt) {
         updateData.publishedAt = new Date()
@@ -276,6 +342,8 @@ const updateArticle = async (req, res) => {
     if (seoDescription !== undefined) updateData.seoDescription = seoDescription
     if (isFeatured !== undefined) updateData.isFeatured = isFeatured
     if (allowComments !== undefined) updateData.allowComments = allowComments
+    if (publishAt !== undefined) updateData.publishAt = publishAt || null
+    if (unpublishAt !== undefined) updateData.unpublishAt = unpublishAt || null
 
     // If content changed, recompute excerpt and readTime (pre-save hooks won't run)
     if (contentBlocks !== undefined || editorData !== undefined) {
@@ -320,12 +388,45 @@ const updateArticle = async (req, res) => {
       updateData.readTime = Math.ceil(wordCount / 200)
     }
 
+    // Snapshot content-affecting updates so they can be diffed and restored later
+    const affectsContent = ArticleRevision.SNAPSHOT_FIELDS.some(field => updateData[field] !== undefined)
+
+    // Editing reviewed content (approved, scheduled or live) sends it back to review unless a
+    // reviewer made the edit; a pending scheduled publish is cancelled with it
+    if (affectsContent && !updateData.status && requiresReReview(req.user, article.status)) {
+      updateData.status = 'in_review'
+      updateData.publishAt = null
+    }
+
+    if (updateData.status) {
+      updateData.$push = {
+        workflowHistory: {
+          action: updateData.status === 'in_review' ? 'resubmit' : 'status_change',
+          from: article.status,
+          to: updateData.status,
+          actor: req.user.id,
+          at: new Date()
+        }
+      }
+    }
+    if (affectsContent) {
+      const hasRevisions = await ArticleRevision.exists({ article: article._id })
+      if (!hasRevisions) {
+        // Articles created before revisions existed get their current state as a baseline
+        await ArticleRevision.record(article, { userId: req.user.id, reason: 'baseline' })
+      }
+    }
+
     article = await Article.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
     ).populate('author', 'name email avatar')
 
+    if (affectsContent) {
+      await ArticleRevision.record(article, { userId: req.user.id, reason: 'update' })
+    }
+
     res.json({
       success: true,
       data: { article },
@@ -346,7 +447,7 @@ const updateArticle = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        error: 'An article with this title already exists. Please use a different title.'
+        error: 'An article with this slug already exists. Please choose a different slug.'
       })
     }
 
@@ -357,7 +458,7 @@ const updateArticle = async (req, res) => {
   }
 }
 
-// @desc    Delete article
+// @desc    Delete article (moves it to the trash)
 // @route   DELETE /api/articles/:id
 // @access  Private
 const deleteArticle = async (req, res) => {
@@ -374,11 +475,13 @@ const deleteArticle = async (req, res) => {
       })
     }
 
-    await Article.findByIdAndDelete(req.params.id)
+    // Deleting only moves the article to the trash; it can be restored until it is purged
+    await trashArticle(article, req.user.id)
 
     res.json({
       success: true,
-      message: 'Article deleted successfully'
+      data: { purgeAt: purgeDate(new Date()) },
+      message: 'Article moved to trash'
     })
   } catch (error) {
     console.error('Delete article error:', error)
@@ -391,20 +494,11 @@ const deleteArticle = async (req, res) => {
 
 // @desc    Publish article
 // @route   PUT /api/articles/:id/publish
-// @access  Private
+// @access  Private (owner of an approved article, editor, admin)
 const publishArticle = async (req, res) => {
   try {
-    const article = await Article.findOne({
-      _id: req.params.id,
-      author: req.user.id
-    })
-
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        error: 'Article not found'
-      })
-    }
+    const article = req.article
+    const from = article.status
 
     article.status = 'published'
     if (!article.publishedAt) {
@@ -412,6 +506,7 @@ const publishArticle = async (req, res) => {
     }
 
     await article.save()
+    await Article.recordTransition(article._id, { action: 'publish', from, to: 'published', actor: req.user.id })
     await article.populate('author', 'name email avatar')
 
     res.json({
@@ -430,35 +525,106 @@ const publishArticle = async (req, res) => {
 
 // @desc    Unpublish article
 // @route   PUT /api/articles/:id/unpublish
-// @access  Private
+// @access  Private (owner, editor, admin)
 const unpublishArticle = async (req, res) => {
   try {
-    const article = await Article.findOne({
-      _id: req.params.id,
-      author: req.user.id
+    const article = req.article
+    const from = article.status
+
+    article.status = 'draft'
+    await article.save()
+    await Article.recordTransition(article._id, { action: 'unpublish', from, to: 'draft', actor: req.user.id })
+    await article.populate('author', 'name email avatar')
+
+    res.json({
+      success: true,
+      data: { article },
+      message: 'Article unpublished successfully'
+    })
+  } catch (error) {
+    console.error('Unpublish article error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error unpublishing article'
     })
+  }
+}
 
-    if (!article) {
-      return res.status(404).json({
+// @desc    Schedule article publishing
+// @route   PUT /api/articles/:id/schedule
+// @access  Private (owner of an approved article, editor, admin)
+const scheduleArticle = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'Article not found'
+        error: 'Validation failed',
+        details: errors.array()
       })
     }
 
-    article.status = 'draft'
+    const { publishAt, unpublishAt } = req.body
+    const article = req.article
+    const from = article.status
+
+    if (!article.category) {
+      return res.status(400).json({
+        success: false,
+        error: 'Category is required for published articles'
+      })
+    }
+
+    article.status = 'scheduled'
+    article.publishAt = publishAt
+    article.unpublishAt = unpublishAt || null
+
     await article.save()
+    await Article.recordTransition(article._id, { action: 'schedule', from, to: 'scheduled', actor: req.user.id })
     await article.populate('author', 'name email avatar')
 
     res.json({
       success: true,
       data: { article },
-      message: 'Article unpublished successfully'
+      message: 'Article scheduled successfully'
     })
   } catch (error) {
-    console.error('Unpublish article error:', error)
+    console.error('Schedule article error:', error)
     res.status(500).json({
       success: false,
-      error: 'Server error unpublishing article'
+      error: 'Server error scheduling article'
+    })
+  }
+}
+
+// @desc    Cancel scheduled publishing
+// @route   DELETE /api/articles/:id/schedule
+// @access  Private (owner, editor, admin)
+const unscheduleArticle = async (req, res) => {
+  try {
+    const article = req.article
+    const from = article.status
+
+    // The article keeps its approval; it just isn't queued any more
+    article.status = 'approved'
+    article.publishAt = null
+    article.unpublishAt = null
+
+    await article.save()
+    await Article.recordTransition(article._id, { action: 'unschedule', from, to: 'approved', actor: req.user.id })
+    await article.populate('author', 'name email avatar')
+
+    res.json({
+      success: true,
+      data: { article },
+      message: 'Article schedule cancelled'
+    })
+  } catch (error) {
+    console.error('Unschedule article error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error cancelling schedule'
     })
   }
 }
@@ -515,13 +681,13 @@ const getArticleStats = async (req, res) => {
 // @access  Public
 const getCategories = async (req, res) => {
   try {
-    // Get categories from the Article schema enum
-    const categories = Article.schema.paths.category.enumValues
-    
+    // Category names in display order; see /api/public/categories for full details
+    const categories = await Category.getOrdered().select('name')
+
     res.json({
       success: true,
       data: {
-        categories: categories || []
+        categories: categories.map(category => category.name)
       }
     })
   } catch (error) {
@@ -533,6 +699,54 @@ const getCategories = async (req, res) => {
   }
 }
 
+// @desc    Apply one action to many articles; each article succeeds or fails on its own
+// @route   POST /api/articles/bulk
+// @access  Private (per article: workflow rules for publish/unpublish, otherwise owner or admin)
+const bulkArticles = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { action, ids, category, tags } = req.body
+
+    const results = await runBulkAction(req.user, action, ids, { category, tags })
+    const succeeded = results.filter(result => result.success).length
+
+    await AuditLog.record('article.bulk', {
+      actor: req.user.id,
+      details: { action, category, tags, succeeded, failed: results.length - succeeded },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: {
+        action,
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        }
+      },
+      message: `${action} applied to ${succeeded} of ${results.length} article(s)`
+    })
+  } catch (error) {
+    console.error('Bulk articles error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error applying bulk action'
+    })
+  }
+}
+
 // @desc    Regenerate excerpts for all articles
 // @route   POST /api/articles/regenerate-excerpts
 // @access  Private
@@ -571,7 +785,10 @@ module.exports = {
   deleteArticle,
   publishArticle,
   unpublishArticle,
+  scheduleArticle,
+  unscheduleArticle,
   getArticleStats,
   getCategories,
+  bulkArticles,
   regenerateExcerpts
 }
@@ -1,13 +1,73 @@
 const jwt = require('jsonwebtoken')
 const User = require('../models/User')
 const Article = require('../models/Article')
+const ApiKey = require('../models/ApiKey')
+const RefreshToken = require('../models/RefreshToken')
 const { validationResult } = require('express-validator')
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountMail')
+const Invite = require('../models/Invite')
+const AuditLog = require('../models/AuditLog')
+const { redeemInvite } = require('./roleController')
+const {
+  MAX_CHALLENGE_FAILURES,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+} = require('../services/twoFactor')
+const { checkLogin, recordFailure, recordSuccess } = require('../services/loginThrottle')
+const { syncAuthorName } = require('../services/search')
+
+// Generate short-lived JWT access token; tv ties it to the user's current tokenVersion
+const generateToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
+  })
+}
+
+// Answer a throttled sign-in with 429 and Retry-After
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter))
+  return res.status(429).json({
+    success: false,
+    error: throttle.locked
+      ? `Too many failed sign-in attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`
+      : `Too many failed sign-in attempts. Try again in ${throttle.retryAfter} second(s).`,
+    retryAfter: throttle.retryAfter
+  })
+}
+
+// Count a failed password or 2FA code and audit any lockout it triggers
+const registerFailedLogin = async (email, req, user = null) => {
+  const result = await recordFailure(email, req.ip)
+  if (result.account.locked) {
+    await AuditLog.record('auth.account_locked', {
+      targetUser: user ? user._id : null,
+      details: { email, failures: result.account.failures, lockedUntil: result.account.lockedUntil },
+      ip: req.ip
+    })
+  }
+  if (result.ip.locked) {
+    await AuditLog.record('auth.ip_locked', {
+      details: { failures: result.ip.failures, lockedUntil: result.ip.lockedUntil },
+      ip: req.ip
+    })
+  }
+}
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+// Issue an access token plus a refresh token that starts a new session family
+const issueAuthTokens = async (user, req) => {
+  const token = generateToken(user)
+  const { token: refreshToken, doc } = await RefreshToken.issue(user._id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
   })
+
+  return {
+    token,
+    refreshToken,
+    refreshTokenExpiresAt: doc.expiresAt
+  }
 }
 
 // @desc    Register user
@@ -25,7 +85,7 @@ const register = async (req, res) => {
       })
     }
 
-    const { name, email, password, role = 'user' } = req.body
+    const { name, email, password, inviteToken } = req.body
 
     // Check if user already exists
     const userExists = await User.findOne({ email })
@@ -36,16 +96,40 @@ const register = async (req, res) => {
       })
     }
 
-    // Create user
+    // Check the invite up front so a bad link doesn't leave a half-registered account
+    if (inviteToken) {
+      const invite = await Invite.findUsable(inviteToken)
+      if (!invite) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invite is invalid, expired or already used'
+        })
+      }
+      if (invite.email && invite.email !== email) {
+        return res.status(400).json({
+          success: false,
+          error: 'This invite was issued for a different email address'
+        })
+      }
+    }
+
+    // Self-registration always creates a regular user; invites are the only way to a higher role
     const user = await User.create({
       name,
       email,
       password,
-      role
+      role: 'user'
     })
 
-    // Generate token
-    const token = generateToken(user._id)
+    let inviteError = null
+    if (inviteToken) {
+      inviteError = await redeemInvite(inviteToken, user, req.ip)
+    }
+
+    await sendVerificationEmail(user)
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req)
 
     res.status(201).json({
       success: true,
@@ -56,11 +140,14 @@ const register = async (req, res) => {
           email: user.email,
           role: user.role,
           avatar: user.avatar,
-          bio: user.bio
+          bio: user.bio,
+          emailVerified: user.emailVerified
         },
-        token
+        ...tokens
       },
-      message: 'User registered successfully'
+      message: inviteError
+        ? `User registered successfully, but the invite could not be applied: ${inviteError}`
+        : 'User registered successfully'
     })
   } catch (error) {
     console.error('Register error:', error)
@@ -88,10 +175,16 @@ const login = async (req, res) => {
 
     const { email, password } = req.body
 
+    const throttle = await checkLogin(email, req.ip)
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle)
+    }
+
     // Check for user and include password
     const user = await User.findOne({ email }).select('+password')
     
     if (!user) {
+      await registerFailedLogin(email, req)
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -109,14 +202,38 @@ const login = async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password)
     if (!isMatch) {
+      await registerFailedLogin(email, req, user)
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       })
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    if (user.mustResetPassword) {
+      return res.status(403).json({
+        success: false,
+        error: 'A password reset is required. Use the link sent to your email or request a new one.'
+      })
+    }
+
+    // With 2FA on, the password only earns a challenge token for the second step
+    if (user.twoFactorEnabled) {
+      await User.updateOne({ _id: user._id }, { twoFactorFailures: 0 })
+
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user)
+        },
+        message: 'Enter a code from your authenticator app to finish signing in'
+      })
+    }
+
+    await recordSuccess(email)
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req)
 
     res.json({
       success: true,
@@ -127,9 +244,13 @@ const login = async (req, res) => {
           email: user.email,
           role: user.role,
           avatar: user.avatar,
-          bio: user.bio
+          bio: user.bio,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled
         },
-        token
+        ...tokens,
+        // The account can only reach the 2FA setup endpoints until it enrolls
+        twoFactorSetupRequired: await isTwoFactorRequired(user)
       },
       message: 'Login successful'
     })
@@ -142,6 +263,367 @@ const login = async (req, res) => {
   }
 }
 
+// @desc    Finish a 2FA login with a TOTP code or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body
+
+    const challenge = verifyChallengeToken(challengeToken)
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-in challenge is invalid or has expired. Sign in again.'
+      })
+    }
+
+    const user = await User.findById(challenge.id).select('+twoFactorSecret +twoFactorFailures')
+
+    if (!user || !user.isActive || !user.twoFactorEnabled || (challenge.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-in challenge is invalid or has expired. Sign in again.'
+      })
+    }
+
+    const throttle = await checkLogin(user.email, req.ip)
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle)
+    }
+
+    if (user.twoFactorFailures >= MAX_CHALLENGE_FAILURES) {
+      return res.status(401).json({
+        success: false,
+        error: 'Too many invalid codes. Sign in again.'
+      })
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode })
+    if (!method) {
+      await User.updateOne({ _id: user._id }, { $inc: { twoFactorFailures: 1 } })
+      await registerFailedLogin(user.email, req, user)
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      })
+    }
+
+    await User.updateOne({ _id: user._id }, { twoFactorFailures: 0 })
+    await recordSuccess(user.email)
+
+    if (method === 'recovery') {
+      await AuditLog.record('two_factor.recovery_code_used', {
+        actor: user._id,
+        targetUser: user._id,
+        ip: req.ip
+      })
+    }
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req)
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          bio: user.bio,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled
+        },
+        ...tokens
+      },
+      message: method === 'recovery'
+        ? 'Login successful. A recovery code was used; consider generating new ones.'
+        : 'Login successful'
+    })
+  } catch (error) {
+    console.error('2FA login error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
+    })
+  }
+}
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const result = await RefreshToken.rotate(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    })
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result.error
+      })
+    }
+
+    const user = await User.findById(result.userId)
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(result.doc.family, 'admin')
+      return res.status(401).json({
+        success: false,
+        error: 'Account has been deactivated'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user),
+        refreshToken: result.token,
+        refreshTokenExpiresAt: result.doc.expiresAt
+      },
+      message: 'Token refreshed successfully'
+    })
+  } catch (error) {
+    console.error('Refresh token error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error refreshing token'
+    })
+  }
+}
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Public (requires the session's refresh token)
+const logout = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    await RefreshToken.revokeToken(req.body.refreshToken, 'logout')
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    })
+  } catch (error) {
+    console.error('Logout error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    })
+  }
+}
+
+// @desc    Log out of all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user.id, 'logout_all')
+    await ApiKey.revokeAllForUser(req.user.id)
+    // Invalidate outstanding access tokens too, not just refresh tokens
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } })
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices'
+    })
+  } catch (error) {
+    console.error('Logout all error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error logging out of all devices'
+    })
+  }
+}
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findOne({ email: req.body.email })
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user)
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    })
+  } catch (error) {
+    console.error('Forgot password error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error requesting password reset'
+    })
+  }
+}
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { token, password } = req.body
+
+    const user = await User.findByPasswordResetToken(token)
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      })
+    }
+
+    user.password = password
+    user.passwordResetToken = undefined
+    user.passwordResetExpires = undefined
+    user.mustResetPassword = false
+    // Following the emailed link proves the address belongs to the user
+    user.emailVerified = true
+    user.tokenVersion = (user.tokenVersion || 0) + 1
+    await user.save()
+    await RefreshToken.revokeAllForUser(user._id, 'password_changed')
+    await ApiKey.revokeAllForUser(user._id)
+    // Proving control of the mailbox lifts any sign-in lockout
+    await recordSuccess(user.email)
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    })
+  } catch (error) {
+    console.error('Reset password error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error resetting password'
+    })
+  }
+}
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token)
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      })
+    }
+
+    user.emailVerified = true
+    user.emailVerificationToken = undefined
+    user.emailVerificationExpires = undefined
+    await user.save({ validateBeforeSave: false })
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    })
+  } catch (error) {
+    console.error('Verify email error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error verifying email'
+    })
+  }
+}
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      })
+    }
+
+    await sendVerificationEmail(user)
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    })
+  } catch (error) {
+    console.error('Resend verification error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error sending verification email'
+    })
+  }
+}
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -160,6 +642,8 @@ const getMe = async (req, res) => {
           role: user.role,
           avatar: user.avatar,
           bio: user.bio,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
           articlesCount: user.articlesCount
         }
       }
@@ -187,6 +671,10 @@ const updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     )
 
+    if (name !== undefined) {
+      await syncAuthorName(user._id, user.name)
+    }
+
     res.json({
       success: true,
       data: {
@@ -230,12 +718,19 @@ const changePassword = async (req, res) => {
       })
     }
 
-    // Update password
+    // Update password and sign out every other session
     user.password = newPassword
+    user.tokenVersion = (user.tokenVersion || 0) + 1
     await user.save()
+    await RefreshToken.revokeAllForUser(user._id, 'password_changed')
+    await ApiKey.revokeAllForUser(user._id)
+
+    // Keep the current client signed in with fresh tokens
+    const tokens = await issueAuthTokens(user, req)
 
     res.json({
       success: true,
+      data: tokens,
       message: 'Password changed successfully'
     })
   } catch (error) {
@@ -270,18 +765,26 @@ const toggleLikeArticle = async (req, res) => {
     // Check if user has already liked this article
     const hasLiked = article.likedBy.includes(userId)
     
+    // Likes don't change the article, so updatedAt (which feed and sitemap dates come
+    // from) is left alone
     if (hasLiked) {
       // Unlike: remove user from likedBy array and decrement likes
-      article.likedBy = article.likedBy.filter(id => id.toString() !== userId.toString())
+      await Article.updateOne(
+        { _id: article._id, likedBy: userId },
+        { $pull: { likedBy: userId }, $inc: { likes: -1 } },
+        { timestamps: false }
+      )
       article.likes = Math.max(0, article.likes - 1)
     } else {
       // Like: add user to likedBy array and increment likes
-      article.likedBy.push(userId)
+      await Article.updateOne(
+        { _id: article._id, likedBy: { $ne: userId } },
+        { $push: { likedBy: userId }, $inc: { likes: 1 } },
+        { timestamps: false }
+      )
       article.likes += 1
     }
 
-    await article.save()
-
     res.json({
       success: true,
       data: { 
@@ -478,6 +981,14 @@ const getArticlesStatus = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getMe,
   updateProfile,
   changePassword,
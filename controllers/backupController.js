@@ -0,0 +1,113 @@
+const { validationResult } = require('express-validator')
+const AuditLog = require('../models/AuditLog')
+const { createBackup, readBackup, checkRestoreTarget, restoreBackup } = require('../services/siteBackup')
+
+// @desc    Download a full-site backup archive
+// @route   GET /api/admin/backup
+// @access  Private (admin)
+const createSiteBackup = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const includePasswords = req.query.includePasswords === 'true'
+    const { filename, manifest, write } = await createBackup({ includePasswords })
+
+    await AuditLog.record('backup.created', {
+      actor: req.user.id,
+      details: { ...manifest.counts, includesPasswords: includePasswords },
+      ip: req.ip
+    })
+
+    res.set('Content-Type', 'application/gzip')
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+    res.set('Cache-Control', 'no-store')
+    await write(res)
+  } catch (error) {
+    console.error('Create backup error:', error)
+    // Part of the archive has been sent; the connection is closed instead
+    if (res.headersSent) return
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating backup'
+    })
+  }
+}
+
+// @desc    Restore a backup archive into an empty database or merge it into this one
+// @route   POST /api/admin/restore
+// @access  Private (admin)
+const restoreSiteBackup = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload the backup archive in the "archive" field'
+      })
+    }
+
+    const backup = readBackup(req.file.buffer)
+    const mode = req.body.mode || 'merge'
+    const conflict = await checkRestoreTarget(mode)
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: conflict
+      })
+    }
+
+    const report = await restoreBackup(backup, { mode })
+
+    await AuditLog.record('backup.restored', {
+      actor: req.user.id,
+      details: {
+        mode,
+        backupCreatedAt: backup.manifest.createdAt,
+        users: report.users.created,
+        articles: report.articles.created,
+        comments: report.comments.created
+      },
+      ip: req.ip
+    })
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: 'Backup restored'
+    })
+  } catch (error) {
+    if (error.code === 'INVALID_BACKUP') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+    console.error('Restore backup error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error restoring backup'
+    })
+  }
+}
+
+module.exports = {
+  createSiteBackup,
+  restoreSiteBackup
+}
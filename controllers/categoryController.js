@@ -0,0 +1,314 @@
+const Category = require('../models/Category')
+const Article = require('../models/Article')
+const AuditLog = require('../models/AuditLog')
+const { validationResult } = require('express-validator')
+
+// Categories in display order, each with the number of matching articles
+const listWithCounts = async (articleFilter) => {
+  const [categories, counts] = await Promise.all([
+    Category.getOrdered().lean(),
+    Article.aggregate([
+      { $match: { ...articleFilter, category: { $nin: [null, ''] } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ])
+  ])
+
+  const countByName = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+  return categories.map(category => ({
+    ...category,
+    articleCount: countByName[category.name] || 0
+  }))
+}
+
+// Nest categories under their parents; totalCount includes every descendant
+const buildTree = (categories) => {
+  const byId = {}
+  categories.forEach(category => {
+    byId[category._id.toString()] = { ...category, children: [] }
+  })
+
+  const roots = []
+  Object.values(byId).forEach(node => {
+    const parent = node.parent && byId[node.parent.toString()]
+    if (parent) {
+      parent.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  })
+
+  const total = (node) => {
+    node.totalCount = node.articleCount + node.children.reduce((sum, child) => sum + total(child), 0)
+    return node.totalCount
+  }
+  roots.forEach(total)
+
+  return roots
+}
+
+// @desc    List categories with published article counts
+// @route   GET /api/public/categories
+// @access  Public
+const getPublicCategories = async (req, res) => {
+  try {
+    const categories = await listWithCounts({ status: 'published' })
+
+    res.json({
+      success: true,
+      data: {
+        categories: req.query.tree === 'true' ? buildTree(categories) : categories
+      }
+    })
+  } catch (error) {
+    console.error('Get public categories error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting categories'
+    })
+  }
+}
+
+// @desc    List categories with counts of all articles
+// @route   GET /api/admin/categories
+// @access  Private (admin)
+const getAdminCategories = async (req, res) => {
+  try {
+    const categories = await listWithCounts({})
+
+    res.json({
+      success: true,
+      data: {
+        categories: req.query.tree === 'true' ? buildTree(categories) : categories
+      }
+    })
+  } catch (error) {
+    console.error('Admin get categories error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting categories'
+    })
+  }
+}
+
+// Check the requested parent exists and doesn't create a loop; returns an error message or null
+const checkParent = async (categoryId, parentId) => {
+  if (!parentId) return null
+  const parent = await Category.findById(parentId).select('_id')
+  if (!parent) {
+    return 'Parent category not found'
+  }
+  if (categoryId && await Category.wouldCreateCycle(categoryId, parentId)) {
+    return 'A category cannot be nested under itself or one of its subcategories'
+  }
+  return null
+}
+
+// @desc    Create a category
+// @route   POST /api/admin/categories
+// @access  Private (admin)
+const createCategory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { name, description, color, order, parent } = req.body
+
+    const parentError = await checkParent(null, parent)
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        error: parentError
+      })
+    }
+
+    const category = await Category.create({ name, description, color, order, parent: parent || null })
+
+    await AuditLog.record('category.created', {
+      actor: req.user.id,
+      details: { category: category._id, name: category.name },
+      ip: req.ip
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { category },
+      message: 'Category created'
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A category with this name or slug already exists'
+      })
+    }
+    console.error('Create category error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating category'
+    })
+  }
+}
+
+// @desc    Update a category; renaming updates every article in it
+// @route   PUT /api/admin/categories/:id
+// @access  Private (admin)
+const updateCategory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      })
+    }
+
+    const { name, description, color, order, parent } = req.body
+
+    if (parent !== undefined) {
+      const parentError = await checkParent(category._id, parent)
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          error: parentError
+        })
+      }
+      category.parent = parent || null
+    }
+
+    const previousName = category.name
+    if (name !== undefined) category.name = name
+    if (description !== undefined) category.description = description
+    if (color !== undefined) category.color = color
+    if (order !== undefined) category.order = order
+
+    await category.save()
+
+    let articlesUpdated = 0
+    if (category.name !== previousName) {
+      const result = await Article.updateMany({ category: previousName }, { category: category.name })
+      articlesUpdated = result.modifiedCount
+    }
+
+    await AuditLog.record('category.updated', {
+      actor: req.user.id,
+      details: { category: category._id, name: category.name, previousName, articlesUpdated },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { category, articlesUpdated },
+      message: 'Category updated'
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A category with this name or slug already exists'
+      })
+    }
+    console.error('Update category error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating category'
+    })
+  }
+}
+
+// @desc    Delete a category; articles in it must be moved with ?reassignTo=<categoryId>
+// @route   DELETE /api/admin/categories/:id
+// @access  Private (admin)
+const deleteCategory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      })
+    }
+
+    const { reassignTo } = req.query
+    // Trashed articles count too, so they still have a valid category if restored
+    const articleCount = await Article.countDocuments({ category: category.name }).setOptions({ withDeleted: true })
+
+    let target = null
+    if (reassignTo) {
+      target = await Category.findById(reassignTo)
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Reassignment target must be another existing category'
+        })
+      }
+    } else if (articleCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${articleCount} article(s) use this category. Pass reassignTo to move them to another category.`
+      })
+    }
+
+    if (target) {
+      await Article.updateMany({ category: category.name }, { category: target.name })
+    }
+
+    // Subcategories move up to the deleted category's parent
+    await Category.updateMany({ parent: category._id }, { parent: category.parent })
+    await Category.deleteOne({ _id: category._id })
+
+    await AuditLog.record('category.deleted', {
+      actor: req.user.id,
+      details: { category: category._id, name: category.name, reassignedTo: target ? target.name : null, articles: articleCount },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { reassigned: target ? articleCount : 0 },
+      message: 'Category deleted'
+    })
+  } catch (error) {
+    console.error('Delete category error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting category'
+    })
+  }
+}
+
+module.exports = {
+  getPublicCategories,
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+}
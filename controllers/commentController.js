@@ -0,0 +1,404 @@
+const Comment = require('../models/Comment')
+const Article = require('../models/Article')
+const { validationResult } = require('express-validator')
+
+// New comments wait in the moderation queue unless this is explicitly turned off
+const requiresApproval = () => process.env.COMMENTS_REQUIRE_APPROVAL !== 'false'
+
+// Admins and the article's author can moderate its comments
+const canModerate = (user, article) => {
+  return user.role === 'admin' || article.author.toString() === user.id
+}
+
+// Shape a comment for public output; deleted comments stay as placeholders so threads keep their structure
+const toPublicComment = (comment) => {
+  const data = comment.toJSON()
+  if (data.isDeleted) {
+    data.content = '[deleted]'
+    data.author = null
+  }
+  data.replies = []
+  return data
+}
+
+// Arrange a flat list of roots and replies into nested threads
+const buildThreads = (roots, replies) => {
+  const byId = {}
+  const threads = roots.map(comment => {
+    const node = toPublicComment(comment)
+    byId[node._id.toString()] = node
+    return node
+  })
+
+  replies.forEach(comment => {
+    const node = toPublicComment(comment)
+    byId[node._id.toString()] = node
+  })
+
+  replies.forEach(comment => {
+    const parent = byId[comment.parent.toString()]
+    if (parent) {
+      parent.replies.push(byId[comment._id.toString()])
+    }
+  })
+
+  return threads
+}
+
+// @desc    Get approved comments for an article as threads
+// @route   GET /api/public/articles/:slug/comments
+// @access  Public
+const getArticleComments = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { slug } = req.params
+    const { page = 1, limit = 20, sort = '-createdAt' } = req.query
+
+    const article = await Article.findBySlug(slug, { status: 'published' }, '_id allowComments')
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found or not published'
+      })
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+    const rootQuery = { article: article._id, parent: null, status: 'approved' }
+
+    const roots = await Comment.find(rootQuery)
+      .populate('author', 'name avatar')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const replies = await Comment.find({
+      root: { $in: roots.map(comment => comment._id) },
+      status: 'approved'
+    })
+      .populate('author', 'name avatar')
+      .sort('createdAt')
+
+    const total = await Comment.countDocuments(rootQuery)
+    const totalComments = await Comment.countDocuments({ article: article._id, status: 'approved', isDeleted: false })
+
+    res.json({
+      success: true,
+      data: {
+        comments: buildThreads(roots, replies),
+        allowComments: article.allowComments,
+        totalComments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get article comments error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting comments'
+    })
+  }
+}
+
+// @desc    Post a comment or reply on an article
+// @route   POST /api/public/articles/:slug/comments
+// @access  Private
+const createComment = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { slug } = req.params
+    const { content, parentId } = req.body
+
+    const article = await Article.findBySlug(slug, { status: 'published' }, '_id author allowComments')
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found or not published'
+      })
+    }
+
+    if (!article.allowComments) {
+      return res.status(403).json({
+        success: false,
+        error: 'Comments are disabled for this article'
+      })
+    }
+
+    let parent = null
+    if (parentId) {
+      parent = await Comment.findOne({
+        _id: parentId,
+        article: article._id,
+        status: 'approved',
+        isDeleted: false
+      })
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent comment not found'
+        })
+      }
+    }
+
+    const autoApprove = !requiresApproval() || canModerate(req.user, article)
+
+    const comment = await Comment.create({
+      article: article._id,
+      author: req.user.id,
+      parent: parent ? parent._id : null,
+      root: parent ? (parent.root || parent._id) : null,
+      content,
+      status: autoApprove ? 'approved' : 'pending'
+    })
+
+    await comment.populate('author', 'name avatar')
+
+    res.status(201).json({
+      success: true,
+      data: { comment },
+      message: autoApprove ? 'Comment posted successfully' : 'Comment submitted for moderation'
+    })
+  } catch (error) {
+    console.error('Create comment error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error posting comment'
+    })
+  }
+}
+
+// @desc    Edit own comment
+// @route   PUT /api/comments/:id
+// @access  Private
+const updateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.id,
+      author: req.user.id,
+      isDeleted: false
+    })
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      })
+    }
+
+    const article = await Article.findById(comment.article).select('author')
+
+    comment.content = req.body.content
+    comment.editedAt = new Date()
+    // Edited comments go back through moderation unless the editor is a moderator
+    if (requiresApproval() && !(article && canModerate(req.user, article))) {
+      comment.status = 'pending'
+    }
+
+    await comment.save()
+    await comment.populate('author', 'name avatar')
+
+    res.json({
+      success: true,
+      data: { comment },
+      message: comment.status === 'pending' ? 'Comment updated and submitted for moderation' : 'Comment updated successfully'
+    })
+  } catch (error) {
+    console.error('Update comment error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating comment'
+    })
+  }
+}
+
+// @desc    Delete own comment (admins may delete any)
+// @route   DELETE /api/comments/:id
+// @access  Private
+const deleteComment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const query = { _id: req.params.id }
+    if (req.user.role !== 'admin') {
+      query.author = req.user.id
+    }
+
+    const comment = await Comment.findOne(query)
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      })
+    }
+
+    // Keep a placeholder when others have replied so the thread stays intact
+    const hasReplies = await Comment.exists({ parent: comment._id })
+    if (hasReplies) {
+      comment.isDeleted = true
+      comment.content = '[deleted]'
+      await comment.save()
+    } else {
+      await Comment.findByIdAndDelete(comment._id)
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    })
+  } catch (error) {
+    console.error('Delete comment error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting comment'
+    })
+  }
+}
+
+// @desc    Get comments awaiting moderation
+// @route   GET /api/comments/moderation
+// @access  Private (article authors see their own articles, admins see all)
+const getModerationQueue = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { page = 1, limit = 20, status = 'pending' } = req.query
+
+    const query = { status, isDeleted: false }
+    if (req.user.role !== 'admin') {
+      const articleIds = await Article.find({ author: req.user.id }).distinct('_id')
+      query.article = { $in: articleIds }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const comments = await Comment.find(query)
+      .populate('author', 'name email avatar')
+      .populate('article', 'title slug')
+      .sort('createdAt')
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await Comment.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get moderation queue error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting moderation queue'
+    })
+  }
+}
+
+// @desc    Approve or reject a comment
+// @route   PUT /api/comments/:id/moderate
+// @access  Private (article author, admin)
+const moderateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const comment = await Comment.findById(req.params.id)
+    const article = comment && await Article.findById(comment.article).select('author')
+
+    if (!comment || !article || !canModerate(req.user, article)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      })
+    }
+
+    comment.status = req.body.status
+    comment.moderatedBy = req.user.id
+    comment.moderatedAt = new Date()
+    await comment.save()
+
+    res.json({
+      success: true,
+      data: { comment },
+      message: `Comment ${comment.status}`
+    })
+  } catch (error) {
+    console.error('Moderate comment error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error moderating comment'
+    })
+  }
+}
+
+module.exports = {
+  getArticleComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  getModerationQueue,
+  moderateComment
+}
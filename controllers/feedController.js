@@ -0,0 +1,144 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const Article = require('../models/Article')
+const { validationResult } = require('express-validator')
+const site = require('../config/site')
+const { buildPublicArticleQuery } = require('../utils/articleQuery')
+const { renderArticleHtml } = require('../utils/htmlRenderer')
+const { FEED_FORMATS } = require('../utils/feedBuilder')
+
+const DEFAULT_FEED_LIMIT = 20
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.avif': 'image/avif'
+}
+
+// Describe the featured image as an enclosure; local uploads get their real size
+const buildEnclosure = (featuredImage) => {
+  if (!featuredImage) return null
+
+  const url = site.absoluteUrl(featuredImage, site.apiUrl)
+  let pathname = featuredImage
+  try {
+    pathname = new URL(url).pathname
+  } catch (e) {
+    return null
+  }
+
+  const type = IMAGE_TYPES[path.extname(pathname).toLowerCase()] || 'image/jpeg'
+  let length = 0
+  if (pathname.startsWith('/uploads/')) {
+    try {
+      const uploadDir = process.env.UPLOAD_PATH || './uploads'
+      length = fs.statSync(path.join(uploadDir, path.basename(pathname))).size
+    } catch (e) {
+      length = 0
+    }
+  }
+
+  return { url, type, length }
+}
+
+const toFeedItem = (article, fullContent) => ({
+  id: `${site.url}${article.url}`,
+  title: article.title,
+  url: `${site.url}${article.url}`,
+  summary: article.seoDescription || article.excerpt || '',
+  contentHtml: fullContent ? renderArticleHtml(article) : null,
+  authorName: article.author ? article.author.name : null,
+  publishedAt: article.publishedAt,
+  updatedAt: article.updatedAt,
+  tags: [article.category, ...(article.tags || [])].filter(Boolean),
+  image: buildEnclosure(article.featuredImage)
+})
+
+const describeFeed = ({ category, tag, author }, authorName) => {
+  if (category) return `${site.title} - ${category}`
+  if (tag) return `${site.title} - #${tag}`
+  if (author) return `${site.title} - ${authorName || 'Author'}`
+  return site.title
+}
+
+// @desc    Get RSS, Atom or JSON feed of published articles
+// @route   GET /api/public/feed.(xml|atom|json)
+// @route   GET /api/public/(category|tag|author)/:value/feed.(xml|atom|json)
+// @access  Public
+const getFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const format = FEED_FORMATS[req.params.format]
+    if (!format) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown feed format'
+      })
+    }
+
+    const filters = {
+      category: req.params.category || req.query.category,
+      tag: req.params.tag || req.query.tag,
+      author: req.params.authorId || req.query.author
+    }
+    const fullContent = req.query.content !== 'excerpt'
+    const limit = parseInt(req.query.limit) || parseInt(process.env.FEED_LIMIT) || DEFAULT_FEED_LIMIT
+
+    const articles = await Article.getPublished()
+      .where(buildPublicArticleQuery(filters))
+      .limit(limit)
+
+    // Conditional GET: the feed only changes when an entry is added, removed or updated
+    const lastModified = articles.reduce((latest, article) => {
+      const updated = new Date(article.updatedAt || article.publishedAt)
+      return updated > latest ? updated : latest
+    }, new Date(0))
+    const fingerprint = articles.map(article => `${article._id}:${new Date(article.updatedAt).getTime()}`).join(',')
+    const etag = crypto.createHash('sha1')
+      .update(`${req.params.format}|${JSON.stringify(filters)}|${fullContent}|${limit}|${fingerprint}`)
+      .digest('hex')
+
+    res.set('ETag', `"${etag}"`)
+    res.set('Last-Modified', lastModified.toUTCString())
+    res.set('Cache-Control', 'public, max-age=300')
+
+    if (req.fresh) {
+      return res.status(304).end()
+    }
+
+    const meta = {
+      title: describeFeed(filters, articles[0] && articles[0].author && articles[0].author.name),
+      description: site.description,
+      language: site.language,
+      siteUrl: site.url,
+      feedUrl: `${site.apiUrl}${req.originalUrl}`,
+      updated: articles.length ? lastModified : new Date()
+    }
+
+    res.type(format.contentType)
+    res.send(format.build(meta, articles.map(article => toFeedItem(article, fullContent))))
+  } catch (error) {
+    console.error('Get feed error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error generating feed'
+    })
+  }
+}
+
+module.exports = {
+  getFeed
+}
@@ -0,0 +1,127 @@
+const Article = require('../models/Article')
+const { validationResult } = require('express-validator')
+const { isReviewer } = require('../utils/editorialWorkflow')
+const { stringifyFrontMatter } = require('../utils/frontMatter')
+const { articleToMarkdown } = require('../utils/markdown')
+const { parseMarkdownArticle, createImportedArticle } = require('../services/articleImport')
+
+// @desc    Import a Markdown file with YAML front matter as a new draft
+// @route   POST /api/articles/import
+// @access  Private
+const importMarkdown = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    // Either an uploaded file or the document as a JSON string
+    const markdown = req.file ? req.file.buffer.toString('utf8') : req.body.markdown
+    if (!markdown || !markdown.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a Markdown file or a markdown field'
+      })
+    }
+
+    const fields = parseMarkdownArticle(markdown)
+    if (!fields.title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title is required: add a title to the front matter or start the document with a # heading'
+      })
+    }
+
+    const { article, warnings } = await createImportedArticle(fields, req.user)
+    await article.populate('author', 'name email avatar')
+
+    res.status(201).json({
+      success: true,
+      data: { article, warnings },
+      message: 'Article imported as draft'
+    })
+  } catch (error) {
+    console.error('Import markdown error:', error)
+
+    if (error.name === 'ValidationError') {
+      const details = Object.values(error.errors).map((e) => e.message)
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error importing article'
+    })
+  }
+}
+
+// @desc    Export an article as Markdown with YAML front matter
+// @route   GET /api/articles/:id/export?format=md
+// @access  Private
+const exportArticle = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    // Same access as opening the article in the editor
+    const query = { _id: req.params.id }
+    if (!isReviewer(req.user)) {
+      query.author = req.user.id
+    }
+
+    const article = await Article.findOne(query)
+      .select('title slug status category tags seoTitle seoDescription featuredImage publishedAt editorData contentBlocks')
+      .lean()
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    const frontMatter = stringifyFrontMatter({
+      title: article.title,
+      slug: article.slug,
+      category: article.category,
+      tags: article.tags,
+      seoTitle: article.seoTitle,
+      seoDescription: article.seoDescription,
+      featuredImage: article.featuredImage,
+      status: article.status,
+      publishedAt: article.publishedAt
+    })
+    const body = articleToMarkdown(article)
+
+    res.attachment(`${article.slug || article._id}.md`)
+    res.set('Content-Type', 'text/markdown; charset=utf-8')
+    res.send(`${frontMatter}\n${body}\n`)
+  } catch (error) {
+    console.error('Export article error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error exporting article'
+    })
+  }
+}
+
+module.exports = {
+  importMarkdown,
+  exportArticle
+}
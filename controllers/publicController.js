@@ -1,4 +1,17 @@
 const Article = require('../models/Article')
+const Comment = require('../models/Comment')
+const { validationResult } = require('express-validator')
+const { renderArticleHtml } = require('../utils/htmlRenderer')
+const { buildPublicArticleQuery } = require('../utils/articleQuery')
+
+// Add server-rendered, sanitized HTML to the article when ?format=html is requested
+const formatArticle = (article, format) => {
+  if (format !== 'html') return article
+  return {
+    ...article.toJSON(),
+    html: renderArticleHtml(article)
+  }
+}
 
 // @desc    Get public article by slug
 // @route   GET /api/public/articles/:slug
@@ -13,19 +26,41 @@ const getPublicArticle = async (req, res) => {
     }).populate('author', 'name email avatar bio')
 
     if (!article) {
+      // Links to a slug the article used to have redirect permanently to the current one
+      const renamed = await Article.findOne({ previousSlugs: slug, status: 'published' })
+        .sort({ updatedAt: -1 })
+        .select('slug')
+
+      if (renamed) {
+        const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : ''
+        const location = `${req.baseUrl}/articles/${encodeURIComponent(renamed.slug)}${query}`
+        return res.status(301).location(location).json({
+          success: true,
+          data: {
+            redirect: {
+              slug: renamed.slug,
+              url: renamed.url,
+              location
+            }
+          },
+          message: 'This article has moved'
+        })
+      }
+
       return res.status(404).json({
         success: false,
         error: 'Article not found or not published'
       })
     }
 
-    // Increment view count
+    // Increment view count. A view isn't an edit, so updatedAt (which feed and sitemap
+    // dates come from) is left alone.
+    await Article.updateOne({ _id: article._id }, { $inc: { views: 1 } }, { timestamps: false })
     article.views += 1
-    await article.save()
 
     res.json({
       success: true,
-      data: { article }
+      data: { article: formatArticle(article, req.query.format) }
     })
   } catch (error) {
     console.error('Get public article error:', error)
@@ -55,9 +90,10 @@ const getPublicArticleById = async (req, res) => {
       })
     }
 
-    // Increment view count
+    // Increment view count. A view isn't an edit, so updatedAt (which feed and sitemap
+    // dates come from) is left alone.
+    await Article.updateOne({ _id: article._id }, { $inc: { views: 1 } }, { timestamps: false })
     article.views += 1
-    await article.save()
 
     console.log('Public article data being returned:', {
       id: article._id,
@@ -70,7 +106,7 @@ const getPublicArticleById = async (req, res) => {
 
     res.json({
       success: true,
-      data: { article }
+      data: { article: formatArticle(article, req.query.format) }
     })
   } catch (error) {
     console.error('Get public article by ID error:', error)
@@ -86,6 +122,16 @@ const getPublicArticleById = async (req, res) => {
 // @access  Public
 const getPublicArticles = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
     const {
       category,
       tag,
@@ -97,27 +143,7 @@ const getPublicArticles = async (req, res) => {
     } = req.query
 
     // Build query
-    let query = { status: 'published' }
-
-    if (category) {
-      query.category = category
-    }
-
-    if (tag) {
-      query.tags = { $in: [tag] }
-    }
-
-    if (author) {
-      query.author = author
-    }
-
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ]
-    }
+    const query = buildPublicArticleQuery({ category, tag, author, search })
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit)
@@ -133,10 +159,17 @@ const getPublicArticles = async (req, res) => {
     // Get total count
     const total = await Article.countDocuments(query)
 
+    // Attach approved comment counts
+    const commentCounts = await Comment.countByArticles(articles.map(article => article._id))
+    const articlesWithCounts = articles.map(article => ({
+      ...article.toJSON(),
+      commentsCount: commentCounts[article._id.toString()] || 0
+    }))
+
     res.json({
       success: true,
       data: {
-        articles,
+        articles: articlesWithCounts,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -228,6 +261,16 @@ const getPopularArticles = async (req, res) => {
 // @access  Public
 const getArticlesByCategory = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
     const { category } = req.params
     const { page = 1, limit = 10, sort = '-publishedAt' } = req.query
 
@@ -334,8 +377,9 @@ const likeArticle = async (req, res) => {
       })
     }
 
+    // Likes don't change the article, so updatedAt is left alone
+    await Article.updateOne({ _id: article._id }, { $inc: { likes: 1 } }, { timestamps: false })
     article.likes += 1
-    await article.save()
 
     res.json({
       success: true,
@@ -0,0 +1,296 @@
+const Article = require('../models/Article')
+const ArticleRevision = require('../models/ArticleRevision')
+const { validationResult } = require('express-validator')
+const { diffSnapshots } = require('../utils/blockDiff')
+const { requiresReReview } = require('../utils/editorialWorkflow')
+
+// Find an article owned by the current user
+const findOwnedArticle = (req) => {
+  return Article.findOne({
+    _id: req.params.id,
+    author: req.user.id
+  })
+}
+
+// @desc    List revisions of an article
+// @route   GET /api/articles/:id/revisions
+// @access  Private
+const getRevisions = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { page = 1, limit = 20 } = req.query
+
+    const article = await findOwnedArticle(req)
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const revisions = await ArticleRevision.find({ article: article._id })
+      .populate('createdBy', 'name email avatar')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-editorData -contentBlocks')
+
+    const total = await ArticleRevision.countDocuments({ article: article._id })
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get revisions error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting revisions'
+    })
+  }
+}
+
+// @desc    Get a single revision with its full content
+// @route   GET /api/articles/:id/revisions/:revision
+// @access  Private
+const getRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const article = await findOwnedArticle(req)
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    const revision = await ArticleRevision.findOne({
+      article: article._id,
+      revision: parseInt(req.params.revision)
+    }).populate('createdBy', 'name email avatar')
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { revision }
+    })
+  } catch (error) {
+    console.error('Get revision error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting revision'
+    })
+  }
+}
+
+// @desc    Diff two revisions (or a revision against the current article)
+// @route   GET /api/articles/:id/revisions/diff?from=&to=
+// @access  Private
+const diffRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { from, to } = req.query
+
+    const article = await findOwnedArticle(req)
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    const fromRevision = await ArticleRevision.findOne({
+      article: article._id,
+      revision: parseInt(from)
+    })
+
+    if (!fromRevision) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision ${from} not found`
+      })
+    }
+
+    // Without "to", compare against the article as it currently is
+    let toSnapshot = ArticleRevision.snapshot(article)
+    if (to !== undefined) {
+      const toRevision = await ArticleRevision.findOne({
+        article: article._id,
+        revision: parseInt(to)
+      })
+
+      if (!toRevision) {
+        return res.status(404).json({
+          success: false,
+          error: `Revision ${to} not found`
+        })
+      }
+      toSnapshot = toRevision.toObject()
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revision,
+        to: to !== undefined ? parseInt(to) : 'current',
+        diff: diffSnapshots(fromRevision.toObject(), toSnapshot)
+      }
+    })
+  } catch (error) {
+    console.error('Diff revisions error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error comparing revisions'
+    })
+  }
+}
+
+// @desc    Restore a revision's content; non-reviewers restore reviewed articles as drafts
+// @route   POST /api/articles/:id/revisions/:revision/restore
+// @access  Private
+const restoreRevision = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const article = await findOwnedArticle(req)
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    const revision = await ArticleRevision.findOne({
+      article: article._id,
+      revision: parseInt(req.params.revision)
+    })
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      })
+    }
+
+    ArticleRevision.SNAPSHOT_FIELDS.forEach(field => {
+      article[field] = revision[field]
+    })
+
+    // Only a reviewer can put old content straight into an approved, scheduled or
+    // published article; anyone else's restore starts over as a draft
+    const previousStatus = article.status
+    if (req.body.asDraft === true || requiresReReview(req.user, previousStatus)) {
+      article.status = 'draft'
+      article.publishAt = null
+      article.publishedAt = undefined
+    }
+
+    // save() so the slug, excerpt and readTime hooks run for the restored content
+    await article.save()
+
+    if (article.status !== previousStatus) {
+      await Article.recordTransition(article._id, {
+        action: 'status_change',
+        from: previousStatus,
+        to: article.status,
+        actor: req.user.id,
+        note: `Restored revision ${revision.revision}`
+      })
+    }
+
+    await ArticleRevision.record(article, {
+      userId: req.user.id,
+      reason: 'restore',
+      restoredFrom: revision.revision
+    })
+
+    await article.populate('author', 'name email avatar')
+
+    res.json({
+      success: true,
+      data: { article },
+      message: article.status === 'draft'
+        ? `Revision ${revision.revision} restored as draft`
+        : `Revision ${revision.revision} restored`
+    })
+  } catch (error) {
+    console.error('Restore revision error:', error)
+
+    if (error.name === 'ValidationError') {
+      const details = Object.values(error.errors).map((e) => e.message)
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        details
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'An article with this title already exists. Please use a different title.'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error restoring revision'
+    })
+  }
+}
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+}
@@ -0,0 +1,468 @@
+const User = require('../models/User')
+const RoleRequest = require('../models/RoleRequest')
+const Invite = require('../models/Invite')
+const AuditLog = require('../models/AuditLog')
+const site = require('../config/site')
+const { validationResult } = require('express-validator')
+
+const ROLE_RANK = { user: 0, author: 1, editor: 2, admin: 3 }
+
+const inviteExpiresHours = () => parseInt(process.env.INVITE_EXPIRES_HOURS) || 72
+
+// @desc    Request the author role
+// @route   POST /api/auth/role-requests
+// @access  Private
+const createRoleRequest = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    if (ROLE_RANK[req.user.role] >= ROLE_RANK.author) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have author access'
+      })
+    }
+
+    const pending = await RoleRequest.findOne({ user: req.user.id, status: 'pending' })
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a pending role request'
+      })
+    }
+
+    const roleRequest = await RoleRequest.create({
+      user: req.user.id,
+      requestedRole: 'author',
+      reason: req.body.reason
+    })
+
+    await AuditLog.record('role_request.created', {
+      actor: req.user.id,
+      targetUser: req.user.id,
+      details: { roleRequest: roleRequest._id, requestedRole: roleRequest.requestedRole },
+      ip: req.ip
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { roleRequest },
+      message: 'Role request submitted for approval'
+    })
+  } catch (error) {
+    console.error('Create role request error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating role request'
+    })
+  }
+}
+
+// @desc    Get current user's role requests
+// @route   GET /api/auth/role-requests
+// @access  Private
+const getMyRoleRequests = async (req, res) => {
+  try {
+    const roleRequests = await RoleRequest.find({ user: req.user.id })
+      .sort('-createdAt')
+
+    res.json({
+      success: true,
+      data: { roleRequests }
+    })
+  } catch (error) {
+    console.error('Get my role requests error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting role requests'
+    })
+  }
+}
+
+// @desc    List role requests
+// @route   GET /api/admin/role-requests
+// @access  Private (admin)
+const getRoleRequests = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query
+
+    const query = status === 'all' ? {} : { status }
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const roleRequests = await RoleRequest.find(query)
+      .populate('user', 'name email role avatar createdAt')
+      .populate('reviewedBy', 'name email')
+      .sort('createdAt')
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await RoleRequest.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        roleRequests,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get role requests error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting role requests'
+    })
+  }
+}
+
+// Approve or reject a pending role request
+const reviewRoleRequest = (decision) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const roleRequest = await RoleRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: decision,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    )
+
+    if (!roleRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending role request not found'
+      })
+    }
+
+    if (decision === 'approved') {
+      // Only ever upgrade; a user promoted some other way keeps the higher role
+      await User.updateOne(
+        { _id: roleRequest.user, role: 'user' },
+        { role: roleRequest.requestedRole }
+      )
+    }
+
+    await AuditLog.record(`role_request.${decision}`, {
+      actor: req.user.id,
+      targetUser: roleRequest.user,
+      details: { roleRequest: roleRequest._id, requestedRole: roleRequest.requestedRole, note: req.body.note },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { roleRequest },
+      message: `Role request ${decision}`
+    })
+  } catch (error) {
+    console.error(`Role request ${decision} error:`, error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error reviewing role request'
+    })
+  }
+}
+
+// @desc    Approve a role request
+// @route   PUT /api/admin/role-requests/:id/approve
+// @access  Private (admin)
+const approveRoleRequest = reviewRoleRequest('approved')
+
+// @desc    Reject a role request
+// @route   PUT /api/admin/role-requests/:id/reject
+// @access  Private (admin)
+const rejectRoleRequest = reviewRoleRequest('rejected')
+
+// @desc    Create a single-use invite link with a pre-assigned role
+// @route   POST /api/admin/invites
+// @access  Private (admin)
+const createInvite = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { role, email, expiresInHours } = req.body
+
+    const { token, invite } = await Invite.createInvite({
+      role,
+      email,
+      createdBy: req.user.id,
+      expiresInHours: parseInt(expiresInHours) || inviteExpiresHours()
+    })
+
+    await AuditLog.record('invite.created', {
+      actor: req.user.id,
+      details: { invite: invite._id, role, email: invite.email, expiresAt: invite.expiresAt },
+      ip: req.ip
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        invite,
+        // Shown only once; only the hash is stored
+        token,
+        url: `${site.url}/register?invite=${token}`
+      },
+      message: 'Invite created'
+    })
+  } catch (error) {
+    console.error('Create invite error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating invite'
+    })
+  }
+}
+
+// @desc    List invites
+// @route   GET /api/admin/invites
+// @access  Private (admin)
+const getInvites = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { page = 1, limit = 20 } = req.query
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const invites = await Invite.find()
+      .populate('createdBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit))
+
+    const total = await Invite.countDocuments()
+
+    res.json({
+      success: true,
+      data: {
+        invites,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get invites error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting invites'
+    })
+  }
+}
+
+// @desc    Revoke an unused invite
+// @route   DELETE /api/admin/invites/:id
+// @access  Private (admin)
+const revokeInvite = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, usedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    )
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active invite not found'
+      })
+    }
+
+    await AuditLog.record('invite.revoked', {
+      actor: req.user.id,
+      details: { invite: invite._id, role: invite.role },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { invite },
+      message: 'Invite revoked'
+    })
+  } catch (error) {
+    console.error('Revoke invite error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error revoking invite'
+    })
+  }
+}
+
+// @desc    Check whether an invite token is usable
+// @route   GET /api/auth/invites/:token
+// @access  Public
+const checkInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findUsable(req.params.token)
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite is invalid, expired or already used'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        role: invite.role,
+        email: invite.email || null,
+        expiresAt: invite.expiresAt
+      }
+    })
+  } catch (error) {
+    console.error('Check invite error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error checking invite'
+    })
+  }
+}
+
+// Redeem an invite for a user and apply its role. Returns an error message or null.
+const redeemInvite = async (token, user, ip) => {
+  const usable = await Invite.findUsable(token)
+  if (!usable) {
+    return 'Invite is invalid, expired or already used'
+  }
+  if (usable.email && usable.email !== user.email) {
+    return 'This invite was issued for a different email address'
+  }
+  if (ROLE_RANK[user.role] >= ROLE_RANK[usable.role]) {
+    return `You already have the ${user.role} role`
+  }
+
+  const invite = await Invite.redeem(token, user._id)
+  if (!invite) {
+    return 'Invite is invalid, expired or already used'
+  }
+
+  user.role = invite.role
+  await user.save({ validateBeforeSave: false })
+
+  await AuditLog.record('invite.used', {
+    actor: user._id,
+    targetUser: user._id,
+    details: { invite: invite._id, role: invite.role },
+    ip
+  })
+
+  return null
+}
+
+// @desc    Accept an invite as an existing user
+// @route   POST /api/auth/invites/accept
+// @access  Private
+const acceptInvite = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.user.id)
+    const inviteError = await redeemInvite(req.body.token, user, req.ip)
+
+    if (inviteError) {
+      return res.status(400).json({
+        success: false,
+        error: inviteError
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { role: user.role },
+      message: `Invite accepted. Your role is now ${user.role}.`
+    })
+  } catch (error) {
+    console.error('Accept invite error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error accepting invite'
+    })
+  }
+}
+
+module.exports = {
+  redeemInvite,
+  createRoleRequest,
+  getMyRoleRequests,
+  getRoleRequests,
+  approveRoleRequest,
+  rejectRoleRequest,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  checkInvite,
+  acceptInvite
+}
@@ -0,0 +1,50 @@
+const { validationResult } = require('express-validator')
+const { searchArticles } = require('../services/search')
+
+// @desc    Full-text search of published articles with highlights and facet counts
+// @route   GET /api/public/search
+// @access  Public
+const searchPublicArticles = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { q, category, tag, author, sort = 'relevance' } = req.query
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 10
+
+    const { articles, total, facets } = await searchArticles({ q, category, tag, author, sort, page, limit })
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        articles,
+        facets,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Search articles error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error searching articles'
+    })
+  }
+}
+
+module.exports = {
+  searchPublicArticles
+}
@@ -0,0 +1,173 @@
+const Article = require('../models/Article')
+const site = require('../config/site')
+const { MAX_URLS_PER_SITEMAP, buildUrlset, buildSitemapIndex } = require('../utils/sitemapBuilder')
+
+const PUBLISHED = { status: 'published' }
+
+// SITEMAP_MAX_URLS can lower the per-file limit (never raise it past the protocol maximum)
+const maxUrlsPerSitemap = () => {
+  return Math.min(parseInt(process.env.SITEMAP_MAX_URLS) || MAX_URLS_PER_SITEMAP, MAX_URLS_PER_SITEMAP)
+}
+
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', 'public, max-age=3600')
+  res.type('application/xml; charset=utf-8')
+  res.send(xml)
+}
+
+const articleEntry = (article) => ({
+  loc: site.absoluteUrl(article.url),
+  lastmod: article.updatedAt,
+  changefreq: 'weekly',
+  priority: 0.8
+})
+
+// Group published articles by a field and return each value with its latest update
+const latestBy = (field, { unwind = false } = {}) => {
+  const pipeline = [{ $match: { ...PUBLISHED, [field]: { $exists: true, $nin: [null, ''] } } }]
+  if (unwind) pipeline.push({ $unwind: `$${field}` })
+  pipeline.push(
+    { $group: { _id: `$${field}`, lastmod: { $max: '$updatedAt' } } },
+    { $sort: { _id: 1 } }
+  )
+  return Article.aggregate(pipeline)
+}
+
+// Home page plus category, tag and author listing pages
+const getListingEntries = async () => {
+  const [latest, categories, tags, authors] = await Promise.all([
+    Article.findOne(PUBLISHED).sort({ updatedAt: -1 }).select('updatedAt'),
+    latestBy('category'),
+    latestBy('tags', { unwind: true }),
+    latestBy('author')
+  ])
+
+  const listing = (path, value, lastmod) => ({
+    loc: site.absoluteUrl(`${path}/${encodeURIComponent(value)}`),
+    lastmod,
+    changefreq: 'daily',
+    priority: 0.5
+  })
+
+  return [
+    { loc: `${site.url}/`, lastmod: latest ? latest.updatedAt : null, changefreq: 'daily', priority: 1.0 },
+    ...categories.map(({ _id, lastmod }) => listing(site.paths.category, _id, lastmod)),
+    ...tags.map(({ _id, lastmod }) => listing(site.paths.tag, _id, lastmod)),
+    ...authors.map(({ _id, lastmod }) => listing(site.paths.author, _id.toString(), lastmod))
+  ]
+}
+
+const getArticleEntries = async (skip = 0, limit = MAX_URLS_PER_SITEMAP) => {
+  const articles = await Article.find(PUBLISHED)
+    .sort({ _id: 1 })
+    .skip(skip)
+    .limit(limit)
+    .select('slug updatedAt')
+  return articles.map(articleEntry)
+}
+
+// @desc    Sitemap of published content, or a sitemap index once it outgrows one file
+// @route   GET /sitemap.xml
+// @access  Public
+const getSitemap = async (req, res) => {
+  try {
+    const maxUrls = maxUrlsPerSitemap()
+    const [articleCount, listings] = await Promise.all([
+      Article.countDocuments(PUBLISHED),
+      getListingEntries()
+    ])
+
+    if (articleCount + listings.length <= maxUrls) {
+      const articles = await getArticleEntries()
+      return sendXml(res, buildUrlset([...listings, ...articles]))
+    }
+
+    // The home page entry carries the most recent update across all articles
+    const lastmod = listings[0].lastmod
+    const sitemaps = []
+    for (let page = 1; page <= Math.ceil(listings.length / maxUrls); page++) {
+      sitemaps.push({ loc: `${site.apiUrl}/sitemaps/listings-${page}.xml`, lastmod })
+    }
+    for (let page = 1; page <= Math.ceil(articleCount / maxUrls); page++) {
+      sitemaps.push({ loc: `${site.apiUrl}/sitemaps/articles-${page}.xml`, lastmod })
+    }
+
+    sendXml(res, buildSitemapIndex(sitemaps))
+  } catch (error) {
+    console.error('Get sitemap error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error generating sitemap'
+    })
+  }
+}
+
+// @desc    One page of a paged sitemap
+// @route   GET /sitemaps/:section-:page.xml
+// @access  Public
+const getSitemapPage = async (req, res) => {
+  try {
+    const { section } = req.params
+    const page = parseInt(req.params.page)
+    const maxUrls = maxUrlsPerSitemap()
+
+    if (!['articles', 'listings'].includes(section) || !(page >= 1)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sitemap not found'
+      })
+    }
+
+    const skip = (page - 1) * maxUrls
+    const entries = section === 'articles'
+      ? await getArticleEntries(skip, maxUrls)
+      : (await getListingEntries()).slice(skip, skip + maxUrls)
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sitemap not found'
+      })
+    }
+
+    sendXml(res, buildUrlset(entries))
+  } catch (error) {
+    console.error('Get sitemap page error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error generating sitemap'
+    })
+  }
+}
+
+// @desc    robots.txt built from ROBOTS_* settings
+// @route   GET /robots.txt
+// @access  Public
+const getRobots = (req, res) => {
+  const list = (value, fallback) => (value !== undefined ? value : fallback)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+
+  const lines = ['User-agent: *']
+  if (process.env.ROBOTS_DISALLOW_ALL === 'true') {
+    // e.g. staging: keep crawlers out entirely
+    lines.push('Disallow: /')
+  } else {
+    list(process.env.ROBOTS_ALLOW, '').forEach(path => lines.push(`Allow: ${path}`))
+    const disallow = list(process.env.ROBOTS_DISALLOW, '/api/')
+    if (disallow.length === 0) lines.push('Disallow:')
+    disallow.forEach(path => lines.push(`Disallow: ${path}`))
+  }
+  lines.push('', `Sitemap: ${site.apiUrl}/sitemap.xml`, '')
+
+  res.set('Cache-Control', 'public, max-age=3600')
+  res.type('text/plain; charset=utf-8')
+  res.send(lines.join('\n'))
+}
+
+module.exports = {
+  getSitemap,
+  getSitemapPage,
+  getRobots
+}
@@ -0,0 +1,389 @@
+const Article = require('../models/Article')
+const Tag = require('../models/Tag')
+const AuditLog = require('../models/AuditLog')
+const { validationResult } = require('express-validator')
+const { buildPublicArticleQuery } = require('../utils/articleQuery')
+const { escapeRegex } = require('../utils/regex')
+const { normalizeTag } = require('../utils/tags')
+const { getTagCounts, withDescriptions, mergeTags: mergeTagNames, removeTag } = require('../services/tags')
+
+// @desc    List tags on published articles with their article counts
+// @route   GET /api/public/tags
+// @access  Public
+const getPublicTags = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { search, sort = 'count', limit } = req.query
+
+    const tags = await getTagCounts({
+      match: { status: 'published' },
+      search,
+      sort,
+      limit: limit ? parseInt(limit) : undefined
+    })
+
+    res.json({
+      success: true,
+      data: { tags: await withDescriptions(tags) }
+    })
+  } catch (error) {
+    console.error('Get public tags error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting tags'
+    })
+  }
+}
+
+// @desc    Tag landing page: the tag's description and its published articles
+// @route   GET /api/public/tags/:tag
+// @access  Public
+const getPublicTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { tag } = req.params
+    const { page = 1, limit = 10, sort = '-publishedAt' } = req.query
+
+    const query = buildPublicArticleQuery({ tag })
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const [articles, total, details] = await Promise.all([
+      Article.find(query)
+        .populate('author', 'name email avatar')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-contentBlocks'),
+      Article.countDocuments(query),
+      Tag.findOne({ name: tag }).select('description').lean()
+    ])
+
+    if (total === 0 && !details) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tag: {
+          name: tag,
+          description: details ? details.description : '',
+          articleCount: total
+        },
+        articles,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get public tag error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting tag'
+    })
+  }
+}
+
+// @desc    Autocomplete tag names for the editor, most used first
+// @route   GET /api/articles/tags/suggest
+// @access  Private
+const suggestTags = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { q, limit = 10 } = req.query
+
+    // Published tags plus the user's own drafts, so other authors' unpublished tags stay private
+    const tags = await getTagCounts({
+      match: { $or: [{ status: 'published' }, { author: req.user._id }] },
+      search: q,
+      prefix: true,
+      limit: parseInt(limit)
+    })
+
+    res.json({
+      success: true,
+      data: { tags }
+    })
+  } catch (error) {
+    console.error('Suggest tags error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error suggesting tags'
+    })
+  }
+}
+
+// @desc    List every tag with counts of articles in any status, including described but unused tags
+// @route   GET /api/admin/tags
+// @access  Private (admin)
+const getAdminTags = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { search, sort = 'count' } = req.query
+
+    const used = await getTagCounts({ search, sort })
+    const usedNames = new Set(used.map(tag => tag.name))
+
+    const filter = search ? { name: new RegExp(escapeRegex(normalizeTag(search))) } : {}
+    const unused = (await Tag.find(filter).select('name').lean())
+      .filter(tag => !usedNames.has(tag.name))
+      .map(tag => ({ name: tag.name, articleCount: 0 }))
+
+    let tags = [...used, ...unused]
+    if (sort === 'name') {
+      tags = tags.sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    res.json({
+      success: true,
+      data: { tags: await withDescriptions(tags) }
+    })
+  } catch (error) {
+    console.error('Admin get tags error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting tags'
+    })
+  }
+}
+
+// @desc    Set a tag's landing page description
+// @route   PUT /api/admin/tags/:tag
+// @access  Private (admin)
+const updateTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { tag } = req.params
+
+    const details = await Tag.findOneAndUpdate(
+      { name: tag },
+      { description: req.body.description, updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    )
+
+    await AuditLog.record('tag.updated', {
+      actor: req.user.id,
+      details: { tag },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { tag: details },
+      message: 'Tag updated'
+    })
+  } catch (error) {
+    console.error('Update tag error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating tag'
+    })
+  }
+}
+
+// @desc    Rename a tag on every article; renaming to an existing tag merges the two
+// @route   POST /api/admin/tags/:tag/rename
+// @access  Private (admin)
+const renameTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { tag } = req.params
+    const { name } = req.body
+
+    if (name === tag) {
+      return res.status(400).json({
+        success: false,
+        error: 'The new name is the same as the current one'
+      })
+    }
+
+    const [inUse, details, targetExists] = await Promise.all([
+      Article.exists({ tags: tag }),
+      Tag.exists({ name: tag }),
+      Article.exists({ tags: name })
+    ])
+    if (!inUse && !details) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      })
+    }
+
+    const result = await mergeTagNames([tag], name)
+
+    await AuditLog.record('tag.renamed', {
+      actor: req.user.id,
+      details: { from: tag, to: name, articles: result.articles },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { tag: name, articles: result.articles, merged: Boolean(targetExists) },
+      message: targetExists ? `Tag merged into existing tag "${name}"` : 'Tag renamed'
+    })
+  } catch (error) {
+    console.error('Rename tag error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error renaming tag'
+    })
+  }
+}
+
+// @desc    Merge several tags into one, rewriting every affected article
+// @route   POST /api/admin/tags/merge
+// @access  Private (admin)
+const mergeTags = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { sources, target } = req.body
+
+    const result = await mergeTagNames(sources, target)
+
+    if (result.merged.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one tag other than the target to merge'
+      })
+    }
+
+    await AuditLog.record('tag.merged', {
+      actor: req.user.id,
+      details: { sources: result.merged, target, articles: result.articles },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { tag: target, merged: result.merged, articles: result.articles },
+      message: `Merged ${result.merged.length} tag(s) into "${target}"`
+    })
+  } catch (error) {
+    console.error('Merge tags error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error merging tags'
+    })
+  }
+}
+
+// @desc    Remove a tag from every article
+// @route   DELETE /api/admin/tags/:tag
+// @access  Private (admin)
+const deleteTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { tag } = req.params
+
+    const articles = await removeTag(tag)
+
+    await AuditLog.record('tag.deleted', {
+      actor: req.user.id,
+      details: { tag, articles },
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { articles },
+      message: 'Tag deleted'
+    })
+  } catch (error) {
+    console.error('Delete tag error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting tag'
+    })
+  }
+}
+
+module.exports = {
+  getPublicTags,
+  getPublicTag,
+  suggestTags,
+  getAdminTags,
+  updateTag,
+  renameTag,
+  mergeTags,
+  deleteTag
+}
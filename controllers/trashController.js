@@ -0,0 +1,144 @@
+const Article = require('../models/Article')
+const { validationResult } = require('express-validator')
+const { retentionDays, purgeDate, restoreArticle, purgeArticles } = require('../services/articleTrash')
+
+const TRASHED = { deletedAt: { $ne: null } }
+
+// @desc    List the current user's trashed articles with their purge dates
+// @route   GET /api/articles/trash
+// @access  Private
+const getTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const { page = 1, limit = 10 } = req.query
+    const query = { ...TRASHED, author: req.user.id }
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const [articles, total] = await Promise.all([
+      Article.find(query)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('title slug status category tags featuredImage excerpt deletedAt deletedBy updatedAt')
+        .lean(),
+      Article.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        articles: articles.map(article => ({ ...article, purgeAt: purgeDate(article.deletedAt) })),
+        retentionDays: retentionDays(),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get trash error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting trash'
+    })
+  }
+}
+
+// Find one of the current user's trashed articles, or send a 404
+const findTrashed = async (req, res) => {
+  const article = await Article.findOne({ ...TRASHED, _id: req.params.id, author: req.user.id })
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      error: 'Article not found in trash'
+    })
+  }
+  return article
+}
+
+// @desc    Restore an article from the trash
+// @route   POST /api/articles/trash/:id/restore
+// @access  Private
+const restoreFromTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const article = await findTrashed(req, res)
+    if (!article) return
+
+    await restoreArticle(article, req.user.id)
+
+    const restored = await Article.findById(article._id).populate('author', 'name email avatar')
+
+    res.json({
+      success: true,
+      data: { article: restored },
+      message: 'Article restored'
+    })
+  } catch (error) {
+    console.error('Restore article error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error restoring article'
+    })
+  }
+}
+
+// @desc    Permanently delete a trashed article, with its revisions, comments and unused images
+// @route   DELETE /api/articles/trash/:id
+// @access  Private
+const deleteFromTrash = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const article = await findTrashed(req, res)
+    if (!article) return
+
+    const result = await purgeArticles([article._id])
+
+    res.json({
+      success: true,
+      data: { uploadsRemoved: result.uploads },
+      message: 'Article permanently deleted'
+    })
+  } catch (error) {
+    console.error('Permanently delete article error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting article'
+    })
+  }
+}
+
+module.exports = {
+  getTrash,
+  restoreFromTrash,
+  deleteFromTrash
+}
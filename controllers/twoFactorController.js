@@ -0,0 +1,269 @@
+const User = require('../models/User')
+const AuditLog = require('../models/AuditLog')
+const { validationResult } = require('express-validator')
+const { generateSecret, verifyCode, buildProvisioningUri } = require('../utils/totp')
+const { issuer, isTwoFactorRequired, verifySecondFactor } = require('../services/twoFactor')
+
+// @desc    Get two-factor status for the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes')
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+      }
+    })
+  } catch (error) {
+    console.error('Get 2FA status error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting two-factor status'
+    })
+  }
+}
+
+// @desc    Start enrollment: generate a secret and provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      })
+    }
+
+    const secret = generateSecret()
+    user.twoFactorPendingSecret = secret
+    await user.save({ validateBeforeSave: false })
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildProvisioningUri({ secret, accountName: user.email, issuer: issuer() })
+      },
+      message: 'Scan the code with your authenticator app, then confirm with a code to enable two-factor authentication'
+    })
+  } catch (error) {
+    console.error('Setup 2FA error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error setting up two-factor authentication'
+    })
+  }
+}
+
+// @desc    Confirm enrollment with the first code; returns recovery codes once
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret')
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      })
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      })
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code)
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      })
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret
+    user.twoFactorPendingSecret = undefined
+    user.twoFactorEnabled = true
+    user.twoFactorEnabledAt = new Date()
+    user.twoFactorLastStep = step
+    user.twoFactorFailures = 0
+    const recoveryCodes = user.createRecoveryCodes()
+    await user.save({ validateBeforeSave: false })
+
+    await AuditLog.record('two_factor.enabled', {
+      actor: user._id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.'
+    })
+  } catch (error) {
+    console.error('Enable 2FA error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error enabling two-factor authentication'
+    })
+  }
+}
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret')
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      })
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: `Two-factor authentication is required for the ${user.role} role`
+      })
+    }
+
+    const isMatch = await user.comparePassword(req.body.password)
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      })
+    }
+
+    if (!await verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      })
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 }
+      }
+    )
+
+    await AuditLog.record('two_factor.disabled', {
+      actor: user._id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    })
+  } catch (error) {
+    console.error('Disable 2FA error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error disabling two-factor authentication'
+    })
+  }
+}
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret')
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      })
+    }
+
+    if (await verifySecondFactor(user, { code: req.body.code }) !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      })
+    }
+
+    const recoveryCodes = user.createRecoveryCodes()
+    await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes })
+
+    await AuditLog.record('two_factor.recovery_codes_regenerated', {
+      actor: user._id,
+      targetUser: user._id,
+      ip: req.ip
+    })
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      message: 'New recovery codes generated; the old ones no longer work'
+    })
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error generating recovery codes'
+    })
+  }
+}
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+}
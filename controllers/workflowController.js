@@ -0,0 +1,222 @@
+const Article = require('../models/Article')
+const { validationResult } = require('express-validator')
+const { TRANSITIONS, isReviewer, isOwner } = require('../utils/editorialWorkflow')
+
+// Move req.article (loaded by authorizeTransition) through a workflow transition
+const applyTransition = async (req, action, note) => {
+  const article = req.article
+  const from = article.status
+  const to = TRANSITIONS[action].to
+
+  article.status = to
+  await article.save()
+
+  const update = {
+    $push: {
+      workflowHistory: { action, from, to, actor: req.user.id, note, at: new Date() }
+    }
+  }
+  if (note) {
+    update.$push.reviewNotes = { author: req.user.id, note }
+  }
+  await Article.updateOne({ _id: article._id }, update)
+
+  await article.populate('author', 'name email avatar')
+  return article
+}
+
+// Build a handler for a transition that takes an optional (or required) note
+const transitionHandler = (action, { successMessage, errorMessage, noteRequired = false }) => {
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        })
+      }
+
+      const note = req.body && req.body.note ? req.body.note.trim() : undefined
+      if (noteRequired && !note) {
+        return res.status(400).json({
+          success: false,
+          error: 'A review note is required'
+        })
+      }
+
+      const article = await applyTransition(req, action, note)
+
+      res.json({
+        success: true,
+        data: { article },
+        message: successMessage
+      })
+    } catch (error) {
+      console.error(`Workflow ${action} error:`, error)
+      res.status(500).json({
+        success: false,
+        error: errorMessage
+      })
+    }
+  }
+}
+
+// @desc    Submit article for review
+// @route   PUT /api/articles/:id/submit
+// @access  Private (owner, editor, admin)
+const submitForReview = transitionHandler('submit', {
+  successMessage: 'Article submitted for review',
+  errorMessage: 'Server error submitting article for review'
+})
+
+// @desc    Withdraw article from review
+// @route   PUT /api/articles/:id/withdraw
+// @access  Private (owner, editor, admin)
+const withdrawFromReview = transitionHandler('withdraw', {
+  successMessage: 'Article withdrawn from review',
+  errorMessage: 'Server error withdrawing article from review'
+})
+
+// @desc    Approve article
+// @route   PUT /api/articles/:id/approve
+// @access  Private (editor, admin)
+const approveArticle = transitionHandler('approve', {
+  successMessage: 'Article approved',
+  errorMessage: 'Server error approving article'
+})
+
+// @desc    Request changes to an article under review
+// @route   PUT /api/articles/:id/request-changes
+// @access  Private (editor, admin)
+const requestChanges = transitionHandler('request_changes', {
+  successMessage: 'Changes requested',
+  errorMessage: 'Server error requesting changes',
+  noteRequired: true
+})
+
+// @desc    Add a review note without changing status
+// @route   POST /api/articles/:id/review-notes
+// @access  Private (owner, editor, admin)
+const addReviewNote = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      })
+    }
+
+    const article = await Article.findById(req.params.id)
+
+    if (!article || !(isReviewer(req.user) || isOwner(req.user, article))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    const note = { author: req.user.id, note: req.body.note.trim(), createdAt: new Date() }
+    // Notes are internal, so updatedAt (the sitemap's lastmod) is left alone
+    await Article.updateOne({ _id: article._id }, { $push: { reviewNotes: note } }, { timestamps: false })
+
+    res.status(201).json({
+      success: true,
+      data: { note },
+      message: 'Review note added'
+    })
+  } catch (error) {
+    console.error('Add review note error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error adding review note'
+    })
+  }
+}
+
+// @desc    Get workflow status, history and review notes for an article
+// @route   GET /api/articles/:id/workflow
+// @access  Private (owner, editor, admin)
+const getWorkflow = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id)
+      .select('title slug status author +workflowHistory +reviewNotes')
+      .populate('workflowHistory.actor', 'name email avatar role')
+      .populate('reviewNotes.author', 'name email avatar role')
+
+    if (!article || !(isReviewer(req.user) || isOwner(req.user, article))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: article.status,
+        history: article.workflowHistory,
+        reviewNotes: article.reviewNotes
+      }
+    })
+  } catch (error) {
+    console.error('Get workflow error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting workflow'
+    })
+  }
+}
+
+// @desc    List articles waiting for review
+// @route   GET /api/articles/review-queue
+// @access  Private (editor, admin)
+const getReviewQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = 'in_review' } = req.query
+
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+    const query = { status }
+
+    const articles = await Article.find(query)
+      .populate('author', 'name email avatar')
+      .sort('updatedAt')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-contentBlocks -editorData')
+
+    const total = await Article.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    })
+  } catch (error) {
+    console.error('Get review queue error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting review queue'
+    })
+  }
+}
+
+module.exports = {
+  submitForReview,
+  withdrawFromReview,
+  approveArticle,
+  requestChanges,
+  addReviewNote,
+  getWorkflow,
+  getReviewQueue
+}
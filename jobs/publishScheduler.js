@@ -0,0 +1,81 @@
+const Article = require('../models/Article')
+
+const DEFAULT_INTERVAL_MS = 60 * 1000
+
+let timer = null
+let running = false
+
+// Publish scheduled articles that are due and archive published ones past their unpublishAt
+const runScheduledPublishing = async (now = new Date()) => {
+  const result = { published: 0, archived: 0 }
+
+  const dueForPublishing = await Article.getDueForPublishing(now)
+  for (const article of dueForPublishing) {
+    try {
+      article.status = 'published'
+      // save() so the pre-save hook sets publishedAt exactly as a manual publish would
+      await article.save()
+      await Article.recordTransition(article._id, { action: 'publish', from: 'scheduled', to: 'published' })
+      result.published++
+    } catch (error) {
+      console.error(`Scheduler: failed to publish article ${article._id}:`, error.message)
+    }
+  }
+
+  const dueForUnpublishing = await Article.getDueForUnpublishing(now)
+  for (const article of dueForUnpublishing) {
+    try {
+      article.status = 'archived'
+      await article.save()
+      await Article.recordTransition(article._id, { action: 'archive', from: 'published', to: 'archived' })
+      result.archived++
+    } catch (error) {
+      console.error(`Scheduler: failed to archive article ${article._id}:`, error.message)
+    }
+  }
+
+  if (result.published || result.archived) {
+    console.log(`Scheduler: published ${result.published}, archived ${result.archived} article(s)`)
+  }
+
+  return result
+}
+
+const tick = async () => {
+  // Skip a tick if the previous run is still working through a backlog
+  if (running) return
+  running = true
+  try {
+    await runScheduledPublishing()
+  } catch (error) {
+    console.error('Scheduler error:', error.message)
+  } finally {
+    running = false
+  }
+}
+
+// Start the in-process scheduler; runs immediately so items that fell due while
+// the server was down are caught up on boot
+const startPublishScheduler = (intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return timer
+
+  tick()
+  timer = setInterval(tick, intervalMs)
+  // Don't keep the process alive just for the scheduler
+  if (typeof timer.unref === 'function') timer.unref()
+
+  return timer
+}
+
+const stopPublishScheduler = () => {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
+
+module.exports = {
+  runScheduledPublishing,
+  startPublishScheduler,
+  stopPublishScheduler
+}
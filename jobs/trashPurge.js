@@ -0,0 +1,46 @@
+const { purgeExpiredTrash } = require('../services/articleTrash')
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+let timer = null
+let running = false
+
+const tick = async () => {
+  // Skip a tick if the previous purge is still running
+  if (running) return
+  running = true
+  try {
+    const result = await purgeExpiredTrash()
+    if (result.articles) {
+      console.log(`Trash purge: deleted ${result.articles} article(s) and ${result.uploads} unused upload(s)`)
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error.message)
+  } finally {
+    running = false
+  }
+}
+
+// Start the in-process purge of articles past the trash retention period (TRASH_RETENTION_DAYS)
+const startTrashPurge = (intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return timer
+
+  tick()
+  timer = setInterval(tick, intervalMs)
+  // Don't keep the process alive just for the purge
+  if (typeof timer.unref === 'function') timer.unref()
+
+  return timer
+}
+
+const stopTrashPurge = () => {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
+
+module.exports = {
+  startTrashPurge,
+  stopTrashPurge
+}
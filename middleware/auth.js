@@ -1,5 +1,70 @@
 const jwt = require('jsonwebtoken')
 const User = require('../models/User')
+const Article = require('../models/Article')
+const ApiKey = require('../models/ApiKey')
+const { checkTransition } = require('../utils/editorialWorkflow')
+const { isTwoFactorRequired } = require('../services/twoFactor')
+
+// Reachable by accounts that still have to enroll in required 2FA
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout', '/api/auth/logout-all']
+
+const needsTwoFactorSetup = async (user, req) => {
+  if (user.twoFactorEnabled) return false
+  const path = req.originalUrl.split('?')[0]
+  if (TWO_FACTOR_SETUP_PATHS.some(allowed => path === allowed || path.startsWith(`${allowed}/`))) {
+    return false
+  }
+  return isTwoFactorRequired(user)
+}
+
+// Declare the scope an API key needs for a route, or a function of the request that returns
+// it. Must run before protect/optionalAuth; API keys are refused on any route that doesn't
+// declare one.
+const apiKeyScope = (scope) => {
+  return (req, res, next) => {
+    req.requiredScope = typeof scope === 'function' ? scope(req) : scope
+    next()
+  }
+}
+
+// Personal API key from `X-API-Key` or a Bearer token with the key prefix
+const getApiKey = (req, bearerToken) => {
+  return req.get('x-api-key') || (ApiKey.isApiKey(bearerToken) ? bearerToken : null)
+}
+
+// Resolve an API key to its owner. Returns { user, apiKey } or { status, error }.
+const authenticateApiKey = async (req, key) => {
+  if (!req.requiredScope) {
+    return { status: 403, error: 'API keys cannot be used for this endpoint.' }
+  }
+
+  const apiKey = await ApiKey.findActive(key)
+
+  if (!apiKey) {
+    return { status: 401, error: 'Invalid or expired API key.' }
+  }
+
+  if (!apiKey.scopes.includes(req.requiredScope)) {
+    return { status: 403, error: `API key is missing the '${req.requiredScope}' scope.` }
+  }
+
+  const user = await User.findById(apiKey.user).select('-password')
+
+  if (!user || !user.isActive) {
+    return { status: 401, error: 'Account has been deactivated.' }
+  }
+
+  // Same as signing in: an account flagged for a reset can't be used until it's done
+  if (user.mustResetPassword) {
+    return { status: 403, error: 'A password reset is required before this API key can be used.' }
+  }
+
+  ApiKey.touch(apiKey, req.ip).catch(error => {
+    console.error('API key touch error:', error.message)
+  })
+
+  return { user, apiKey }
+}
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -11,6 +76,30 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1]
     }
 
+    const apiKeyValue = getApiKey(req, token)
+    if (apiKeyValue) {
+      const { user, apiKey, status, error } = await authenticateApiKey(req, apiKeyValue)
+
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        })
+      }
+
+      if (await needsTwoFactorSetup(user, req)) {
+        return res.status(403).json({
+          success: false,
+          error: `Two-factor authentication is required for the ${user.role} role. Set it up at /api/auth/2fa/setup.`,
+          twoFactorSetupRequired: true
+        })
+      }
+
+      req.user = user
+      req.apiKey = apiKey
+      return next()
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -19,9 +108,12 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
+      // Verify token; purpose-bound tokens (e.g. 2FA challenges) are not access tokens
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      
+      if (decoded.purpose) {
+        throw new Error('Not an access token')
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).select('-password')
       
@@ -39,6 +131,22 @@ const protect = async (req, res, next) => {
         })
       }
 
+      // Tokens issued before a logout-all or password change are no longer valid
+      if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Token has been revoked.'
+        })
+      }
+
+      if (await needsTwoFactorSetup(user, req)) {
+        return res.status(403).json({
+          success: false,
+          error: `Two-factor authentication is required for the ${user.role} role. Set it up at /api/auth/2fa/setup.`,
+          twoFactorSetupRequired: true
+        })
+      }
+
       req.user = user
       console.log('Auth middleware: User authenticated:', user._id, user.email)
       next()
@@ -78,6 +186,53 @@ const authorize = (...roles) => {
   }
 }
 
+// Grant access to an editorial workflow transition on the article in req.params.id.
+// Loads the article onto req.article so the controller doesn't repeat the lookup.
+const authorizeTransition = (action) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to access this route.'
+      })
+    }
+
+    try {
+      const article = await Article.findById(req.params.id)
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        })
+      }
+
+      const denied = checkTransition(req.user, article, action)
+      if (denied) {
+        return res.status(denied.status).json({
+          success: false,
+          error: denied.error
+        })
+      }
+
+      req.article = article
+      next()
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ID format'
+        })
+      }
+      console.error('Authorize transition error:', error)
+      res.status(500).json({
+        success: false,
+        error: 'Server error in authorization.'
+      })
+    }
+  }
+}
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -87,12 +242,19 @@ const optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1]
     }
 
-    if (token) {
+    const apiKeyValue = getApiKey(req, token)
+    if (apiKeyValue) {
+      const { user, apiKey } = await authenticateApiKey(req, apiKeyValue)
+      if (user && !await needsTwoFactorSetup(user, req)) {
+        req.user = user
+        req.apiKey = apiKey
+      }
+    } else if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET)
         const user = await User.findById(decoded.id).select('-password')
         
-        if (user && user.isActive) {
+        if (user && user.isActive && !decoded.purpose && (decoded.tv || 0) === (user.tokenVersion || 0)) {
           req.user = user
         }
       } catch (error) {
@@ -109,7 +271,9 @@ const optionalAuth = async (req, res, next) => {
 }
 
 module.exports = {
+  apiKeyScope,
   protect,
   authorize,
+  authorizeTransition,
   optionalAuth
 }
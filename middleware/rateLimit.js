@@ -0,0 +1,49 @@
+const rateLimit = require('express-rate-limit')
+const { getRateLimit } = require('../config/rateLimits')
+
+// Store factories by name; RATE_LIMIT_STORE picks one. Counters live in memory by default,
+// which is per-process. Behind several instances, register a shared store (anything that
+// implements the express-rate-limit Store interface, e.g. rate-limit-redis) before the
+// routes are loaded:
+//
+//   registerRateLimitStore('redis', (group) => new RedisStore({ prefix: `rl:${group}:`, sendCommand }))
+const factories = {
+  memory: () => new rateLimit.MemoryStore()
+}
+
+const registerRateLimitStore = (name, factory) => {
+  factories[name] = factory
+}
+
+const createStore = (group) => {
+  const name = process.env.RATE_LIMIT_STORE || 'memory'
+  const factory = factories[name]
+  if (!factory) {
+    throw new Error(`Unknown rate limit store '${name}'`)
+  }
+  return factory(group)
+}
+
+// Rate limiter for a route group from config/rateLimits.js. Every group gets its own
+// counters; RATE_LIMIT_ENABLED=false turns limiting off (e.g. for local load testing).
+const rateLimiter = (group) => {
+  const { windowMs, max } = getRateLimit(group)
+
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: createStore(group),
+    skip: () => process.env.RATE_LIMIT_ENABLED === 'false',
+    message: {
+      success: false,
+      error: 'Too many requests, please try again later.'
+    }
+  })
+}
+
+module.exports = {
+  registerRateLimitStore,
+  rateLimiter
+}
@@ -41,6 +41,44 @@ const upload = multer({
   fileFilter: fileFilter
 })
 
+// Markdown documents are parsed from memory and never written to the upload directory
+const MAX_DOCUMENT_SIZE = 1024 * 1024
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const markdownTypes = ['text/markdown', 'text/x-markdown', 'text/plain']
+    if (/\.(md|markdown)$/i.test(file.originalname) || markdownTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Only Markdown files are allowed!'), false)
+    }
+  }
+})
+
+// Backup archives are also read from memory
+const MAX_ARCHIVE_SIZE = parseInt(process.env.MAX_BACKUP_SIZE) || 200 * 1024 * 1024
+
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const archiveTypes = ['application/gzip', 'application/x-gzip', 'application/x-tar']
+    if (/\.(tar\.gz|tgz)$/i.test(file.originalname) || archiveTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Only .tar.gz archives are allowed!'), false)
+    }
+  }
+})
+
 // Error handling middleware
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -64,10 +102,11 @@ const handleUploadError = (error, req, res, next) => {
     }
   }
   
-  if (error.message === 'Only image files are allowed!') {
+  const typeErrors = ['Only image files are allowed!', 'Only Markdown files are allowed!', 'Only .tar.gz archives are allowed!']
+  if (typeErrors.includes(error.message)) {
     return res.status(400).json({
       success: false,
-      error: 'Only image files are allowed!'
+      error: error.message
     })
   }
 
@@ -100,9 +139,35 @@ const uploadMultiple = (fieldName, maxCount = 10) => {
   }
 }
 
+// Single file held in memory (req.file.buffer), with its own size limit
+const uploadSingleInMemory = (uploader, fieldName, maxSize) => {
+  return (req, res, next) => {
+    uploader.single(fieldName)(req, res, (err) => {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          error: `File too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))}MB.`
+        })
+      }
+      if (err) {
+        return handleUploadError(err, req, res, next)
+      }
+      next()
+    })
+  }
+}
+
+// Single Markdown document upload
+const uploadDocument = (fieldName) => uploadSingleInMemory(documentUpload, fieldName, MAX_DOCUMENT_SIZE)
+
+// Single backup archive upload
+const uploadArchive = (fieldName) => uploadSingleInMemory(archiveUpload, fieldName, MAX_ARCHIVE_SIZE)
+
 module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
+  uploadDocument,
+  uploadArchive,
   handleUploadError
 }
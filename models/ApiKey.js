@@ -0,0 +1,116 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Keys look like `tk_<8 hex id>_<secret>`; the prefix lets protect() tell them apart from JWTs
+const KEY_PREFIX = 'tk_'
+const API_KEY_SCOPES = ['articles:read', 'articles:write', 'articles:publish', 'articles:review']
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Non-secret start of the key, shown in listings so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Only the SHA-256 hash is stored; the raw key is returned once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Null means the key never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+apiKeySchema.index({ user: 1, revokedAt: 1 })
+
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked'
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired'
+  return 'active'
+})
+
+// Create a key; returns { key, apiKey } where key is the raw value
+apiKeySchema.statics.createKey = async function({ user, name, scopes, expiresAt = null }) {
+  const id = crypto.randomBytes(4).toString('hex')
+  const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`
+  const apiKey = await this.create({
+    user,
+    name,
+    prefix: `${KEY_PREFIX}${id}`,
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt
+  })
+  return { key, apiKey }
+}
+
+// Static method to find an unrevoked, unexpired key by its raw value
+apiKeySchema.statics.findActive = function(key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  })
+}
+
+// Record use at most once a minute so busy scripts don't write on every request
+apiKeySchema.statics.touch = function(apiKey, ip) {
+  const now = new Date()
+  return this.updateOne(
+    {
+      _id: apiKey._id,
+      $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - 60 * 1000) } }]
+    },
+    { lastUsedAt: now, lastUsedIp: ip }
+  )
+}
+
+// Static method to revoke every active key of a user, e.g. when they sign out everywhere
+apiKeySchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+}
+
+apiKeySchema.statics.isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX)
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES
+
+module.exports = mongoose.model('ApiKey', apiKeySchema)
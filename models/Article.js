@@ -1,4 +1,6 @@
 const mongoose = require('mongoose')
+const { uniqueSlug } = require('../services/slugs')
+const { articleSearchText } = require('../utils/searchText')
 
 const contentBlockSchema = new mongoose.Schema({
   type: {
@@ -20,6 +22,51 @@ const contentBlockSchema = new mongoose.Schema({
   }
 }, { _id: false })
 
+const workflowEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String
+  },
+  to: {
+    type: String
+  },
+  // Null when the transition was made by the scheduler
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: [2000, 'Note cannot be more than 2000 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+const reviewNoteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Note cannot be more than 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
 const articleSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -33,6 +80,17 @@ const articleSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Slugs the article was reachable under before, so old links can redirect to the current one
+  previousSlugs: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // A pinned slug was chosen by hand and no longer follows the title
+  slugLocked: {
+    type: Boolean,
+    default: false
+  },
   contentBlocks: [contentBlockSchema],
   editorData: {
     type: mongoose.Schema.Types.Mixed,
@@ -42,10 +100,11 @@ const articleSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Excerpt cannot be more than 500 characters']
   },
+  // Name of a Category document; validated against the categories collection by the routes
   category: {
     type: String,
     required: false,
-    enum: ['UXUI', 'UX','UI','Design','Development', 'AI' , 'Design' , 'Daily']
+    trim: true
   },
   tags: [{
     type: String,
@@ -54,7 +113,7 @@ const articleSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
   author: {
@@ -69,6 +128,14 @@ const articleSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
   views: {
     type: Number,
     default: 0
@@ -100,24 +167,87 @@ const articleSchema = new mongoose.Schema({
   allowComments: {
     type: Boolean,
     default: true
+  },
+  // Set when the article is moved to the trash; it is purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Post this article was migrated from (e.g. { source: 'wordpress', id: '42' }), so a
+  // repeated import skips it
+  importedFrom: {
+    source: { type: String },
+    id: { type: String }
+  },
+  // Search index inputs kept in step with the content and author by the hooks below
+  searchText: {
+    type: String,
+    select: false
+  },
+  authorName: {
+    type: String,
+    select: false
+  },
+  // Editorial workflow; hidden from public responses unless explicitly selected
+  workflowHistory: {
+    type: [workflowEventSchema],
+    select: false
+  },
+  reviewNotes: {
+    type: [reviewNoteSchema],
+    select: false
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // The search fields only feed the text index
+    transform: (doc, ret) => {
+      delete ret.searchText
+      delete ret.authorName
+      return ret
+    }
+  },
   toObject: { virtuals: true }
 })
 
-// Generate slug from title
-articleSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9 -]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim('-')
+// Trashed articles are left out of every read unless the query filters on deletedAt itself
+// or sets the withDeleted option (.setOptions({ withDeleted: true }) / .option() for aggregates)
+articleSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return
+  this.where({ deletedAt: null })
+})
+
+articleSchema.pre('aggregate', function() {
+  const first = this.pipeline()[0]
+  if (this.options.withDeleted || (first && first.$match && first.$match.deletedAt !== undefined)) return
+  this.pipeline().unshift({ $match: { deletedAt: null } })
+})
+
+// Remember the stored slug so a change can be added to the slug history on save
+articleSchema.post('init', function() {
+  this.$locals.storedSlug = this.slug
+})
+
+articleSchema.post('save', function() {
+  this.$locals.storedSlug = this.slug
+})
+
+// Generate a unique slug from title unless a custom slug is pinned
+articleSchema.pre('save', async function() {
+  if ((this.isModified('title') && !this.slugLocked) || !this.slug) {
+    this.slug = await this.constructor.generateSlug(this.title, this._id)
+  }
+
+  const storedSlug = this.$locals.storedSlug
+  if (!this.isNew && storedSlug && storedSlug !== this.slug) {
+    this.previousSlugs = this.constructor.addPreviousSlug(this.previousSlugs, storedSlug, this.slug)
   }
-  next()
 })
 
 // Set publishedAt when status changes to published
@@ -200,18 +330,100 @@ articleSchema.pre('save', function(next) {
   next()
 })
 
+// Refresh the search text when the content changes and the author's name when the author does
+articleSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('contentBlocks') || this.isModified('editorData')) {
+    this.searchText = articleSearchText(this)
+  }
+  if (this.isNew || this.isModified('author')) {
+    const author = await mongoose.model('User').findById(this.author).select('name')
+    this.authorName = author ? author.name : ''
+  }
+})
+
+// Same for updates that skip save(), such as article edits and author reassignment
+articleSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+  const update = this.getUpdate() || {}
+  const fields = { ...update, ...update.$set }
+
+  if (fields.author !== undefined) {
+    const author = await mongoose.model('User').findById(fields.author).select('name')
+    this.set('authorName', author ? author.name : '')
+  }
+
+  if ((fields.editorData !== undefined || fields.contentBlocks !== undefined) && this.op !== 'updateMany') {
+    // Either format can hold the body, so the one not being updated is read back
+    const stored = fields.editorData === undefined || fields.contentBlocks === undefined
+      ? await this.model.findOne(this.getFilter()).setOptions({ withDeleted: true }).select('editorData contentBlocks').lean()
+      : null
+    this.set('searchText', articleSearchText({
+      editorData: fields.editorData !== undefined ? fields.editorData : stored && stored.editorData,
+      contentBlocks: fields.contentBlocks !== undefined ? fields.contentBlocks : stored && stored.contentBlocks
+    }))
+  }
+})
+
 // Index for better query performance
 articleSchema.index({ status: 1, publishedAt: -1 })
 articleSchema.index({ author: 1, status: 1 })
 articleSchema.index({ category: 1, status: 1 })
 articleSchema.index({ tags: 1 })
 articleSchema.index({ slug: 1 })
+articleSchema.index({ previousSlugs: 1 })
+articleSchema.index({ author: 1, deletedAt: 1 })
+articleSchema.index({ status: 1, publishAt: 1 })
+articleSchema.index({ status: 1, unpublishAt: 1 })
+articleSchema.index({ 'importedFrom.source': 1, 'importedFrom.id': 1 }, { sparse: true })
+
+// Full-text search; matches in the title count most, then tags, the author's name and the body
+articleSchema.index(
+  { title: 'text', tags: 'text', authorName: 'text', searchText: 'text' },
+  { name: 'article_search', weights: { title: 10, tags: 5, authorName: 3, searchText: 1 } }
+)
 
 // Virtual for article URL
 articleSchema.virtual('url').get(function() {
   return `/article/${this.slug}`
 })
 
+// Static method to check whether any article, trashed ones included, uses a slug now or used it before;
+// excludeId leaves out the article being renamed
+articleSchema.statics.slugInUse = async function(slug, excludeId) {
+  const filter = { $or: [{ slug }, { previousSlugs: slug }] }
+  if (excludeId) filter._id = { $ne: excludeId }
+  return Boolean(await this.exists(filter).setOptions({ withDeleted: true }))
+}
+
+// Static method to build a unique slug for a title. Slugs other articles used to have are
+// taken too, so their redirects keep working; excludeId is the article being renamed.
+articleSchema.statics.generateSlug = function(title, excludeId) {
+  return uniqueSlug(this, title, { excludeId, fields: ['slug', 'previousSlugs'], fallback: 'article' })
+}
+
+// Static method to get the slug history after moving from one slug to another; the slug
+// being moved to is dropped from the history, since it is current again
+articleSchema.statics.addPreviousSlug = function(previousSlugs = [], from, to) {
+  return [...new Set([...previousSlugs.filter(slug => slug !== to), from])]
+}
+
+// Static method to find an article by its current slug, or failing that by one it used to have
+articleSchema.statics.findBySlug = async function(slug, filter = {}, projection) {
+  const current = await this.findOne({ ...filter, slug }, projection)
+  if (current) return current
+  return this.findOne({ ...filter, previousSlugs: slug }, projection).sort({ updatedAt: -1 })
+}
+
+// Static method to append a workflow transition; uses $push so the
+// (normally unselected) history is never overwritten by a partial document
+articleSchema.statics.recordTransition = function(articleId, { action, from, to, actor = null, note }) {
+  return this.updateOne(
+    { _id: articleId },
+    { $push: { workflowHistory: { action, from, to, actor, note, at: new Date() } } },
+    // History isn't content; the status change itself already moved updatedAt
+    { timestamps: false }
+  )
+}
+
 // Static method to get published articles
 articleSchema.statics.getPublished = function() {
   return this.find({ status: 'published' })
@@ -219,6 +431,18 @@ articleSchema.statics.getPublished = function() {
     .sort({ publishedAt: -1 })
 }
 
+// Static method to get scheduled articles whose publish time has arrived
+articleSchema.statics.getDueForPublishing = function(now = new Date()) {
+  return this.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .sort({ publishAt: 1 })
+}
+
+// Static method to get published articles whose unpublish time has arrived
+articleSchema.statics.getDueForUnpublishing = function(now = new Date()) {
+  return this.find({ status: 'published', unpublishAt: { $ne: null, $lte: now } })
+    .sort({ unpublishAt: 1 })
+}
+
 // Static method to get articles by author
 articleSchema.statics.getByAuthor = function(authorId, status = null) {
   const query = { author: authorId }
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose')
+
+// Fields copied from the article into every revision snapshot
+const SNAPSHOT_FIELDS = ['title', 'editorData', 'contentBlocks', 'tags', 'seoTitle', 'seoDescription']
+
+const articleRevisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  editorData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  contentBlocks: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  tags: [{
+    type: String
+  }],
+  seoTitle: {
+    type: String
+  },
+  seoDescription: {
+    type: String
+  },
+  reason: {
+    type: String,
+    enum: ['create', 'baseline', 'update', 'restore'],
+    default: 'update'
+  },
+  restoredFrom: {
+    type: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+articleRevisionSchema.index({ article: 1, revision: -1 }, { unique: true })
+
+// Build a plain snapshot object from an article document
+articleRevisionSchema.statics.snapshot = function(article) {
+  const source = typeof article.toObject === 'function' ? article.toObject() : article
+  const snapshot = {}
+  SNAPSHOT_FIELDS.forEach(field => {
+    snapshot[field] = source[field] === undefined ? null : source[field]
+  })
+  snapshot.tags = snapshot.tags || []
+  snapshot.contentBlocks = snapshot.contentBlocks || []
+  return snapshot
+}
+
+// Attempts at taking the next revision number before giving up
+const RECORD_ATTEMPTS = 5
+
+// Store the current state of an article as its next revision. Concurrent saves can read the
+// same latest number; the unique index rejects all but one, and the others take the next.
+articleRevisionSchema.statics.record = async function(article, { userId, reason = 'update', restoredFrom } = {}) {
+  const snapshot = this.snapshot(article)
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ article: article._id })
+      .sort({ revision: -1 })
+      .select('revision')
+
+    try {
+      return await this.create({
+        ...snapshot,
+        article: article._id,
+        revision: latest ? latest.revision + 1 : 1,
+        reason,
+        restoredFrom,
+        createdBy: userId
+      })
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error
+    }
+  }
+}
+
+articleRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS
+
+module.exports = mongoose.model('ArticleRevision', articleRevisionSchema)
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose')
+
+const auditLogSchema = new mongoose.Schema({
+  // Dotted event name, e.g. 'role_request.approved' or 'invite.created'
+  action: {
+    type: String,
+    required: true
+  },
+  // Null for actions taken by the system
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+auditLogSchema.index({ action: 1, createdAt: -1 })
+auditLogSchema.index({ targetUser: 1, createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+
+// Static method to append an audit entry; never throws so auditing can't break the action itself
+auditLogSchema.statics.record = async function(action, { actor = null, targetUser = null, details = {}, ip } = {}) {
+  try {
+    return await this.create({ action, actor, targetUser, details, ip })
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error.message)
+    return null
+  }
+}
+
+module.exports = mongoose.model('AuditLog', auditLogSchema)
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose')
+const { escapeRegex } = require('../utils/regex')
+const { uniqueSlug } = require('../services/slugs')
+
+// Categories in use before they became a collection; seeded into an empty collection
+const LEGACY_CATEGORIES = ['UXUI', 'UX', 'UI', 'Design', 'Development', 'AI', 'Daily']
+
+const categorySchema = new mongoose.Schema({
+  // Articles store the category by name, so renames are cascaded to them
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c'],
+    default: '#64748b'
+  },
+  // Lower numbers are listed first
+  order: {
+    type: Number,
+    default: 0
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+categorySchema.index({ order: 1, name: 1 })
+categorySchema.index({ parent: 1 })
+
+// Generate a unique slug from name
+categorySchema.pre('validate', async function() {
+  if (this.name && (this.isModified('name') || !this.slug)) {
+    this.slug = await uniqueSlug(this.constructor, this.name, { excludeId: this._id, fallback: 'category' })
+  }
+})
+
+// Static method to find a category by name or slug, case-insensitively
+categorySchema.statics.findByNameOrSlug = function(value) {
+  if (!value || typeof value !== 'string') return Promise.resolve(null)
+  const trimmed = value.trim()
+  return this.findOne({
+    $or: [
+      { slug: trimmed.toLowerCase() },
+      { name: new RegExp(`^${escapeRegex(trimmed)}$`, 'i') }
+    ]
+  })
+}
+
+// Static method to get categories in display order
+categorySchema.statics.getOrdered = function(filter = {}) {
+  return this.find(filter).sort({ order: 1, name: 1 })
+}
+
+// Static method to check whether making parentId the parent of categoryId would create a loop
+categorySchema.statics.wouldCreateCycle = async function(categoryId, parentId) {
+  let current = parentId
+  while (current) {
+    if (current.toString() === categoryId.toString()) return true
+    const parent = await this.findById(current).select('parent').lean()
+    current = parent ? parent.parent : null
+  }
+  return false
+}
+
+// Static method to seed an empty collection with the legacy categories and any
+// category names already used by articles
+categorySchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return 0
+
+  const used = await mongoose.model('Article').distinct('category', { category: { $nin: [null, ''] } })
+  const names = [...new Set([...LEGACY_CATEGORIES, ...used])]
+
+  for (const [index, name] of names.entries()) {
+    await this.create({ name, order: index })
+  }
+  return names.length
+}
+
+module.exports = mongoose.model('Category', categorySchema)
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose')
+
+const commentSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct parent for replies; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread, so a whole thread loads in one query
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+commentSchema.index({ article: 1, status: 1, parent: 1, createdAt: -1 })
+commentSchema.index({ root: 1, createdAt: 1 })
+commentSchema.index({ status: 1, createdAt: 1 })
+
+// Static method to count approved comments for a set of articles
+commentSchema.statics.countByArticles = async function(articleIds) {
+  const counts = await this.aggregate([
+    { $match: { article: { $in: articleIds }, status: 'approved', isDeleted: false } },
+    { $group: { _id: '$article', count: { $sum: 1 } } }
+  ])
+
+  const byArticle = {}
+  counts.forEach(({ _id, count }) => {
+    byArticle[_id.toString()] = count
+  })
+  return byArticle
+}
+
+module.exports = mongoose.model('Comment', commentSchema)
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const inviteSchema = new mongoose.Schema({
+  // Only the hash is stored; the raw token is shown once when the invite is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: ['author', 'editor', 'admin'],
+    required: true
+  },
+  // Optional: restrict the invite to one email address
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+inviteSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked'
+  if (this.usedAt) return 'used'
+  if (this.expiresAt <= new Date()) return 'expired'
+  return 'active'
+})
+
+// Create an invite; returns { token, invite } where token is the raw value
+inviteSchema.statics.createInvite = async function({ role, email, createdBy, expiresInHours }) {
+  const token = crypto.randomBytes(32).toString('hex')
+  const invite = await this.create({
+    tokenHash: hashToken(token),
+    role,
+    email: email || undefined,
+    createdBy,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+  })
+  return { token, invite }
+}
+
+// Static method to find an invite that can still be used
+inviteSchema.statics.findUsable = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+// Atomically mark a usable invite as used so it can't be redeemed twice
+inviteSchema.statics.redeem = function(token, userId) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date(), usedBy: userId },
+    { new: true }
+  )
+}
+
+module.exports = mongoose.model('Invite', inviteSchema)
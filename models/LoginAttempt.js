@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+
+// Failed sign-in counters, one document per account ('account:<email>') or client ('ip:<address>')
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // Progressive delay: no further attempt is checked before this time
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Counters are forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema)
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only the SHA-256 hash is stored; the raw token is returned to the client once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token issued by rotating the same login shares a family
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', 'admin'],
+    default: undefined
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+})
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 })
+refreshTokenSchema.index({ family: 1 })
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const refreshTokenLifetimeMs = () => {
+  return (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000
+}
+
+// Issue a new refresh token; returns { token, doc } where token is the raw value
+refreshTokenSchema.statics.issue = async function(userId, { family, ip, userAgent } = {}) {
+  const token = crypto.randomBytes(48).toString('hex')
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + refreshTokenLifetimeMs()),
+    createdByIp: ip,
+    userAgent
+  })
+  return { token, doc }
+}
+
+// Exchange a refresh token for a new one in the same family.
+// Presenting an already-rotated token means it leaked, so the whole family is revoked.
+refreshTokenSchema.statics.rotate = async function(token, { ip, userAgent } = {}) {
+  const existing = await this.findOne({ tokenHash: hashToken(token) })
+
+  if (!existing || existing.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token' }
+  }
+
+  if (existing.revokedAt) {
+    if (existing.revokedReason === 'rotated') {
+      await this.revokeFamily(existing.family, 'reuse_detected')
+      return { error: 'Refresh token reuse detected. All sessions from this login have been revoked.', reused: true }
+    }
+    return { error: 'Refresh token has been revoked' }
+  }
+
+  const next = await this.issue(existing.user, { family: existing.family, ip, userAgent })
+
+  // Conditional update so two concurrent refreshes with the same token can't both succeed
+  const claimed = await this.updateOne(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: next.doc._id }
+  )
+  if (claimed.modifiedCount === 0) {
+    await this.revokeFamily(existing.family, 'reuse_detected')
+    return { error: 'Refresh token reuse detected. All sessions from this login have been revoked.', reused: true }
+  }
+
+  return { token: next.token, doc: next.doc, userId: existing.user }
+}
+
+// Revoke a single login session (the token's whole family)
+refreshTokenSchema.statics.revokeToken = async function(token, reason = 'logout') {
+  const existing = await this.findOne({ tokenHash: hashToken(token) })
+  if (!existing) return null
+  await this.revokeFamily(existing.family, reason)
+  return existing
+}
+
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+}
+
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+}
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema)
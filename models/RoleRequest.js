@@ -0,0 +1,43 @@
+const mongoose = require('mongoose')
+
+const roleRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedRole: {
+    type: String,
+    enum: ['author'],
+    default: 'author'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reason cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+})
+
+roleRequestSchema.index({ status: 1, createdAt: 1 })
+roleRequestSchema.index({ user: 1, status: 1 })
+
+module.exports = mongoose.model('RoleRequest', roleRequestSchema)
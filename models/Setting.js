@@ -0,0 +1,38 @@
+const mongoose = require('mongoose')
+
+// Runtime settings admins can change without a redeploy, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+// Static method to read a setting, falling back to a default when it has never been set
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean()
+  return setting && setting.value !== undefined ? setting.value : defaultValue
+}
+
+// Static method to create or replace a setting
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+}
+
+module.exports = mongoose.model('Setting', settingSchema)
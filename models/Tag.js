@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+const { MAX_TAG_LENGTH } = require('../utils/tags')
+
+// Articles keep their tags as plain strings; a Tag document only holds extra details
+// (such as the landing page description) and is optional for any given tag
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [MAX_TAG_LENGTH, `Tag cannot be more than ${MAX_TAG_LENGTH} characters`]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+// Static method to get descriptions for a list of tag names as { name: description }
+tagSchema.statics.getDescriptions = async function(names) {
+  const tags = await this.find({ name: { $in: names } }).select('name description').lean()
+  return Object.fromEntries(tags.map(tag => [tag.name, tag.description]))
+}
+
+module.exports = mongoose.model('Tag', tagSchema)
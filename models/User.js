@@ -1,5 +1,8 @@
 const mongoose = require('mongoose')
 const bcrypt = require('bcryptjs')
+const crypto = require('crypto')
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,7 +26,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['author', 'user','admin'],
+    enum: ['author', 'editor', 'user', 'admin'],
     default: 'user'
   },
   avatar: {
@@ -38,6 +41,70 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens are stored hashed and cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Set by an admin; login is refused until the password is reset
+  mustResetPassword: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP two-factor authentication; secrets and recovery code hashes are never selected by default
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret from an enrollment that hasn't been confirmed with a first code yet
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted time step, so a code can't be replayed inside its validity window
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Failed second-factor attempts since the last successful password check
+  twoFactorFailures: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Bumped to invalidate every access token issued before it (log out all devices)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   savedArticles: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Article'
@@ -48,6 +115,9 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 })
 
+userSchema.index({ passwordResetToken: 1 }, { sparse: true })
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true })
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next()
@@ -61,6 +131,72 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+// Create a password reset token; stores the hash and returns the raw token (call save() afterwards)
+userSchema.methods.createPasswordResetToken = function(expiresMinutes) {
+  const token = crypto.randomBytes(32).toString('hex')
+  this.passwordResetToken = hashToken(token)
+  this.passwordResetExpires = new Date(Date.now() + expiresMinutes * 60 * 1000)
+  return token
+}
+
+// Create an email verification token; stores the hash and returns the raw token (call save() afterwards)
+userSchema.methods.createEmailVerificationToken = function(expiresHours) {
+  const token = crypto.randomBytes(32).toString('hex')
+  this.emailVerificationToken = hashToken(token)
+  this.emailVerificationExpires = new Date(Date.now() + expiresHours * 60 * 60 * 1000)
+  return token
+}
+
+// Replace the recovery codes; stores the hashes and returns the raw codes (call save() afterwards)
+userSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex')
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code))
+  return codes
+}
+
+// Static method to use up a recovery code; resolves true only for the request that removed it
+userSchema.statics.consumeRecoveryCode = async function(userId, code) {
+  const normalized = String(code || '').trim().toLowerCase()
+  if (!normalized) return false
+
+  const result = await this.updateOne(
+    { _id: userId, twoFactorRecoveryCodes: hashToken(normalized) },
+    { $pull: { twoFactorRecoveryCodes: hashToken(normalized) } }
+  )
+  return result.modifiedCount === 1
+}
+
+// Static method to accept a TOTP time step at most once
+userSchema.statics.consumeTwoFactorStep = async function(userId, step) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+    },
+    { twoFactorLastStep: step }
+  )
+  return result.modifiedCount === 1
+}
+
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  })
+}
+
+// Static method to find a user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  })
+}
+
 // Virtual for user's articles count
 userSchema.virtual('articlesCount', {
   ref: 'Article',
@@ -0,0 +1,442 @@
+const express = require('express')
+const { body, query, param } = require('express-validator')
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  unlockUser,
+  resetUserTwoFactor,
+  reassignArticles,
+  archiveUserArticles,
+  getAuditLog,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+} = require('../controllers/adminController')
+const { createSiteBackup, restoreSiteBackup } = require('../controllers/backupController')
+const { ENFORCEABLE_ROLES } = require('../services/twoFactor')
+const { RESTORE_MODES } = require('../services/siteBackup')
+const {
+  getRoleRequests,
+  approveRoleRequest,
+  rejectRoleRequest,
+  createInvite,
+  getInvites,
+  revokeInvite
+} = require('../controllers/roleController')
+const {
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController')
+const {
+  getAdminTags,
+  updateTag,
+  renameTag,
+  mergeTags,
+  deleteTag
+} = require('../controllers/tagController')
+const { MAX_TAG_LENGTH, normalizeTag } = require('../utils/tags')
+const { protect, authorize } = require('../middleware/auth')
+const { uploadArchive } = require('../middleware/upload')
+
+const router = express.Router()
+
+// Every admin route requires an authenticated admin
+router.use(protect, authorize('admin'))
+
+// Validation rules
+const userQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(['user', 'author', 'editor', 'admin'])
+    .withMessage('Invalid role'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters'),
+  query('sort')
+    .optional()
+    .matches(/^-?[a-zA-Z]+$/)
+    .withMessage('Invalid sort parameter')
+]
+
+const userIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+]
+
+const roleValidation = [
+  body('role')
+    .isIn(['user', 'author', 'editor', 'admin'])
+    .withMessage('Role must be user, author, editor or admin')
+]
+
+const statusValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+]
+
+const reassignValidation = [
+  body('toUserId')
+    .isMongoId()
+    .withMessage('Invalid target user ID'),
+  body('articleIds')
+    .optional()
+    .isArray()
+    .withMessage('Article IDs must be an array'),
+  body('articleIds.*')
+    .isMongoId()
+    .withMessage('Invalid article ID')
+]
+
+const twoFactorPolicyValidation = [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('requiredRoles must be an array'),
+  body('requiredRoles.*')
+    .isIn(ENFORCEABLE_ROLES)
+    .withMessage(`Roles must be one of: ${ENFORCEABLE_ROLES.join(', ')}`)
+]
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+]
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID')
+]
+
+const roleRequestQueryValidation = [
+  ...paginationValidation,
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'all'])
+    .withMessage('Status must be pending, approved, rejected or all')
+]
+
+const reviewNoteValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters')
+]
+
+const rejectValidation = [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('A note explaining the rejection is required')
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters')
+]
+
+const inviteValidation = [
+  body('role')
+    .isIn(['author', 'editor', 'admin'])
+    .withMessage('Role must be author, editor or admin'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Expiry must be between 1 and 720 hours')
+]
+
+const auditLogQueryValidation = [
+  ...paginationValidation,
+  query('action')
+    .optional()
+    .matches(/^[a-z_.]+$/)
+    .withMessage('Invalid action'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('targetUser')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target user ID')
+]
+
+const categoryNameValidation = (field) => field
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Name must be between 1 and 50 characters')
+  .matches(/[\p{L}\p{N}]/u)
+  .withMessage('Name must contain at least one letter or number')
+
+const categoryFieldValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #1a2b3c'),
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer')
+    .toInt(),
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid parent category ID')
+]
+
+const createCategoryValidation = [
+  categoryNameValidation(body('name')),
+  ...categoryFieldValidation
+]
+
+const updateCategoryValidation = [
+  ...idValidation,
+  categoryNameValidation(body('name').optional()),
+  ...categoryFieldValidation
+]
+
+const deleteCategoryValidation = [
+  ...idValidation,
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reassignment category ID')
+]
+
+const tagName = (field) => field
+  .isString()
+  .withMessage('Tag must be a string')
+  .customSanitizer(normalizeTag)
+  .isLength({ min: 1, max: MAX_TAG_LENGTH })
+  .withMessage(`Tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
+
+const tagParamValidation = [
+  tagName(param('tag'))
+]
+
+const tagQueryValidation = [
+  query('search')
+    .optional()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage('Search is too long'),
+  query('sort')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('Sort must be count or name')
+]
+
+const tagDescriptionValidation = [
+  ...tagParamValidation,
+  body('description')
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot be more than 1000 characters')
+]
+
+const renameTagValidation = [
+  ...tagParamValidation,
+  tagName(body('name'))
+]
+
+const mergeTagsValidation = [
+  body('sources')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('sources must be an array of 1 to 100 tags'),
+  tagName(body('sources.*')),
+  tagName(body('target'))
+]
+
+const backupValidation = [
+  query('includePasswords')
+    .optional()
+    .isBoolean()
+    .withMessage('includePasswords must be true or false')
+]
+
+const restoreValidation = [
+  body('mode')
+    .optional()
+    .isIn(RESTORE_MODES)
+    .withMessage(`Mode must be one of: ${RESTORE_MODES.join(', ')}`)
+]
+
+// @route   GET /api/admin/users
+// @desc    List users with search, role/status filters and pagination
+// @access  Private (admin)
+router.get('/users', userQueryValidation, getUsers)
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a single user
+// @access  Private (admin)
+router.get('/users/:id', userIdValidation, getUser)
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:id/role', userIdValidation, roleValidation, updateUserRole)
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Deactivate or reactivate an account
+// @access  Private (admin)
+router.put('/users/:id/status', userIdValidation, statusValidation, updateUserStatus)
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Sign the user out and require a password reset
+// @access  Private (admin)
+router.post('/users/:id/force-password-reset', userIdValidation, forcePasswordReset)
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear failed sign-in attempts and lift a lockout
+// @access  Private (admin)
+router.post('/users/:id/unlock', userIdValidation, unlockUser)
+
+// @route   POST /api/admin/users/:id/reset-two-factor
+// @desc    Turn off a user's two-factor authentication and sign them out
+// @access  Private (admin)
+router.post('/users/:id/reset-two-factor', userIdValidation, resetUserTwoFactor)
+
+// @route   POST /api/admin/users/:id/articles/reassign
+// @desc    Reassign a user's articles (all, or the given articleIds) to another author
+// @access  Private (admin)
+router.post('/users/:id/articles/reassign', userIdValidation, reassignValidation, reassignArticles)
+
+// @route   POST /api/admin/users/:id/articles/archive
+// @desc    Archive all of a user's articles
+// @access  Private (admin)
+router.post('/users/:id/articles/archive', userIdValidation, archiveUserArticles)
+
+// @route   GET /api/admin/role-requests
+// @desc    List role requests (pending by default)
+// @access  Private (admin)
+router.get('/role-requests', roleRequestQueryValidation, getRoleRequests)
+
+// @route   PUT /api/admin/role-requests/:id/approve
+// @desc    Approve a role request and grant the role
+// @access  Private (admin)
+router.put('/role-requests/:id/approve', idValidation, reviewNoteValidation, approveRoleRequest)
+
+// @route   PUT /api/admin/role-requests/:id/reject
+// @desc    Reject a role request
+// @access  Private (admin)
+router.put('/role-requests/:id/reject', idValidation, rejectValidation, rejectRoleRequest)
+
+// @route   POST /api/admin/invites
+// @desc    Create a single-use, expiring invite link with a pre-assigned role
+// @access  Private (admin)
+router.post('/invites', inviteValidation, createInvite)
+
+// @route   GET /api/admin/invites
+// @desc    List invites
+// @access  Private (admin)
+router.get('/invites', paginationValidation, getInvites)
+
+// @route   DELETE /api/admin/invites/:id
+// @desc    Revoke an unused invite
+// @access  Private (admin)
+router.delete('/invites/:id', idValidation, revokeInvite)
+
+// @route   GET /api/admin/tags
+// @desc    List tags with counts of articles in any status (search, sort=count|name)
+// @access  Private (admin)
+router.get('/tags', tagQueryValidation, getAdminTags)
+
+// @route   POST /api/admin/tags/merge
+// @desc    Merge tags (sources) into one tag (target) on every article
+// @access  Private (admin)
+router.post('/tags/merge', mergeTagsValidation, mergeTags)
+
+// @route   PUT /api/admin/tags/:tag
+// @desc    Set a tag's landing page description
+// @access  Private (admin)
+router.put('/tags/:tag', tagDescriptionValidation, updateTag)
+
+// @route   POST /api/admin/tags/:tag/rename
+// @desc    Rename a tag on every article (merges if the new name is already in use)
+// @access  Private (admin)
+router.post('/tags/:tag/rename', renameTagValidation, renameTag)
+
+// @route   DELETE /api/admin/tags/:tag
+// @desc    Remove a tag from every article
+// @access  Private (admin)
+router.delete('/tags/:tag', tagParamValidation, deleteTag)
+
+// @route   GET /api/admin/audit-log
+// @desc    Browse the audit log
+// @access  Private (admin)
+router.get('/audit-log', auditLogQueryValidation, getAuditLog)
+
+// @route   GET /api/admin/settings/two-factor
+// @desc    Get the roles that must use two-factor authentication
+// @access  Private (admin)
+router.get('/settings/two-factor', getTwoFactorPolicy)
+
+// @route   PUT /api/admin/settings/two-factor
+// @desc    Require two-factor authentication for roles (e.g. ['admin', 'author'])
+// @access  Private (admin)
+router.put('/settings/two-factor', twoFactorPolicyValidation, updateTwoFactorPolicy)
+
+// @route   GET /api/admin/categories
+// @desc    List categories with counts of articles in any status (?tree=true to nest them)
+// @access  Private (admin)
+router.get('/categories', getAdminCategories)
+
+// @route   POST /api/admin/categories
+// @desc    Create a category
+// @access  Private (admin)
+router.post('/categories', createCategoryValidation, createCategory)
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Update a category; a rename is applied to its articles
+// @access  Private (admin)
+router.put('/categories/:id', updateCategoryValidation, updateCategory)
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Delete a category, moving its articles with ?reassignTo=<categoryId>
+// @access  Private (admin)
+router.delete('/categories/:id', deleteCategoryValidation, deleteCategory)
+
+// @route   GET /api/admin/backup
+// @desc    Download a backup of users, articles, categories, tags, comments and uploads
+//          (?includePasswords=true to include password hashes and two-factor secrets)
+// @access  Private (admin)
+router.get('/backup', backupValidation, createSiteBackup)
+
+// @route   POST /api/admin/restore
+// @desc    Restore a backup (multipart field "archive") with mode=empty or mode=merge
+// @access  Private (admin)
+router.post('/restore', uploadArchive('archive'), restoreValidation, restoreSiteBackup)
+
+module.exports = router
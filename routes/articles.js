@@ -1,6 +1,5 @@
 const express = require('express')
-const { body, query } = require('express-validator')
-const Article = require('../models/Article')
+const { body, query, param } = require('express-validator')
 const {
   getArticles,
   getArticle,
@@ -9,34 +8,84 @@ const {
   deleteArticle,
   publishArticle,
   unpublishArticle,
+  scheduleArticle,
+  unscheduleArticle,
   getArticleStats,
   getCategories,
+  bulkArticles,
   regenerateExcerpts
 } = require('../controllers/articleController')
-const { protect, optionalAuth } = require('../middleware/auth')
-const { uploadSingle } = require('../middleware/upload')
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisionController')
+const {
+  submitForReview,
+  withdrawFromReview,
+  approveArticle,
+  requestChanges,
+  addReviewNote,
+  getWorkflow,
+  getReviewQueue
+} = require('../controllers/workflowController')
+const { suggestTags } = require('../controllers/tagController')
+const { importMarkdown, exportArticle } = require('../controllers/importController')
+const {
+  getTrash,
+  restoreFromTrash,
+  deleteFromTrash
+} = require('../controllers/trashController')
+const { apiKeyScope, protect, authorize, authorizeTransition, optionalAuth } = require('../middleware/auth')
+const { uploadSingle, uploadDocument } = require('../middleware/upload')
+const { rateLimiter } = require('../middleware/rateLimit')
+const { isCategory } = require('../utils/categoryValidator')
+const { MAX_TAG_LENGTH, normalizeTag } = require('../utils/tags')
+const { SLUG_PATTERN, MAX_SLUG_LENGTH, RESERVED_SLUGS } = require('../services/slugs')
+const { BULK_ACTIONS, MAX_BULK_ARTICLES } = require('../services/bulkArticles')
 
 const router = express.Router()
 
+const uploadLimiter = rateLimiter('upload')
+
+// Scope a personal API key needs for each route; JWT sessions are not scoped
+const readScope = apiKeyScope('articles:read')
+const writeScope = apiKeyScope('articles:write')
+const publishScope = apiKeyScope('articles:publish')
+const reviewScope = apiKeyScope('articles:review')
+
+const customSlugValidation = body('slug')
+  .optional()
+  .isString()
+  .withMessage('Slug must be a string')
+  .trim()
+  .toLowerCase()
+  .isLength({ min: 1, max: MAX_SLUG_LENGTH })
+  .withMessage(`Slug must be between 1 and ${MAX_SLUG_LENGTH} characters`)
+  .matches(SLUG_PATTERN)
+  .withMessage('Slug can only contain lowercase letters, numbers and single hyphens')
+  .not()
+  .isIn(RESERVED_SLUGS)
+  .withMessage('This slug is reserved')
+
 // Validation rules
 const createArticleValidation = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
+  customSlugValidation,
   body('category')
     .optional()
-    .custom((value, { req }) => {
-      // Only require category for published articles
-      if (req.body.status === 'published' && !value) {
+    .custom(async (value, meta) => {
+      // Only require category for published (or scheduled) articles
+      if (['published', 'scheduled'].includes(meta.req.body.status) && !value) {
         throw new Error('Category is required for published articles')
       }
-      // If category is provided, validate it against the schema enum
+      // If category is provided, it must be one of the managed categories
       if (value) {
-        const validCategories = Article.schema.paths.category.enumValues || []
-        if (!validCategories.includes(value)) {
-          throw new Error(`Invalid category. Must be one of: ${validCategories.join(', ')}`)
-        }
+        await isCategory(value, meta)
       }
       return true
     }),
@@ -44,10 +93,37 @@ const createArticleValidation = [
     .optional()
     .isArray()
     .withMessage('Tags must be an array'),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
+    .isIn(['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'])
     .withMessage('Invalid status'),
+  body('publishAt')
+    .custom((value, { req }) => {
+      // Only require publishAt for scheduled articles
+      if (req.body.status === 'scheduled' && !value) {
+        throw new Error('publishAt is required for scheduled articles')
+      }
+      if (value && isNaN(Date.parse(value))) {
+        throw new Error('publishAt must be a valid date')
+      }
+      return true
+    }),
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.publishAt && new Date(value) <= new Date(req.body.publishAt)) {
+        throw new Error('unpublishAt must be after publishAt')
+      }
+      return true
+    }),
   body('contentBlocks')
     .optional()
     .isArray()
@@ -72,19 +148,22 @@ const updateArticleValidation = [
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
+  customSlugValidation,
+  body('slugLocked')
+    .optional()
+    .isBoolean()
+    .withMessage('slugLocked must be a boolean')
+    .toBoolean(),
   body('category')
     .optional()
-    .custom((value, { req }) => {
-      // Only require category for published articles
-      if (req.body.status === 'published' && !value) {
+    .custom(async (value, meta) => {
+      // Only require category for published (or scheduled) articles
+      if (['published', 'scheduled'].includes(meta.req.body.status) && !value) {
         throw new Error('Category is required for published articles')
       }
-      // If category is provided, validate it against the schema enum
+      // If category is provided, it must be one of the managed categories
       if (value) {
-        const validCategories = Article.schema.paths.category.enumValues || []
-        if (!validCategories.includes(value)) {
-          throw new Error(`Invalid category. Must be one of: ${validCategories.join(', ')}`)
-        }
+        await isCategory(value, meta)
       }
       return true
     }),
@@ -92,10 +171,37 @@ const updateArticleValidation = [
     .optional()
     .isArray()
     .withMessage('Tags must be an array'),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
+    .isIn(['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'])
     .withMessage('Invalid status'),
+  body('publishAt')
+    .custom((value, { req }) => {
+      // Only require publishAt for scheduled articles
+      if (req.body.status === 'scheduled' && !value) {
+        throw new Error('publishAt is required for scheduled articles')
+      }
+      if (value && isNaN(Date.parse(value))) {
+        throw new Error('publishAt must be a valid date')
+      }
+      return true
+    }),
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.publishAt && new Date(value) <= new Date(req.body.publishAt)) {
+        throw new Error('unpublishAt must be after publishAt')
+      }
+      return true
+    }),
   body('contentBlocks')
     .optional()
     .isArray()
@@ -125,72 +231,318 @@ const queryValidation = [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
+    .isIn(['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'])
     .withMessage('Invalid status'),
   query('category')
     .optional()
-    .isIn(['technology', 'lifestyle', 'business', 'health', 'travel', 'food', 'other'])
-    .withMessage('Invalid category'),
+    .custom(isCategory),
   query('sort')
     .optional()
     .matches(/^-?[a-zA-Z]+$/)
     .withMessage('Invalid sort parameter')
 ]
 
+const scheduleValidation = [
+  body('publishAt')
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('unpublishAt must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.publishAt)) {
+        throw new Error('unpublishAt must be after publishAt')
+      }
+      return true
+    })
+]
+
+const reviewNoteValidation = [
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Note must be between 1 and 2000 characters')
+]
+
+const requiredReviewNoteValidation = [
+  body('note')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Note must be between 1 and 2000 characters')
+]
+
+const revisionArticleValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid article ID')
+]
+
+const revisionDiffValidation = [
+  ...revisionArticleValidation,
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('from must be a revision number'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('to must be a revision number')
+]
+
+const tagSuggestValidation = [
+  query('q')
+    .optional()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage('Query is too long'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+]
+
+const bulkValidation = [
+  body('action')
+    .isIn(Object.keys(BULK_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`),
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_ARTICLES })
+    .withMessage(`ids must be an array of 1 to ${MAX_BULK_ARTICLES} article IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid article ID'),
+  body('category')
+    .if(body('action').equals('set_category'))
+    .notEmpty()
+    .withMessage('category is required for set_category')
+    .bail()
+    .custom(isCategory),
+  body('tags')
+    .if(body('action').isIn(['add_tags', 'remove_tags']))
+    .isArray({ min: 1 })
+    .withMessage('tags must be a non-empty array for add_tags and remove_tags'),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
+]
+
+// Publishing actions need the publish scope; everything else is a write
+const bulkScope = apiKeyScope(req => {
+  const action = BULK_ACTIONS[req.body && req.body.action]
+  return action ? action.scope : 'articles:write'
+})
+
+const trashQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+]
+
+const trashIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid article ID')
+]
+
+const revisionParamValidation = [
+  ...revisionArticleValidation,
+  param('revision')
+    .isInt({ min: 1 })
+    .withMessage('Invalid revision number')
+]
+
+const restoreRevisionValidation = [
+  ...revisionParamValidation,
+  body('asDraft')
+    .optional()
+    .isBoolean()
+    .withMessage('asDraft must be a boolean')
+    .toBoolean()
+]
+
+const importValidation = [
+  body('markdown')
+    .optional()
+    .isString()
+    .withMessage('Markdown must be a string')
+    .isLength({ max: 1024 * 1024 })
+    .withMessage('Markdown cannot be more than 1MB')
+]
+
+const exportValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid article ID'),
+  query('format')
+    .optional()
+    .isIn(['md'])
+    .withMessage('Format must be md')
+]
+
 // @route   GET /api/articles
 // @desc    Get all articles for current user
 // @access  Private
-router.get('/', protect, queryValidation, getArticles)
+router.get('/', readScope, protect, queryValidation, getArticles)
 
 // @route   GET /api/articles/stats
 // @desc    Get article statistics
 // @access  Private
-router.get('/stats', protect, getArticleStats)
+router.get('/stats', readScope, protect, getArticleStats)
 
 // @route   GET /api/articles/categories
 // @desc    Get available categories
 // @access  Public
 router.get('/categories', getCategories)
 
+// @route   GET /api/articles/tags/suggest
+// @desc    Autocomplete tags for the editor (q, limit)
+// @access  Private
+router.get('/tags/suggest', readScope, protect, tagSuggestValidation, suggestTags)
+
+// @route   POST /api/articles/bulk
+// @desc    Apply one action to a list of articles, reporting the result for each
+// @access  Private
+router.post('/bulk', bulkScope, protect, bulkValidation, bulkArticles)
+
+// @route   GET /api/articles/trash
+// @desc    List the current user's trashed articles
+// @access  Private
+router.get('/trash', readScope, protect, trashQueryValidation, getTrash)
+
+// @route   POST /api/articles/trash/:id/restore
+// @desc    Restore an article from the trash
+// @access  Private
+router.post('/trash/:id/restore', writeScope, protect, trashIdValidation, restoreFromTrash)
+
+// @route   DELETE /api/articles/trash/:id
+// @desc    Permanently delete a trashed article
+// @access  Private
+router.delete('/trash/:id', writeScope, protect, trashIdValidation, deleteFromTrash)
+
+// @route   POST /api/articles/import
+// @desc    Import a Markdown file (multipart field "file") or a markdown JSON field as a draft
+// @access  Private
+router.post('/import', uploadLimiter, writeScope, protect, uploadDocument('file'), importValidation, importMarkdown)
+
+// @route   GET /api/articles/review-queue
+// @desc    Get articles waiting for editorial review
+// @access  Private (editor, admin)
+router.get('/review-queue', reviewScope, protect, authorize('editor', 'admin'), queryValidation, getReviewQueue)
+
 // @route   POST /api/articles/regenerate-excerpts
 // @desc    Regenerate excerpts for all articles
 // @access  Private
-router.post('/regenerate-excerpts', protect, regenerateExcerpts)
+router.post('/regenerate-excerpts', writeScope, protect, regenerateExcerpts)
 
 // @route   GET /api/articles/:id
 // @desc    Get single article
 // @access  Private
-router.get('/:id', protect, getArticle)
+router.get('/:id', readScope, protect, getArticle)
 
 // @route   POST /api/articles
 // @desc    Create new article
 // @access  Private
-router.post('/', protect, createArticleValidation, createArticle)
+router.post('/', writeScope, protect, createArticleValidation, createArticle)
 
 // @route   PUT /api/articles/:id
 // @desc    Update article
 // @access  Private
-router.put('/:id', protect, updateArticleValidation, updateArticle)
+router.put('/:id', writeScope, protect, updateArticleValidation, updateArticle)
 
 // @route   DELETE /api/articles/:id
-// @desc    Delete article
+// @desc    Delete article (moves it to the trash)
 // @access  Private
-router.delete('/:id', protect, deleteArticle)
+router.delete('/:id', writeScope, protect, deleteArticle)
 
 // @route   PUT /api/articles/:id/publish
 // @desc    Publish article
 // @access  Private
-router.put('/:id/publish', protect, publishArticle)
+router.put('/:id/publish', publishScope, protect, authorizeTransition('publish'), publishArticle)
 
 // @route   PUT /api/articles/:id/unpublish
 // @desc    Unpublish article
 // @access  Private
-router.put('/:id/unpublish', protect, unpublishArticle)
+router.put('/:id/unpublish', publishScope, protect, authorizeTransition('unpublish'), unpublishArticle)
+
+// @route   PUT /api/articles/:id/schedule
+// @desc    Schedule article publishing (and optional unpublishing)
+// @access  Private
+router.put('/:id/schedule', publishScope, protect, authorizeTransition('schedule'), scheduleValidation, scheduleArticle)
+
+// @route   DELETE /api/articles/:id/schedule
+// @desc    Cancel a scheduled publish; the article goes back to approved
+// @access  Private
+router.delete('/:id/schedule', publishScope, protect, authorizeTransition('unschedule'), unscheduleArticle)
+
+// @route   GET /api/articles/:id/export
+// @desc    Export an article as Markdown with front matter (format=md)
+// @access  Private
+router.get('/:id/export', readScope, protect, exportValidation, exportArticle)
+
+// @route   GET /api/articles/:id/workflow
+// @desc    Get workflow status, history and review notes
+// @access  Private (owner, editor, admin)
+router.get('/:id/workflow', readScope, protect, getWorkflow)
+
+// @route   PUT /api/articles/:id/submit
+// @desc    Submit article for review
+// @access  Private (owner, editor, admin)
+router.put('/:id/submit', writeScope, protect, authorizeTransition('submit'), reviewNoteValidation, submitForReview)
+
+// @route   PUT /api/articles/:id/withdraw
+// @desc    Withdraw article from review
+// @access  Private (owner, editor, admin)
+router.put('/:id/withdraw', writeScope, protect, authorizeTransition('withdraw'), reviewNoteValidation, withdrawFromReview)
+
+// @route   PUT /api/articles/:id/approve
+// @desc    Approve article for publishing
+// @access  Private (editor, admin)
+router.put('/:id/approve', reviewScope, protect, authorizeTransition('approve'), reviewNoteValidation, approveArticle)
+
+// @route   PUT /api/articles/:id/request-changes
+// @desc    Send article back to draft with a review note
+// @access  Private (editor, admin)
+router.put('/:id/request-changes', reviewScope, protect, authorizeTransition('request_changes'), requiredReviewNoteValidation, requestChanges)
+
+// @route   POST /api/articles/:id/review-notes
+// @desc    Leave a review note
+// @access  Private (owner, editor, admin)
+router.post('/:id/review-notes', writeScope, protect, requiredReviewNoteValidation, addReviewNote)
+
+// @route   GET /api/articles/:id/revisions
+// @desc    List article revisions
+// @access  Private
+router.get('/:id/revisions', readScope, protect, revisionArticleValidation, getRevisions)
+
+// @route   GET /api/articles/:id/revisions/diff
+// @desc    Block-level diff between two revisions
+// @access  Private
+router.get('/:id/revisions/diff', readScope, protect, revisionDiffValidation, diffRevisions)
+
+// @route   GET /api/articles/:id/revisions/:revision
+// @desc    Get a single revision
+// @access  Private
+router.get('/:id/revisions/:revision', readScope, protect, revisionParamValidation, getRevision)
+
+// @route   POST /api/articles/:id/revisions/:revision/restore
+// @desc    Restore a revision's content (as a draft unless an editor or admin restores it; asDraft: true always does)
+// @access  Private
+router.post('/:id/revisions/:revision/restore', writeScope, protect, restoreRevisionValidation, restoreRevision)
 
 // @route   POST /api/articles/upload-image
 // @desc    Upload article image
 // @access  Private
-router.post('/upload-image', optionalAuth, uploadSingle('image'), (req, res) => {
+router.post('/upload-image', uploadLimiter, writeScope, optionalAuth, uploadSingle('image'), (req, res) => {
   try {
     console.log('Upload request received:', req.file)
     console.log('Request body:', req.body)
@@ -230,7 +582,7 @@ router.post('/upload-image', optionalAuth, uploadSingle('image'), (req, res) =>
 // @route   POST /api/articles/link-preview
 // @desc    Get link preview data
 // @access  Private
-router.post('/link-preview', optionalAuth, async (req, res) => {
+router.post('/link-preview', writeScope, optionalAuth, async (req, res) => {
   try {
     const { url } = req.body
     
@@ -279,7 +631,7 @@ router.post('/link-preview', optionalAuth, async (req, res) => {
 // @route   POST /api/articles/upload-image/by-url
 // @desc    Accept image URL and return in Editor.js format
 // @access  Public (auth optional)
-router.post('/upload-image/by-url', optionalAuth, async (req, res) => {
+router.post('/upload-image/by-url', uploadLimiter, writeScope, optionalAuth, async (req, res) => {
   try {
     const { url } = req.body || {}
 
@@ -1,8 +1,16 @@
 const express = require('express')
-const { body } = require('express-validator')
+const { body, param } = require('express-validator')
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getMe,
   updateProfile,
   changePassword,
@@ -12,10 +20,38 @@ const {
   getSavedArticles,
   getArticlesStatus
 } = require('../controllers/authController')
-const { protect } = require('../middleware/auth')
+const {
+  createRoleRequest,
+  getMyRoleRequests,
+  checkInvite,
+  acceptInvite
+} = require('../controllers/roleController')
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController')
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController')
+const {
+  exportAccount,
+  deleteAccount
+} = require('../controllers/accountController')
+const ApiKey = require('../models/ApiKey')
+const { ARTICLE_POLICIES } = require('../services/accountData')
+const { protect, authorize } = require('../middleware/auth')
+const { rateLimiter } = require('../middleware/rateLimit')
 
 const router = express.Router()
 
+// Shared budget for sign-in, registration and account recovery
+const authLimiter = rateLimiter('auth')
+
 // Validation rules
 const registerValidation = [
   body('name')
@@ -29,10 +65,11 @@ const registerValidation = [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
-  body('role')
+  body('inviteToken')
     .optional()
-    .isIn(['admin', 'author', 'user'])
-    .withMessage('Role must be admin, author, or user')
+    .isString()
+    .notEmpty()
+    .withMessage('Invalid invite token')
 ]
 
 const loginValidation = [
@@ -45,6 +82,71 @@ const loginValidation = [
     .withMessage('Password is required')
 ]
 
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or a recovery code is required')
+]
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+]
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or a recovery code is required')
+]
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+]
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+]
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+]
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+]
+
 const updateProfileValidation = [
   body('name')
     .optional()
@@ -66,6 +168,57 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ]
 
+const roleRequestValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot be more than 1000 characters')
+]
+
+const acceptInviteValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invite token is required')
+]
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+]
+
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+]
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('articlePolicy')
+    .isIn(ARTICLE_POLICIES)
+    .withMessage(`articlePolicy must be one of: ${ARTICLE_POLICIES.join(', ')}`),
+  body('transferTo')
+    .if(body('articlePolicy').equals('transfer'))
+    .isMongoId()
+    .withMessage('transferTo must be a valid user ID when transferring articles')
+]
+
 const articleIdValidation = [
   body('articleId')
     .isMongoId()
@@ -75,12 +228,52 @@ const articleIdValidation = [
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
-router.post('/register', registerValidation, register)
+router.post('/register', authLimiter, registerValidation, register)
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', loginValidation, login)
+router.post('/login', authLimiter, loginValidation, login)
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish login with a two-factor or recovery code
+// @access  Public
+router.post('/login/2fa', authLimiter, twoFactorLoginValidation, verifyTwoFactorLogin)
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and get a new access token
+// @access  Public
+router.post('/refresh', refreshTokenValidation, refreshToken)
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Public
+router.post('/logout', refreshTokenValidation, logout)
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices
+// @access  Private
+router.post('/logout-all', protect, logoutAll)
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword)
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a reset token
+// @access  Public
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword)
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address
+// @access  Public
+router.post('/verify-email', authLimiter, verifyEmailValidation, verifyEmail)
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', authLimiter, protect, resendVerification)
 
 // @route   GET /api/auth/me
 // @desc    Get current user
@@ -97,6 +290,76 @@ router.put('/profile', protect, updateProfileValidation, updateProfile)
 // @access  Private
 router.put('/change-password', protect, changePasswordValidation, changePassword)
 
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status
+// @access  Private
+router.get('/2fa', protect, getTwoFactorStatus)
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment
+// @access  Private
+router.post('/2fa/setup', protect, setupTwoFactor)
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrollment with the first code
+// @access  Private
+router.post('/2fa/verify', protect, twoFactorCodeValidation, enableTwoFactor)
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+// @access  Private
+router.post('/2fa/disable', protect, disableTwoFactorValidation, disableTwoFactor)
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, twoFactorCodeValidation, regenerateRecoveryCodes)
+
+// @route   GET /api/auth/export
+// @desc    Download your account data as a .tar.gz archive
+// @access  Private
+router.get('/export', protect, exportAccount)
+
+// @route   DELETE /api/auth/account
+// @desc    Delete your account (requires password; 2FA code if enabled)
+// @access  Private
+router.delete('/account', protect, deleteAccountValidation, deleteAccount)
+
+// @route   GET /api/auth/api-keys
+// @desc    List your API keys
+// @access  Private
+router.get('/api-keys', protect, getApiKeys)
+
+// @route   POST /api/auth/api-keys
+// @desc    Create a scoped API key for scripts
+// @access  Private (author, editor, admin)
+router.post('/api-keys', protect, authorize('author', 'editor', 'admin'), createApiKeyValidation, createApiKey)
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/api-keys/:id', protect, apiKeyIdValidation, revokeApiKey)
+
+// @route   POST /api/auth/role-requests
+// @desc    Request the author role
+// @access  Private
+router.post('/role-requests', protect, roleRequestValidation, createRoleRequest)
+
+// @route   GET /api/auth/role-requests
+// @desc    Get current user's role requests
+// @access  Private
+router.get('/role-requests', protect, getMyRoleRequests)
+
+// @route   POST /api/auth/invites/accept
+// @desc    Accept an invite with an existing account
+// @access  Private
+router.post('/invites/accept', protect, acceptInviteValidation, acceptInvite)
+
+// @route   GET /api/auth/invites/:token
+// @desc    Check whether an invite link is still usable
+// @access  Public
+router.get('/invites/:token', authLimiter, checkInvite)
+
 // @route   POST /api/auth/articles/:id/like
 // @desc    Toggle like on article
 // @access  Private
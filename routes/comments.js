@@ -0,0 +1,68 @@
+const express = require('express')
+const { body, query, param } = require('express-validator')
+const {
+  updateComment,
+  deleteComment,
+  getModerationQueue,
+  moderateComment
+} = require('../controllers/commentController')
+const { protect } = require('../middleware/auth')
+
+const router = express.Router()
+
+// Validation rules
+const commentIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+]
+
+const updateCommentValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters')
+]
+
+const moderateCommentValidation = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected')
+]
+
+const moderationQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid status')
+]
+
+// @route   GET /api/comments/moderation
+// @desc    Get comments awaiting moderation
+// @access  Private (article authors, admins)
+router.get('/moderation', protect, moderationQueryValidation, getModerationQueue)
+
+// @route   PUT /api/comments/:id
+// @desc    Edit own comment
+// @access  Private
+router.put('/:id', protect, commentIdValidation, updateCommentValidation, updateComment)
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete own comment
+// @access  Private
+router.delete('/:id', protect, commentIdValidation, deleteComment)
+
+// @route   PUT /api/comments/:id/moderate
+// @desc    Approve or reject a comment
+// @access  Private (article author, admin)
+router.put('/:id/moderate', protect, commentIdValidation, moderateCommentValidation, moderateComment)
+
+module.exports = router
@@ -1,5 +1,5 @@
 const express = require('express')
-const { query, param } = require('express-validator')
+const { body, query, param } = require('express-validator')
 const {
   getPublicArticle,
   getPublicArticleById,
@@ -10,10 +10,29 @@ const {
   getArticlesByAuthor,
   likeArticle
 } = require('../controllers/publicController')
+const {
+  getArticleComments,
+  createComment
+} = require('../controllers/commentController')
+const { getFeed } = require('../controllers/feedController')
+const { getPublicCategories } = require('../controllers/categoryController')
+const { getPublicTags, getPublicTag } = require('../controllers/tagController')
+const { searchPublicArticles } = require('../controllers/searchController')
+const { protect } = require('../middleware/auth')
+const { rateLimiter } = require('../middleware/rateLimit')
+const { isCategory } = require('../utils/categoryValidator')
+const { MAX_TAG_LENGTH, normalizeTag } = require('../utils/tags')
+const { SEARCH_SORTS } = require('../services/search')
 
 const router = express.Router()
 
+// Every read shares one budget per client; likes are limited separately
+router.get('*', rateLimiter('publicRead'))
+const likeLimiter = rateLimiter('publicLike')
+
 // Validation rules
+const MAX_SEARCH_LENGTH = 200
+
 const publicQueryValidation = [
   query('page')
     .optional()
@@ -29,12 +48,49 @@ const publicQueryValidation = [
     .withMessage('Invalid sort parameter'),
   query('category')
     .optional()
-    .isIn(['technology', 'lifestyle', 'business', 'health', 'travel', 'food', 'other'])
-    .withMessage('Invalid category'),
+    .custom(isCategory),
+  query('tag')
+    .optional()
+    .customSanitizer(normalizeTag),
   query('timeframe')
     .optional()
     .isIn(['week', 'month', 'all'])
-    .withMessage('Invalid timeframe')
+    .withMessage('Invalid timeframe'),
+  query('search')
+    .optional()
+    .isLength({ max: MAX_SEARCH_LENGTH })
+    .withMessage(`Search cannot be more than ${MAX_SEARCH_LENGTH} characters`)
+]
+
+const searchValidation = [
+  query('q')
+    .isString()
+    .withMessage('Search query is required')
+    .trim()
+    .isLength({ min: 1, max: MAX_SEARCH_LENGTH })
+    .withMessage(`Search query must be between 1 and ${MAX_SEARCH_LENGTH} characters`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('sort')
+    .optional()
+    .isIn(SEARCH_SORTS)
+    .withMessage(`Sort must be one of: ${SEARCH_SORTS.join(', ')}`),
+  query('category')
+    .optional()
+    .custom(isCategory),
+  query('tag')
+    .optional()
+    .customSanitizer(normalizeTag),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID')
 ]
 
 const slugValidation = [
@@ -43,6 +99,13 @@ const slugValidation = [
     .withMessage('Invalid slug format')
 ]
 
+const formatValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'html'])
+    .withMessage('Format must be json or html')
+]
+
 const idValidation = [
   param('id')
     .isMongoId()
@@ -51,8 +114,71 @@ const idValidation = [
 
 const categoryValidation = [
   param('category')
-    .isIn(['technology', 'lifestyle', 'business', 'health', 'travel', 'food', 'other'])
-    .withMessage('Invalid category')
+    .custom(isCategory)
+]
+
+const commentValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+]
+
+const feedValidation = [
+  param('format')
+    .isIn(['xml', 'atom', 'json'])
+    .withMessage('Feed format must be xml, atom or json'),
+  param('authorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+  param('category')
+    .optional()
+    .custom(isCategory),
+  query('category')
+    .optional()
+    .custom(isCategory),
+  query('tag')
+    .optional()
+    .customSanitizer(normalizeTag),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('content')
+    .optional()
+    .isIn(['full', 'excerpt'])
+    .withMessage('Content must be full or excerpt')
+]
+
+const tagValidation = [
+  param('tag')
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
+]
+
+const tagListValidation = [
+  query('search')
+    .optional()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage('Search is too long'),
+  query('sort')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('Sort must be count or name'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
 ]
 
 const authorValidation = [
@@ -61,6 +187,26 @@ const authorValidation = [
     .withMessage('Invalid author ID')
 ]
 
+// @route   GET /api/public/categories
+// @desc    List categories with published article counts (?tree=true to nest them)
+// @access  Public
+router.get('/categories', getPublicCategories)
+
+// @route   GET /api/public/tags
+// @desc    List tags with published article counts (search, sort=count|name, limit)
+// @access  Public
+router.get('/tags', tagListValidation, getPublicTags)
+
+// @route   GET /api/public/tags/:tag
+// @desc    Tag landing page: description plus published articles
+// @access  Public
+router.get('/tags/:tag', tagValidation, publicQueryValidation, getPublicTag)
+
+// @route   GET /api/public/search
+// @desc    Search published articles (q, category, tag, author, sort=relevance|newest, page, limit)
+// @access  Public
+router.get('/search', searchValidation, searchPublicArticles)
+
 // @route   GET /api/public/articles
 // @desc    Get all published articles
 // @access  Public
@@ -89,16 +235,46 @@ router.get('/articles/author/:authorId', authorValidation, publicQueryValidation
 // @route   GET /api/public/articles/:slug
 // @desc    Get public article by slug
 // @access  Public
-router.get('/articles/:slug', slugValidation, getPublicArticle)
+router.get('/articles/:slug', slugValidation, formatValidation, getPublicArticle)
+
+// @route   GET /api/public/articles/:slug/comments
+// @desc    Get approved comments for an article
+// @access  Public
+router.get('/articles/:slug/comments', slugValidation, publicQueryValidation, getArticleComments)
+
+// @route   POST /api/public/articles/:slug/comments
+// @desc    Post a comment or reply
+// @access  Private
+router.post('/articles/:slug/comments', protect, slugValidation, commentValidation, createComment)
 
 // @route   GET /api/public/articles/id/:id
 // @desc    Get public article by ID
 // @access  Public
-router.get('/articles/id/:id', idValidation, getPublicArticleById)
+router.get('/articles/id/:id', idValidation, formatValidation, getPublicArticleById)
 
 // @route   POST /api/public/articles/:id/like
 // @desc    Like article
 // @access  Public
-router.post('/articles/:id/like', idValidation, likeArticle)
+router.post('/articles/:id/like', likeLimiter, idValidation, likeArticle)
+
+// @route   GET /api/public/feed.(xml|atom|json)
+// @desc    RSS 2.0, Atom or JSON Feed of published articles
+// @access  Public
+router.get('/feed.:format', feedValidation, getFeed)
+
+// @route   GET /api/public/category/:category/feed.(xml|atom|json)
+// @desc    Feed of published articles in a category
+// @access  Public
+router.get('/category/:category/feed.:format', feedValidation, getFeed)
+
+// @route   GET /api/public/tag/:tag/feed.(xml|atom|json)
+// @desc    Feed of published articles with a tag
+// @access  Public
+router.get('/tag/:tag/feed.:format', feedValidation, getFeed)
+
+// @route   GET /api/public/author/:authorId/feed.(xml|atom|json)
+// @desc    Feed of published articles by an author
+// @access  Public
+router.get('/author/:authorId/feed.:format', feedValidation, getFeed)
 
 module.exports = router
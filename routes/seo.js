@@ -0,0 +1,25 @@
+const express = require('express')
+const {
+  getSitemap,
+  getSitemapPage,
+  getRobots
+} = require('../controllers/sitemapController')
+
+const router = express.Router()
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap (or sitemap index) of published content
+// @access  Public
+router.get('/sitemap.xml', getSitemap)
+
+// @route   GET /sitemaps/:section-:page.xml
+// @desc    Paged child sitemap (articles or listings)
+// @access  Public
+router.get('/sitemaps/:section-:page.xml', getSitemapPage)
+
+// @route   GET /robots.txt
+// @desc    robots.txt
+// @access  Public
+router.get('/robots.txt', getRobots)
+
+module.exports = router
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// Back up the site to a .tar.gz archive, or restore one.
+//
+//   npm run backup -- create --out backup.tar.gz
+//   npm run backup -- restore --file backup.tar.gz --mode merge
+//
+// Commands:
+//   create --out <path> [--include-passwords]   Write a backup (password hashes and two-factor
+//                                               secrets only with --include-passwords)
+//   restore --file <path> --mode <empty|merge>  Load a backup into an empty database, or merge
+//                                               it into this one with new IDs
+const fs = require('fs')
+const mongoose = require('mongoose')
+require('dotenv').config()
+
+const connectDB = require('../config/database')
+const { RESTORE_MODES, createBackup, readBackup, checkRestoreTarget, restoreBackup } = require('../services/siteBackup')
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv
+  const options = { command, includePasswords: false }
+  for (let i = 0; i < rest.length; i++) {
+    switch (rest[i]) {
+      case '--out':
+        options.out = rest[++i]
+        break
+      case '--include-passwords':
+        options.includePasswords = true
+        break
+      case '--file':
+        options.file = rest[++i]
+        break
+      case '--mode':
+        options.mode = rest[++i]
+        break
+      default:
+        throw new Error(`Unknown option ${rest[i]}`)
+    }
+  }
+  if (command === 'create') {
+    if (!options.out) throw new Error('--out is required')
+  } else if (command === 'restore') {
+    if (!options.file) throw new Error('--file is required')
+    if (!RESTORE_MODES.includes(options.mode)) {
+      throw new Error(`--mode must be one of: ${RESTORE_MODES.join(', ')}`)
+    }
+  } else {
+    throw new Error('Usage: backup create --out <path> | backup restore --file <path> --mode <empty|merge>')
+  }
+  return options
+}
+
+const create = async (options) => {
+  const { manifest, write } = await createBackup({ includePasswords: options.includePasswords })
+  await write(fs.createWriteStream(options.out))
+
+  const counts = Object.entries(manifest.counts).map(([name, count]) => `${count} ${name}`).join(', ')
+  console.log(`Wrote ${options.out}: ${counts}`)
+  manifest.missingUploads.forEach(name => console.log(`    missing upload: ${name}`))
+}
+
+const restore = async (options) => {
+  const backup = readBackup(fs.readFileSync(options.file))
+
+  const conflict = await checkRestoreTarget(options.mode)
+  if (conflict) throw new Error(conflict)
+
+  const report = await restoreBackup(backup, { mode: options.mode })
+  console.log(`Restored backup from ${backup.manifest.createdAt} (${options.mode} mode)`)
+  ;['users', 'categories', 'tags', 'articles'].forEach(name => {
+    console.log(`${name}: ${report[name].created} created, ${report[name].matched} matched`)
+  })
+  console.log(`comments: ${report.comments.created} created`)
+  console.log(`uploads: ${report.uploads.copied} copied, ${report.uploads.existing} already present`)
+  report.articles.renamed.forEach(({ from, to }) => console.log(`    renamed: /${from} -> /${to}`))
+}
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2))
+
+  await connectDB()
+  try {
+    await (options.command === 'create' ? create(options) : restore(options))
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+main().catch(error => {
+  console.error('Backup failed:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Import posts from a WordPress WXR or Ghost JSON export.
+//
+//   npm run import:blog -- --source wordpress --file export.xml --media ./wp-content/uploads --dry-run
+//
+// Options:
+//   --source <wordpress|ghost>  Export format (required)
+//   --file <path>               Export file (required)
+//   --media <dir>               Local copy of wp-content/uploads or content/images to copy images from
+//   --dry-run                   Report what would be imported without writing anything
+//   --default-author <email>    Existing user for posts whose author can't be matched or created
+//   --no-create-authors         Don't create users for unmatched authors (use --default-author)
+//   --report <path>             Also write the full report as JSON
+const fs = require('fs')
+const mongoose = require('mongoose')
+require('dotenv').config()
+
+const connectDB = require('../config/database')
+const { IMPORT_SOURCES, runBlogImport } = require('../services/blogImport')
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, createAuthors: true }
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--source':
+        options.source = argv[++i]
+        break
+      case '--file':
+        options.file = argv[++i]
+        break
+      case '--media':
+        options.mediaDir = argv[++i]
+        break
+      case '--dry-run':
+        options.dryRun = true
+        break
+      case '--default-author':
+        options.defaultAuthor = argv[++i]
+        break
+      case '--no-create-authors':
+        options.createAuthors = false
+        break
+      case '--report':
+        options.report = argv[++i]
+        break
+      default:
+        throw new Error(`Unknown option ${argv[i]}`)
+    }
+  }
+  if (!IMPORT_SOURCES.includes(options.source)) {
+    throw new Error(`--source must be one of: ${IMPORT_SOURCES.join(', ')}`)
+  }
+  if (!options.file) {
+    throw new Error('--file is required')
+  }
+  return options
+}
+
+const printReport = (report) => {
+  report.articles.forEach(article => {
+    const label = `[${article.action}] ${article.title || '(untitled)'} (${article.id})`
+    const detail = article.error || article.reason || (article.slug ? `/${article.slug}` : '')
+    console.log(detail ? `${label}: ${detail}` : label)
+    ;(article.warnings || []).forEach(warning => console.log(`    warning: ${warning}`))
+  })
+
+  const { summary, authors, categories, attachments } = report
+  console.log('')
+  console.log(`${report.dryRun ? 'Dry run: would import' : 'Imported'} ${summary.imported}, skipped ${summary.skipped}, failed ${summary.failed}`)
+  console.log(`Authors: ${authors.matched.length} matched, ${authors.created.length} ${report.dryRun ? 'to create' : 'created'}, ${authors.unmatched.length} unmatched`)
+  if (categories.created.length > 0) {
+    console.log(`Categories ${report.dryRun ? 'to create' : 'created'}: ${categories.created.join(', ')}`)
+  }
+  console.log(`Images: ${attachments.copied} ${report.dryRun ? 'to copy' : 'copied'}, ${attachments.reused} already present, ${attachments.missing.length} missing`)
+  attachments.missing.forEach(file => console.log(`    missing: ${file}`))
+}
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2))
+  const content = fs.readFileSync(options.file, 'utf8')
+
+  await connectDB()
+  try {
+    const report = await runBlogImport(options.source, content, options)
+    printReport(report)
+    if (options.report) {
+      fs.writeFileSync(options.report, JSON.stringify(report, null, 2))
+    }
+    process.exitCode = report.summary.failed > 0 ? 1 : 0
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Rebuild the search index fields (body text and author name) of every article.
+// Run once after upgrading to the version with full-text search, or whenever articles
+// were written to the database directly.
+//
+//   npm run search:reindex
+const mongoose = require('mongoose')
+require('dotenv').config()
+
+const connectDB = require('../config/database')
+const Article = require('../models/Article')
+const { reindexArticles } = require('../services/search')
+
+const main = async () => {
+  await connectDB()
+  try {
+    // Builds the text index if the server hasn't yet
+    await Article.createIndexes()
+    const updated = await reindexArticles()
+    console.log(`Reindexed ${updated} article(s)`)
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+main().catch(error => {
+  console.error('Reindex failed:', error.message)
+  process.exit(1)
+})
@@ -2,20 +2,42 @@ const express = require('express')
 const cors = require('cors')
 const helmet = require('helmet')
 const compression = require('compression')
-const rateLimit = require('express-rate-limit')
 const path = require('path')
 require('dotenv').config()
 
 // Import database connection
 const connectDB = require('./config/database')
 
+// Import background jobs
+const { startPublishScheduler } = require('./jobs/publishScheduler')
+const { startTrashPurge } = require('./jobs/trashPurge')
+
+// Check the mail configuration now rather than on the first email
+const { getTransport } = require('./services/mail')
+getTransport()
+
+// Import models seeded at startup
+const Category = require('./models/Category')
+
 // Import routes
 const authRoutes = require('./routes/auth')
 const articleRoutes = require('./routes/articles')
 const publicRoutes = require('./routes/public')
-
-// Connect to database
-connectDB()
+const commentRoutes = require('./routes/comments')
+const seoRoutes = require('./routes/seo')
+const adminRoutes = require('./routes/admin')
+
+// Connect to database, seed the default categories on first run, then start the
+// background jobs so they catch up on anything due
+connectDB().then(async () => {
+  try {
+    await Category.seedDefaults()
+  } catch (error) {
+    console.error('Category seeding error:', error.message)
+  }
+  startPublishScheduler()
+  startTrashPurge()
+})
 
 const app = express()
 
@@ -25,16 +47,14 @@ app.use(helmet())
 // Compression middleware
 app.use(compression())
 
-// // Rate limiting (more lenient for development)
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: process.env.NODE_ENV === 'production' ? 100 : 1000, // More lenient in development
-//   message: {
-//     success: false,
-//     error: 'Too many requests from this IP, please try again later.'
-//   }
-// })
-// app.use(limiter)
+// Client IPs drive rate limiting and login throttling; behind a reverse proxy set
+// TRUST_PROXY (e.g. 1 for one hop) so req.ip is the real client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy)
+}
+
+// Rate limits are applied per route group (auth, public reads, likes, uploads); see config/rateLimits.js
 
 // CORS configuration
 app.use(cors())
@@ -60,6 +80,9 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes)
 app.use('/api/articles', articleRoutes)
 app.use('/api/public', publicRoutes)
+app.use('/api/comments', commentRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/', seoRoutes)
 
 // Global error handler
 app.use((err, req, res, next) => {
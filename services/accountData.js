@@ -0,0 +1,177 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const User = require('../models/User')
+const Article = require('../models/Article')
+const Comment = require('../models/Comment')
+const RefreshToken = require('../models/RefreshToken')
+const ApiKey = require('../models/ApiKey')
+const RoleRequest = require('../models/RoleRequest')
+const { unlockAccount } = require('./loginThrottle')
+const { purgeArticles } = require('./articleTrash')
+const { syncAuthorName } = require('./search')
+const { createTarGz } = require('../utils/tarball')
+const { findUploadReferences, uploadPath } = require('../utils/uploads')
+
+const ARTICLE_POLICIES = ['transfer', 'archive', 'delete']
+
+const PROFILE_FIELDS = 'name email role avatar bio isActive emailVerified twoFactorEnabled createdAt updatedAt'
+
+const toJson = (value) => JSON.stringify(value, null, 2)
+
+// Build a .tar.gz with everything we hold about a user: profile, articles, saved articles,
+// likes, comments and the uploaded files their profile and articles reference
+const buildAccountExport = async (userId) => {
+  const user = await User.findById(userId).select(PROFILE_FIELDS).lean()
+
+  const [articles, saved, liked, comments] = await Promise.all([
+    Article.find({ author: userId }).setOptions({ withDeleted: true }).select('-likedBy').lean(),
+    User.findById(userId).select('savedArticles').populate('savedArticles', 'title slug status publishedAt').lean(),
+    Article.find({ likedBy: userId }).select('title slug status publishedAt').lean(),
+    Comment.find({ author: userId, isDeleted: false }).select('article parent content status editedAt createdAt').lean()
+  ])
+
+  const savedArticles = (saved && saved.savedArticles || []).filter(Boolean)
+
+  const uploads = []
+  const references = findUploadReferences(user.avatar, ...articles.map(article => [article.featuredImage, article.editorData, article.contentBlocks]))
+  for (const name of references) {
+    try {
+      uploads.push({ name: `uploads/${name}`, data: await fs.promises.readFile(uploadPath(name)) })
+    } catch (error) {
+      // Referenced file no longer exists on disk
+    }
+  }
+
+  const manifest = {
+    exportedAt: new Date().toISOString(),
+    user: user._id,
+    counts: {
+      articles: articles.length,
+      savedArticles: savedArticles.length,
+      likedArticles: liked.length,
+      comments: comments.length,
+      uploads: uploads.length
+    }
+  }
+
+  const root = `account-export-${user._id}`
+  const entries = [
+    { name: 'manifest.json', data: toJson(manifest) },
+    { name: 'profile.json', data: toJson(user) },
+    { name: 'articles.json', data: toJson(articles) },
+    { name: 'saved-articles.json', data: toJson(savedArticles) },
+    { name: 'liked-articles.json', data: toJson(liked) },
+    { name: 'comments.json', data: toJson(comments) },
+    ...uploads
+  ].map(entry => ({ ...entry, name: `${root}/${entry.name}` }))
+
+  return {
+    filename: `${root}.tar.gz`,
+    data: createTarGz(entries),
+    manifest
+  }
+}
+
+// Remove a user's likes, keeping the like counters in step
+const removeLikes = async (userId) => {
+  await Article.updateMany({ likedBy: userId, likes: { $gt: 0 } }, { $inc: { likes: -1 } }, { timestamps: false })
+  await Article.updateMany({ likedBy: userId }, { $pull: { likedBy: userId } }, { timestamps: false })
+}
+
+// Comments with replies stay as '[deleted]' placeholders so threads keep their structure
+const removeComments = async (userId) => {
+  const comments = await Comment.find({ author: userId }).select('_id')
+  for (const comment of comments) {
+    const hasReplies = await Comment.exists({ parent: comment._id })
+    if (hasReplies) {
+      await Comment.updateOne({ _id: comment._id }, { isDeleted: true, content: '[deleted]' })
+    } else {
+      await Comment.deleteOne({ _id: comment._id })
+    }
+  }
+}
+
+// Scrub personal data but keep the document, so archived articles still have an author
+const anonymizeUser = (user) => {
+  return User.updateOne(
+    { _id: user._id },
+    {
+      name: 'Deleted user',
+      // example.com is reserved, so the address can never belong to anyone
+      email: `deleted-${user._id}@example.com`,
+      // Not a bcrypt hash, so no password can ever match it
+      password: crypto.randomBytes(32).toString('hex'),
+      avatar: '',
+      bio: '',
+      isActive: false,
+      emailVerified: false,
+      savedArticles: [],
+      twoFactorEnabled: false,
+      $inc: { tokenVersion: 1 },
+      $unset: {
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1
+      }
+    }
+  )
+}
+
+// Delete an account. articlePolicy decides what happens to the user's articles:
+//   transfer - reassign them to transferTo, then delete the user
+//   delete   - delete them (with revisions, comments and unused images), then delete the user
+//   archive  - archive them and anonymize the user, who stays on as their author
+// Returns { articles, anonymized }.
+const deleteAccount = async (user, { articlePolicy, transferTo }) => {
+  const articles = await Article.find({ author: user._id }).setOptions({ withDeleted: true }).select('_id status deletedAt')
+  const articleIds = articles.map(article => article._id)
+
+  if (articlePolicy === 'transfer') {
+    await Article.updateMany({ author: user._id }, { author: transferTo })
+  } else if (articlePolicy === 'delete') {
+    await purgeArticles(articleIds)
+  } else {
+    for (const article of articles.filter(article => article.status !== 'archived' && !article.deletedAt)) {
+      await Article.updateOne(
+        { _id: article._id },
+        {
+          status: 'archived',
+          publishAt: null,
+          unpublishAt: null,
+          $push: {
+            workflowHistory: { action: 'archive', from: article.status, to: 'archived', actor: user._id, at: new Date(), note: 'Author deleted their account' }
+          }
+        }
+      )
+    }
+  }
+
+  await Promise.all([
+    removeLikes(user._id),
+    removeComments(user._id),
+    RefreshToken.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id }),
+    RoleRequest.deleteMany({ user: user._id }),
+    unlockAccount(user.email)
+  ])
+
+  const anonymized = articlePolicy === 'archive'
+  if (anonymized) {
+    await anonymizeUser(user)
+    await syncAuthorName(user._id, 'Deleted user')
+  } else {
+    await User.deleteOne({ _id: user._id })
+  }
+
+  return { articles: articleIds.length, anonymized }
+}
+
+module.exports = {
+  ARTICLE_POLICIES,
+  buildAccountExport,
+  deleteAccount
+}
@@ -0,0 +1,32 @@
+const { sendMail } = require('./mail')
+const { passwordResetEmail, emailVerificationEmail } = require('./mail/templates')
+
+const resetTokenExpiresMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60
+const verificationExpiresHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48
+
+// Create a password reset token and email it; mail failures are logged, not thrown
+const sendPasswordResetEmail = async (user) => {
+  const token = user.createPasswordResetToken(resetTokenExpiresMinutes())
+  await user.save({ validateBeforeSave: false })
+  try {
+    await sendMail(passwordResetEmail(user, token, resetTokenExpiresMinutes()))
+  } catch (error) {
+    console.error('Send password reset email error:', error)
+  }
+}
+
+// Create a verification token and email it; mail failures are logged, not thrown
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(verificationExpiresHours())
+  await user.save({ validateBeforeSave: false })
+  try {
+    await sendMail(emailVerificationEmail(user, token, verificationExpiresHours()))
+  } catch (error) {
+    console.error('Send verification email error:', error)
+  }
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+}
@@ -0,0 +1,95 @@
+const Article = require('../models/Article')
+const ArticleRevision = require('../models/ArticleRevision')
+const Category = require('../models/Category')
+const { parseFrontMatter } = require('../utils/frontMatter')
+const { decodeEntities } = require('../utils/htmlRenderer')
+const { markdownToBlocks } = require('../utils/markdown')
+const { MAX_TAG_LENGTH, normalizeTag } = require('../utils/tags')
+const { SLUG_PATTERN, MAX_SLUG_LENGTH, RESERVED_SLUGS } = require('./slugs')
+
+const toText = (value) => value === undefined || value === null ? undefined : String(value).trim() || undefined
+
+// Turn a Markdown document into article fields. The title comes from the front matter,
+// or failing that from a leading level-1 heading, which is then left out of the body.
+const parseMarkdownArticle = (text) => {
+  const { data, body } = parseFrontMatter(text)
+  const blocks = markdownToBlocks(body)
+
+  let title = toText(data.title)
+  if (!title && blocks[0] && blocks[0].type === 'header' && blocks[0].data.level === 1) {
+    title = toText(decodeEntities(blocks.shift().data.text.replace(/<[^>]*>/g, '')))
+  }
+
+  return {
+    title,
+    slug: toText(data.slug),
+    category: toText(data.category),
+    tags: [].concat(data.tags || []),
+    seoTitle: toText(data.seoTitle || data.seo_title),
+    seoDescription: toText(data.seoDescription || data.seo_description || data.description),
+    featuredImage: toText(data.featuredImage || data.featured_image || data.image),
+    editorData: { time: Date.now(), blocks }
+  }
+}
+
+// Create a draft from imported fields on behalf of a user. Metadata the site can't take
+// as is (an unknown category, an invalid tag, a slug in use) is dropped with a warning
+// rather than failing the import. Returns { article, warnings }.
+const createImportedArticle = async (fields, user) => {
+  const warnings = []
+
+  let category
+  if (fields.category) {
+    const match = await Category.findByNameOrSlug(fields.category)
+    if (match) {
+      category = match.name
+    } else {
+      warnings.push(`Category "${fields.category}" does not exist and was not set`)
+    }
+  }
+
+  const tags = []
+  fields.tags.forEach(value => {
+    const tag = normalizeTag(value)
+    if (!tag || tag.length > MAX_TAG_LENGTH) {
+      warnings.push(`Tag "${value}" is not valid and was skipped`)
+    } else if (!tags.includes(tag)) {
+      tags.push(tag)
+    }
+  })
+
+  const articleData = {
+    title: fields.title,
+    category,
+    tags,
+    editorData: fields.editorData,
+    contentBlocks: [],
+    status: 'draft',
+    author: user.id,
+    featuredImage: fields.featuredImage,
+    seoTitle: fields.seoTitle,
+    seoDescription: fields.seoDescription
+  }
+
+  if (fields.slug) {
+    const valid = SLUG_PATTERN.test(fields.slug) && fields.slug.length <= MAX_SLUG_LENGTH && !RESERVED_SLUGS.includes(fields.slug)
+    if (valid && !await Article.slugInUse(fields.slug)) {
+      // Keep the slug the file was exported with so links to it keep working
+      articleData.slug = fields.slug
+      articleData.slugLocked = true
+    } else {
+      warnings.push(`Slug "${fields.slug}" is not available; a new one was generated`)
+    }
+  }
+
+  const article = await Article.create(articleData)
+  await ArticleRevision.record(article, { userId: user.id, reason: 'create' })
+  await Article.recordTransition(article._id, { action: 'create', from: null, to: 'draft', actor: user.id })
+
+  return { article, warnings }
+}
+
+module.exports = {
+  parseMarkdownArticle,
+  createImportedArticle
+}
@@ -0,0 +1,111 @@
+const fs = require('fs')
+const Article = require('../models/Article')
+const ArticleRevision = require('../models/ArticleRevision')
+const Comment = require('../models/Comment')
+const User = require('../models/User')
+const { findUploadReferences, uploadPath } = require('../utils/uploads')
+
+const UPLOAD_FIELDS = 'featuredImage editorData contentBlocks'
+
+const retentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+
+// When a trashed article will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * 24 * 60 * 60 * 1000)
+
+// Move an article to the trash; it disappears from every listing until restored
+const trashArticle = async (article, userId) => {
+  await Article.updateOne({ _id: article._id }, { deletedAt: new Date(), deletedBy: userId })
+  await Article.recordTransition(article._id, { action: 'trash', from: article.status, to: article.status, actor: userId })
+}
+
+// Take an article out of the trash with the status it had before
+const restoreArticle = async (article, userId) => {
+  await Article.updateOne({ _id: article._id }, { deletedAt: null, deletedBy: null })
+  await Article.recordTransition(article._id, { action: 'restore', from: article.status, to: article.status, actor: userId })
+}
+
+// Every upload still referenced by an article (trashed ones included), a revision or an avatar
+const findReferencedUploads = async () => {
+  const referenced = new Set()
+  const add = (...values) => findUploadReferences(...values).forEach(name => referenced.add(name))
+
+  const articles = Article.find().setOptions({ withDeleted: true }).select(UPLOAD_FIELDS).lean().cursor()
+  for await (const article of articles) {
+    add(article.featuredImage, article.editorData, article.contentBlocks)
+  }
+
+  // Restoring a revision brings its images back, so they stay while the revision exists
+  const revisions = ArticleRevision.find().select('editorData contentBlocks').lean().cursor()
+  for await (const revision of revisions) {
+    add(revision.editorData, revision.contentBlocks)
+  }
+
+  const users = User.find({ avatar: /\/uploads\// }).select('avatar').lean().cursor()
+  for await (const user of users) {
+    add(user.avatar)
+  }
+
+  return referenced
+}
+
+// Delete the given upload file names unless something still references them; returns the
+// names that were removed
+const removeUnreferencedUploads = async (names) => {
+  if (names.length === 0) return []
+
+  const referenced = await findReferencedUploads()
+  const removed = []
+  for (const name of names.filter(name => !referenced.has(name))) {
+    try {
+      await fs.promises.unlink(uploadPath(name))
+      removed.push(name)
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove upload ${name}:`, error.message)
+      }
+    }
+  }
+  return removed
+}
+
+// Permanently delete articles with their revisions, comments, saved references and any
+// uploaded images nothing else uses. Returns { articles, uploads } counts.
+const purgeArticles = async (articleIds) => {
+  if (articleIds.length === 0) return { articles: 0, uploads: 0 }
+
+  const [articles, revisions] = await Promise.all([
+    Article.find({ _id: { $in: articleIds } }).setOptions({ withDeleted: true }).select(UPLOAD_FIELDS).lean(),
+    ArticleRevision.find({ article: { $in: articleIds } }).select('editorData contentBlocks').lean()
+  ])
+  const uploads = findUploadReferences(
+    ...articles.map(article => [article.featuredImage, article.editorData, article.contentBlocks]),
+    ...revisions.map(revision => [revision.editorData, revision.contentBlocks])
+  )
+
+  await Promise.all([
+    ArticleRevision.deleteMany({ article: { $in: articleIds } }),
+    Comment.deleteMany({ article: { $in: articleIds } }),
+    User.updateMany({ savedArticles: { $in: articleIds } }, { $pull: { savedArticles: { $in: articleIds } } })
+  ])
+  const result = await Article.deleteMany({ _id: { $in: articleIds } })
+
+  const removed = await removeUnreferencedUploads(uploads)
+
+  return { articles: result.deletedCount, uploads: removed.length }
+}
+
+// Purge articles that have been in the trash longer than the retention period
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000)
+  const expired = await Article.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id')
+  return purgeArticles(expired.map(article => article._id))
+}
+
+module.exports = {
+  retentionDays,
+  purgeDate,
+  trashArticle,
+  restoreArticle,
+  purgeArticles,
+  purgeExpiredTrash
+}
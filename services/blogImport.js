@@ -0,0 +1,331 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const Article = require('../models/Article')
+const ArticleRevision = require('../models/ArticleRevision')
+const Category = require('../models/Category')
+const User = require('../models/User')
+const site = require('../config/site')
+const { htmlToBlocks } = require('../utils/htmlToBlocks')
+const { MAX_TAG_LENGTH, normalizeTag } = require('../utils/tags')
+const { uploadPath } = require('../utils/uploads')
+const { SLUG_PATTERN, MAX_SLUG_LENGTH, RESERVED_SLUGS } = require('./slugs')
+const { parseWordPress } = require('./importers/wordpress')
+const { parseGhost } = require('./importers/ghost')
+
+// Each source parses its export into { authors, posts, mediaMarker }. WordPress categories
+// are created when missing; Ghost has none, so its primary tag is only used as the
+// category when a category of that name already exists.
+const IMPORTERS = {
+  wordpress: { parse: parseWordPress, createCategories: true },
+  ghost: { parse: parseGhost, createCategories: false }
+}
+
+const MEDIA_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg', '.bmp']
+
+const truncate = (value, max) => value && value.length > max ? value.slice(0, max) : value
+
+// Copies media files referenced by the export from a local copy of the old site's media
+// directory into uploads/. Files are named by content hash, so a re-run reuses them.
+const createMediaImporter = ({ mediaDir, marker, dryRun, report }) => {
+  const root = mediaDir ? path.resolve(mediaDir) : null
+  const cache = new Map()
+
+  const importFile = async (url) => {
+    const index = url.indexOf(marker)
+    if (!root || index === -1) return url
+
+    let relative = url.slice(index + marker.length).split(/[?#]/)[0]
+    try {
+      relative = decodeURIComponent(relative)
+    } catch (error) {
+      return url
+    }
+    const file = path.resolve(root, relative)
+    if (!file.startsWith(root + path.sep) || !MEDIA_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      return url
+    }
+
+    let content
+    try {
+      content = await fs.promises.readFile(file)
+    } catch (error) {
+      report.attachments.missing.push(relative)
+      return url
+    }
+
+    const name = `import-${crypto.createHash('sha256').update(content).digest('hex').slice(0, 24)}${path.extname(file).toLowerCase()}`
+    if (fs.existsSync(uploadPath(name))) {
+      report.attachments.reused++
+    } else {
+      if (!dryRun) {
+        await fs.promises.writeFile(uploadPath(name), content)
+      }
+      report.attachments.copied++
+    }
+    return `${site.apiUrl}/uploads/${name}`
+  }
+
+  return (url) => {
+    if (!url) return Promise.resolve(url)
+    if (!cache.has(url)) cache.set(url, importFile(url))
+    return cache.get(url)
+  }
+}
+
+// Point media URLs in src/href attributes at their imported copies
+const localizeHtml = async (html, importMedia) => {
+  const pattern = /\b(src|href)=("|')([^"']+)\2/g
+  const urls = [...new Set([...html.matchAll(pattern)].map(match => match[3]))]
+  const replacements = new Map()
+  for (const url of urls) {
+    replacements.set(url, await importMedia(url))
+  }
+  return html.replace(pattern, (match, attribute, quote, url) => `${attribute}=${quote}${replacements.get(url)}${quote}`)
+}
+
+// Find the user for each export author by email, creating missing ones as authors
+// (with a random password they have to reset) unless createAuthors is off
+const createAuthorResolver = ({ authors, defaultAuthor, createAuthors, dryRun, report }) => {
+  const byKey = new Map(authors.map(author => [author.key, author]))
+  const resolved = new Map()
+
+  const resolve = async (key) => {
+    const author = byKey.get(key)
+    const email = author && author.email ? author.email.trim().toLowerCase() : ''
+
+    const user = email ? await User.findOne({ email }).select('_id') : null
+    if (user) {
+      report.authors.matched.push(email)
+      return user._id
+    }
+
+    if (email && createAuthors) {
+      if (dryRun) {
+        report.authors.created.push(email)
+        return null
+      }
+      try {
+        const created = await User.create({
+          name: truncate(author.name || email.split('@')[0], 50),
+          email,
+          password: crypto.randomBytes(24).toString('hex'),
+          role: 'author',
+          bio: truncate(author.bio, 500) || undefined,
+          mustResetPassword: true
+        })
+        report.authors.created.push(email)
+        return created._id
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error
+      }
+    }
+
+    report.authors.unmatched.push(email || (author && author.name) || key)
+    return defaultAuthor ? defaultAuthor._id : undefined
+  }
+
+  return (key) => {
+    if (!resolved.has(key)) resolved.set(key, resolve(key))
+    return resolved.get(key)
+  }
+}
+
+// Resolve a category name, creating it when the source allows
+const createCategoryResolver = ({ createCategories, dryRun, report }) => {
+  const resolved = new Map()
+
+  const resolve = async (name) => {
+    const category = await Category.findByNameOrSlug(name)
+    if (category) return category.name
+    if (!createCategories) return null
+
+    if (!dryRun) {
+      await Category.create({ name: truncate(name, 50) })
+    }
+    report.categories.created.push(name)
+    return truncate(name, 50)
+  }
+
+  return (name) => {
+    const key = name.trim().toLowerCase()
+    if (!resolved.has(key)) resolved.set(key, resolve(name.trim()))
+    return resolved.get(key)
+  }
+}
+
+const importPost = async (post, { source, importMedia, resolveAuthor, resolveCategory, dryRun }) => {
+  const warnings = []
+
+  const author = await resolveAuthor(post.authorKey)
+  if (author === undefined) {
+    return { action: 'failed', error: 'No user matches the author and no default author was given' }
+  }
+
+  const html = await localizeHtml(post.html || '', importMedia)
+  const blocks = htmlToBlocks(html)
+
+  // The first category is the article's category; any others are kept as tags
+  const [first, ...otherCategories] = post.categories.filter(name => name && name.trim())
+  const category = first ? await resolveCategory(first) : null
+  if (first && !category) {
+    warnings.push(`Category "${first}" does not exist and was not set`)
+  }
+
+  const tags = []
+  ;[...post.tags, ...otherCategories].forEach(value => {
+    const tag = normalizeTag(value)
+    if (tag && tag.length <= MAX_TAG_LENGTH && !tags.includes(tag)) tags.push(tag)
+  })
+
+  let slug = null
+  if (post.slug) {
+    if (SLUG_PATTERN.test(post.slug) && post.slug.length <= MAX_SLUG_LENGTH && !RESERVED_SLUGS.includes(post.slug) && !await Article.slugInUse(post.slug)) {
+      slug = post.slug
+    } else {
+      warnings.push(`Slug "${post.slug}" could not be kept; a new one will be generated`)
+    }
+  }
+
+  // A scheduled date that has passed is published straight away
+  let status = post.status
+  let publishAt = null
+  if (status === 'scheduled') {
+    if (post.publishedAt && post.publishedAt > new Date()) {
+      publishAt = post.publishedAt
+    } else {
+      status = 'published'
+    }
+  }
+
+  const articleData = {
+    title: truncate(post.title && post.title.trim(), 200) || 'Untitled',
+    category: category || undefined,
+    tags,
+    editorData: { time: Date.now(), blocks },
+    contentBlocks: [],
+    status,
+    author,
+    featuredImage: await importMedia(post.featuredImage) || '',
+    seoTitle: truncate(post.seoTitle, 60) || undefined,
+    seoDescription: truncate(post.seoDescription, 160) || undefined,
+    publishedAt: status === 'published' ? post.publishedAt || undefined : undefined,
+    publishAt,
+    importedFrom: { source, id: String(post.id) }
+  }
+  if (post.publishedAt && status !== 'scheduled') {
+    articleData.createdAt = post.publishedAt
+  }
+  // The original slug is pinned so old links keep working after a title edit
+  if (slug) {
+    articleData.slug = slug
+    articleData.slugLocked = true
+  }
+
+  if (dryRun) {
+    // Authors that would be created don't have an ID yet
+    const article = new Article({ ...articleData, author: author || new mongoose.Types.ObjectId() })
+    const error = article.validateSync()
+    if (error) {
+      return { action: 'failed', error: Object.values(error.errors).map(e => e.message).join(', '), warnings }
+    }
+    return { action: 'import', slug: slug || undefined, status, warnings }
+  }
+
+  const article = await Article.create(articleData)
+  if (post.excerpt) {
+    // The save hook derives an excerpt from the content, so the original one is set afterwards
+    const excerpt = truncate(post.excerpt.replace(/<[^>]*>/g, '').trim(), 500)
+    await Article.updateOne({ _id: article._id }, { excerpt })
+  }
+  await ArticleRevision.record(article, { userId: author, reason: 'create' })
+  await Article.recordTransition(article._id, { action: 'import', from: null, to: status, note: `Imported from ${source}` })
+
+  return { action: 'import', articleId: article._id, slug: article.slug, status, warnings }
+}
+
+// Import a WordPress or Ghost export. Posts already imported from the same source are
+// skipped, so an import can be re-run after fixing problems. With dryRun nothing is
+// written and the report shows what would happen.
+// Options: mediaDir (local copy of wp-content/uploads or content/images), dryRun,
+// defaultAuthor (email of the user for posts whose author can't be matched or created),
+// createAuthors (default true).
+const runBlogImport = async (source, content, { mediaDir, dryRun = false, defaultAuthor, createAuthors = true } = {}) => {
+  const importer = IMPORTERS[source]
+  if (!importer) {
+    throw new Error(`Unknown import source "${source}"; use ${Object.keys(IMPORTERS).join(' or ')}`)
+  }
+
+  const { authors, posts, mediaMarker } = importer.parse(content)
+
+  let fallbackAuthor = null
+  if (defaultAuthor) {
+    fallbackAuthor = await User.findOne({ email: defaultAuthor.trim().toLowerCase() }).select('_id')
+    if (!fallbackAuthor) {
+      throw new Error(`Default author ${defaultAuthor} does not exist`)
+    }
+  }
+
+  const report = {
+    source,
+    dryRun,
+    articles: [],
+    authors: { matched: [], created: [], unmatched: [] },
+    categories: { created: [] },
+    attachments: { copied: 0, reused: 0, missing: [] },
+    summary: { imported: 0, skipped: 0, failed: 0 }
+  }
+
+  const context = {
+    source,
+    dryRun,
+    importMedia: createMediaImporter({ mediaDir, marker: mediaMarker, dryRun, report }),
+    resolveAuthor: createAuthorResolver({ authors, defaultAuthor: fallbackAuthor, createAuthors, dryRun, report }),
+    resolveCategory: createCategoryResolver({ createCategories: importer.createCategories, dryRun, report })
+  }
+
+  const existing = await Article.find({ 'importedFrom.source': source, 'importedFrom.id': { $in: posts.map(post => String(post.id)) } })
+    .setOptions({ withDeleted: true })
+    .select('importedFrom slug')
+    .lean()
+  const imported = new Map(existing.map(article => [article.importedFrom.id, article]))
+
+  for (const post of posts) {
+    const entry = { id: String(post.id), title: post.title }
+
+    if (post.type !== 'post' || !post.status) {
+      // Pages, menu items and trashed posts are not articles
+      continue
+    }
+
+    let result
+    if (imported.has(entry.id)) {
+      const article = imported.get(entry.id)
+      result = { action: 'skipped', articleId: article._id, slug: article.slug, reason: 'Already imported' }
+    } else {
+      try {
+        result = await importPost(post, context)
+      } catch (error) {
+        console.error(`Import of ${source} post ${entry.id} failed:`, error)
+        result = {
+          action: 'failed',
+          error: error.name === 'ValidationError'
+            ? Object.values(error.errors).map(e => e.message).join(', ')
+            : error.message
+        }
+      }
+    }
+
+    report.articles.push({ ...entry, ...result })
+    report.summary[result.action === 'import' ? 'imported' : result.action]++
+  }
+
+  report.authors.matched = [...new Set(report.authors.matched)]
+  return report
+}
+
+module.exports = {
+  IMPORT_SOURCES: Object.keys(IMPORTERS),
+  runBlogImport
+}
@@ -0,0 +1,158 @@
+const Article = require('../models/Article')
+const ArticleRevision = require('../models/ArticleRevision')
+const { checkTransition, isOwner, requiresReReview } = require('../utils/editorialWorkflow')
+const { trashArticle } = require('./articleTrash')
+
+const MAX_BULK_ARTICLES = 100
+
+// Actions outside the editorial workflow are limited to the article's author and admins
+const checkOwnership = (user, article) => {
+  if (isOwner(user, article) || user.role === 'admin') return null
+  return { status: 403, error: 'Not authorized to change this article' }
+}
+
+// Snapshot a content change the way updateArticle does; reviewed content edited by a
+// non-reviewer goes back to review
+const saveContentChange = async (article, user) => {
+  if (!await ArticleRevision.exists({ article: article._id })) {
+    const stored = await Article.findById(article._id)
+    await ArticleRevision.record(stored, { userId: user.id, reason: 'baseline' })
+  }
+
+  const from = article.status
+  if (requiresReReview(user, from)) {
+    article.status = 'in_review'
+    article.publishAt = null
+  }
+
+  await article.save()
+  await ArticleRevision.record(article, { userId: user.id, reason: 'update' })
+  if (article.status !== from) {
+    await Article.recordTransition(article._id, { action: 'resubmit', from, to: article.status, actor: user.id })
+  }
+}
+
+const workflowAction = (action) => ({
+  scope: 'articles:publish',
+  check: (user, article) => checkTransition(user, article, action),
+  apply: async (article, user) => {
+    const from = article.status
+    article.status = action === 'publish' ? 'published' : 'draft'
+    // save() so the pre-save hook sets publishedAt exactly as a manual publish would
+    await article.save()
+    await Article.recordTransition(article._id, { action, from, to: article.status, actor: user.id })
+  }
+})
+
+const tagAction = (change) => ({
+  scope: 'articles:write',
+  check: checkOwnership,
+  apply: async (article, user, { tags }) => {
+    const current = article.tags || []
+    const next = change === 'add'
+      ? [...new Set([...current, ...tags])]
+      : current.filter(tag => !tags.includes(tag))
+
+    if (next.length === current.length && next.every((tag, i) => tag === current[i])) return
+    article.tags = next
+    await saveContentChange(article, user)
+  }
+})
+
+const featureAction = (isFeatured) => ({
+  scope: 'articles:write',
+  check: checkOwnership,
+  apply: async (article) => {
+    article.isFeatured = isFeatured
+    await article.save()
+  }
+})
+
+// Each action declares the API key scope it needs, a per-article permission check that
+// returns null or { status, error }, and how to apply it to one article
+const BULK_ACTIONS = {
+  publish: workflowAction('publish'),
+  unpublish: workflowAction('unpublish'),
+  archive: {
+    scope: 'articles:write',
+    check: (user, article) => {
+      const denied = checkOwnership(user, article)
+      if (denied) return denied
+      if (article.status === 'archived') {
+        return { status: 409, error: 'Article is already archived' }
+      }
+      return null
+    },
+    apply: async (article, user) => {
+      const from = article.status
+      article.status = 'archived'
+      article.publishAt = null
+      article.unpublishAt = null
+      await article.save()
+      await Article.recordTransition(article._id, { action: 'archive', from, to: 'archived', actor: user.id })
+    }
+  },
+  delete: {
+    scope: 'articles:write',
+    check: checkOwnership,
+    apply: (article, user) => trashArticle(article, user.id)
+  },
+  set_category: {
+    scope: 'articles:write',
+    check: checkOwnership,
+    apply: async (article, user, { category }) => {
+      article.category = category
+      await article.save()
+    }
+  },
+  add_tags: tagAction('add'),
+  remove_tags: tagAction('remove'),
+  feature: featureAction(true),
+  unfeature: featureAction(false)
+}
+
+// Apply an action to each article in turn. A failure only affects its own article; returns
+// one { id, success, status } or { id, success, error, code } entry per requested ID.
+const runBulkAction = async (user, action, ids, params = {}) => {
+  const { check, apply } = BULK_ACTIONS[action]
+  const uniqueIds = [...new Set(ids.map(String))]
+
+  const articles = await Article.find({ _id: { $in: uniqueIds } })
+  const byId = new Map(articles.map(article => [article._id.toString(), article]))
+
+  const results = []
+  for (const id of uniqueIds) {
+    const article = byId.get(id)
+    if (!article) {
+      results.push({ id, success: false, code: 404, error: 'Article not found' })
+      continue
+    }
+
+    const denied = check(user, article)
+    if (denied) {
+      results.push({ id, success: false, code: denied.status, error: denied.error })
+      continue
+    }
+
+    try {
+      await apply(article, user, params)
+      results.push({ id, success: true, status: article.status })
+    } catch (error) {
+      const message = error.name === 'ValidationError'
+        ? Object.values(error.errors).map(e => e.message).join(', ')
+        : 'Server error applying action'
+      if (error.name !== 'ValidationError') {
+        console.error(`Bulk ${action} failed for article ${id}:`, error)
+      }
+      results.push({ id, success: false, code: error.name === 'ValidationError' ? 400 : 500, error: message })
+    }
+  }
+
+  return results
+}
+
+module.exports = {
+  MAX_BULK_ARTICLES,
+  BULK_ACTIONS,
+  runBulkAction
+}
@@ -0,0 +1,86 @@
+// Read a Ghost JSON export (Settings → Labs → Export) into the importer's common shape:
+// { authors: [{ key, name, email, bio }], posts: [...] }
+
+// Path of the images directory in Ghost media URLs
+const MEDIA_MARKER = '/content/images/'
+
+const STATUSES = {
+  published: 'published',
+  scheduled: 'scheduled',
+  draft: 'draft'
+}
+
+const parseDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date
+}
+
+// Ghost writes site URLs in content as a placeholder
+const expandUrl = (value) => String(value || '').replace(/__GHOST_URL__/g, '')
+
+// Rows of a join table grouped by post, in their sort order
+const groupByPost = (rows, key) => {
+  const groups = new Map()
+  ;[...(rows || [])]
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+    .forEach(row => {
+      if (!groups.has(row.post_id)) groups.set(row.post_id, [])
+      groups.get(row.post_id).push(row[key])
+    })
+  return groups
+}
+
+const parseGhost = (json) => {
+  const exported = typeof json === 'string' ? JSON.parse(json) : json
+  // Exports wrap the tables in db[0].data; older ones have data at the top level
+  const data = (exported && exported.db && exported.db[0] && exported.db[0].data) || (exported && exported.data)
+  if (!data || !Array.isArray(data.posts)) {
+    throw new Error('Not a Ghost JSON export')
+  }
+
+  const authors = (data.users || []).map(user => ({
+    key: user.id,
+    name: user.name || user.slug,
+    email: user.email,
+    bio: user.bio || ''
+  }))
+
+  // Internal tags (#name) organise content in Ghost and aren't shown to readers
+  const tags = new Map((data.tags || [])
+    .filter(tag => tag.visibility !== 'internal' && !String(tag.name).startsWith('#'))
+    .map(tag => [tag.id, tag.name]))
+  const postTags = groupByPost(data.posts_tags, 'tag_id')
+  const postAuthors = groupByPost(data.posts_authors, 'author_id')
+
+  // SEO fields moved to posts_meta in Ghost 3
+  const postMeta = new Map((data.posts_meta || []).map(meta => [meta.post_id, meta]))
+
+  const posts = data.posts.map(post => {
+    const meta = postMeta.get(post.id) || {}
+    const postTagNames = (postTags.get(post.id) || []).map(id => tags.get(id)).filter(Boolean)
+    return {
+      id: post.id,
+      type: post.type || (post.page ? 'page' : 'post'),
+      title: post.title,
+      slug: post.slug,
+      html: expandUrl(post.html),
+      excerpt: post.custom_excerpt || '',
+      status: STATUSES[post.status] || 'draft',
+      publishedAt: parseDate(post.published_at),
+      authorKey: (postAuthors.get(post.id) || [])[0] || post.author_id,
+      // Ghost has no categories; the primary (first) tag is used as one when it matches
+      categories: postTagNames.slice(0, 1),
+      tags: postTagNames,
+      featuredImage: expandUrl(post.feature_image),
+      seoTitle: meta.meta_title || post.meta_title || '',
+      seoDescription: meta.meta_description || post.meta_description || ''
+    }
+  })
+
+  return { authors, posts, mediaMarker: MEDIA_MARKER }
+}
+
+module.exports = {
+  parseGhost
+}
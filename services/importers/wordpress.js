@@ -0,0 +1,132 @@
+const { decodeEntities } = require('../../utils/htmlRenderer')
+
+// Read a WordPress WXR export (Tools → Export) into the importer's common shape:
+// { authors: [{ key, name, email, bio }], posts: [...] }. WXR is flat enough that the
+// elements used here can be read without a full XML parser.
+
+// Path of the uploads directory in WordPress media URLs
+const MEDIA_MARKER = '/wp-content/uploads/'
+
+const STATUSES = {
+  publish: 'published',
+  future: 'scheduled',
+  draft: 'draft',
+  pending: 'in_review',
+  private: 'draft'
+}
+
+// Text of an element: CDATA is taken as is, anything else has its entities decoded
+const readText = (value) => {
+  if (value === undefined) return ''
+  const cdata = value.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/)
+  if (cdata) return cdata[1]
+  // Several CDATA sections are used when the content itself contains "]]>"
+  if (value.includes('<![CDATA[')) {
+    return value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  }
+  return decodeEntities(value).trim()
+}
+
+const escapeTag = (tag) => tag.replace(/[.:]/g, '\\$&')
+
+// Inner XML of every <tag> element (not nested in themselves), with attributes
+const elements = (xml, tag) => {
+  const pattern = new RegExp(`<${escapeTag(tag)}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${escapeTag(tag)}>)`, 'g')
+  const found = []
+  let match
+  while ((match = pattern.exec(xml)) !== null) {
+    const attributes = {}
+    const attributePattern = /([\w:-]+)\s*=\s*"([^"]*)"/g
+    let attribute
+    while ((attribute = attributePattern.exec(match[1] || '')) !== null) {
+      attributes[attribute[1]] = decodeEntities(attribute[2])
+    }
+    found.push({ attributes, inner: match[2] || '' })
+  }
+  return found
+}
+
+const field = (xml, tag) => {
+  const [element] = elements(xml, tag)
+  return element ? readText(element.inner) : ''
+}
+
+// Post names are stored percent-encoded for non-ASCII slugs
+const decodeSlug = (value) => {
+  try {
+    return decodeURIComponent(value)
+  } catch (error) {
+    return value
+  }
+}
+
+// WordPress writes "0000-00-00 00:00:00" for dates that were never set
+const parseDate = (value) => {
+  if (!value || value.startsWith('0000')) return null
+  const date = new Date(/Z|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`)
+  return isNaN(date.getTime()) ? null : date
+}
+
+const parseWordPress = (xml) => {
+  const source = String(xml)
+  if (!/<rss[\s>]/.test(source) || !source.includes('wordpress.org/export/')) {
+    throw new Error('Not a WordPress WXR export')
+  }
+
+  const authors = elements(source, 'wp:author').map(({ inner }) => ({
+    key: field(inner, 'wp:author_login'),
+    name: field(inner, 'wp:author_display_name') || field(inner, 'wp:author_login'),
+    email: field(inner, 'wp:author_email'),
+    bio: ''
+  }))
+
+  const items = elements(source, 'item').map(({ inner }) => inner)
+
+  // Featured images point at attachment items by ID
+  const attachments = new Map()
+  items
+    .filter(item => field(item, 'wp:post_type') === 'attachment')
+    .forEach(item => attachments.set(field(item, 'wp:post_id'), field(item, 'wp:attachment_url')))
+
+  const posts = items
+    .filter(item => field(item, 'wp:post_type') !== 'attachment')
+    .map(item => {
+      // Post bodies can contain anything, so terms and meta are read from the rest of the item
+      const details = item.replace(/<(content|excerpt):encoded>[\s\S]*?<\/\1:encoded>/g, '')
+
+      const meta = {}
+      elements(details, 'wp:postmeta').forEach(({ inner }) => {
+        meta[field(inner, 'wp:meta_key')] = field(inner, 'wp:meta_value')
+      })
+
+      const terms = elements(details, 'category').map(({ attributes, inner }) => ({
+        domain: attributes.domain,
+        name: decodeEntities(readText(inner))
+      }))
+
+      const status = field(item, 'wp:status')
+      return {
+        id: field(item, 'wp:post_id'),
+        type: field(details, 'wp:post_type'),
+        title: decodeEntities(field(details, 'title')),
+        slug: decodeSlug(field(item, 'wp:post_name')),
+        html: field(item, 'content:encoded'),
+        excerpt: field(item, 'excerpt:encoded'),
+        status: status === 'trash' ? null : STATUSES[status] || 'draft',
+        publishedAt: parseDate(field(item, 'wp:post_date_gmt')) || parseDate(field(item, 'pubDate')),
+        authorKey: field(item, 'dc:creator'),
+        categories: terms.filter(term => term.domain === 'category').map(term => term.name),
+        tags: terms.filter(term => term.domain === 'post_tag').map(term => term.name),
+        featuredImage: attachments.get(meta._thumbnail_id) || '',
+        // Yoast SEO fields, when the plugin was used
+        seoTitle: meta._yoast_wpseo_title || '',
+        seoDescription: meta._yoast_wpseo_metadesc || ''
+      }
+    })
+
+  return { authors, posts, mediaMarker: MEDIA_MARKER }
+}
+
+module.exports = {
+  parseWordPress
+}
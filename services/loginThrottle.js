@@ -0,0 +1,111 @@
+const LoginAttempt = require('../models/LoginAttempt')
+
+// Failed sign-ins are tracked per account and per client IP. After a few free attempts each
+// failure doubles the wait before the next one; past the limit the key is locked out.
+const settings = () => ({
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  accountMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  maxDelaySeconds: 60
+})
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`
+const ipKey = (ip) => `ip:${ip}`
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000))
+
+// Whether a sign-in may be attempted now. Returns { allowed: true } or
+// { allowed: false, locked, retryAfter } with retryAfter in seconds.
+const checkLogin = async (email, ip) => {
+  const now = new Date()
+  const attempts = await LoginAttempt.find({ key: { $in: [accountKey(email), ipKey(ip)] } })
+
+  let blockedUntil = null
+  let locked = false
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+      locked = true
+      if (!blockedUntil || attempt.lockedUntil > blockedUntil) blockedUntil = attempt.lockedUntil
+    } else if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+      if (!blockedUntil || attempt.nextAttemptAt > blockedUntil) blockedUntil = attempt.nextAttemptAt
+    }
+  }
+
+  if (!blockedUntil) {
+    return { allowed: true }
+  }
+  return { allowed: false, locked, retryAfter: secondsUntil(blockedUntil, now) }
+}
+
+const registerFailure = async (key, maxAttempts) => {
+  const config = settings()
+  const now = new Date()
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + config.windowMinutes * 60 * 1000) }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+
+  if (attempt.failures >= maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000)
+    // Start counting afresh once the lockout is over
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      { failures: 0, nextAttemptAt: null, lockedUntil, expiresAt: lockedUntil }
+    )
+    return { locked: true, failures: attempt.failures, lockedUntil }
+  }
+
+  if (attempt.failures > config.freeAttempts) {
+    const delaySeconds = Math.min(2 ** (attempt.failures - config.freeAttempts - 1), config.maxDelaySeconds)
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000) }
+    )
+  }
+
+  return { locked: false, failures: attempt.failures }
+}
+
+// Record a failed sign-in for both the account and the client
+const recordFailure = async (email, ip) => {
+  const config = settings()
+  const [account, client] = await Promise.all([
+    registerFailure(accountKey(email), config.accountMaxAttempts),
+    registerFailure(ipKey(ip), config.ipMaxAttempts)
+  ])
+  return { account, ip: client }
+}
+
+// A successful sign-in clears the account's counter and lockout (the IP counter keeps running)
+const recordSuccess = (email) => LoginAttempt.deleteOne({ key: accountKey(email) })
+
+// Remove an account lockout; resolves true when there was anything to clear
+const unlockAccount = async (email) => {
+  const result = await LoginAttempt.deleteOne({ key: accountKey(email) })
+  return result.deletedCount > 0
+}
+
+const getAccountStatus = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: accountKey(email) }).lean()
+  const now = new Date()
+  return {
+    failedAttempts: attempt ? attempt.failures : 0,
+    locked: Boolean(attempt && attempt.lockedUntil && attempt.lockedUntil > now),
+    lockedUntil: attempt && attempt.lockedUntil > now ? attempt.lockedUntil : null
+  }
+}
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  getAccountStatus
+}
@@ -0,0 +1,59 @@
+const createSmtpTransport = require('./transports/smtp')
+const createFileTransport = require('./transports/file')
+const createConsoleTransport = require('./transports/console')
+
+// Transport factories by name; MAIL_TRANSPORT picks one. Additional transports
+// (e.g. an HTTP mail API) can be added with registerTransport.
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+}
+
+let transport = null
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory
+}
+
+// The console transport writes messages, password reset links included, to the log, so
+// it's only the default outside production
+const transportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production')
+  }
+  return 'console'
+}
+
+const getTransport = () => {
+  if (!transport) {
+    const name = transportName()
+    const factory = factories[name]
+    if (!factory) {
+      throw new Error(`Unknown mail transport '${name}'`)
+    }
+    transport = factory()
+  }
+  return transport
+}
+
+// Replace the active transport (tests can pass an in-memory one)
+const setTransport = (nextTransport) => {
+  transport = nextTransport
+}
+
+// Send { to, subject, text, html } through the configured transport
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    ...message
+  })
+}
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  setTransport,
+  sendMail
+}
@@ -0,0 +1,42 @@
+const site = require('../../config/site')
+const { escapeHtml } = require('../../utils/htmlRenderer')
+
+const layout = (paragraphs, action) => {
+  const body = paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n')
+  return `${body}\n<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`
+}
+
+const passwordResetEmail = (user, token, expiresMinutes) => {
+  const url = `${site.url}/reset-password?token=${encodeURIComponent(token)}`
+  const lines = [
+    `Hi ${user.name},`,
+    `Someone asked to reset the password for your ${site.title} account.`,
+    `The link below works once and expires in ${expiresMinutes} minutes. If you didn't ask for this, you can ignore this email.`
+  ]
+  return {
+    to: user.email,
+    subject: `Reset your ${site.title} password`,
+    text: `${lines.join('\n\n')}\n\n${url}\n`,
+    html: layout(lines, { url, label: 'Reset password' })
+  }
+}
+
+const emailVerificationEmail = (user, token, expiresHours) => {
+  const url = `${site.url}/verify-email?token=${encodeURIComponent(token)}`
+  const lines = [
+    `Hi ${user.name},`,
+    `Please confirm this email address for your ${site.title} account.`,
+    `The link below expires in ${expiresHours} hours.`
+  ]
+  return {
+    to: user.email,
+    subject: `Verify your email for ${site.title}`,
+    text: `${lines.join('\n\n')}\n\n${url}\n`,
+    html: layout(lines, { url, label: 'Verify email' })
+  }
+}
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail
+}
@@ -0,0 +1,14 @@
+// Logs messages instead of sending them
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('=== MAIL ===')
+    console.log(`To: ${message.to}`)
+    console.log(`Subject: ${message.subject}`)
+    console.log(message.text)
+    console.log('============')
+    return { messageId: `console-${Date.now()}` }
+  }
+})
+
+module.exports = createConsoleTransport
@@ -0,0 +1,20 @@
+const fs = require('fs')
+const path = require('path')
+
+// Writes each message as a JSON file, for local development and tests
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || './tmp/mail'
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true })
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`
+      const file = path.join(dir, filename)
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2))
+      return { messageId: filename, file }
+    }
+  }
+}
+
+module.exports = createFileTransport
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose')
+const Article = require('../models/Article')
+const User = require('../models/User')
+const { buildPublicArticleQuery } = require('../utils/articleQuery')
+const { articleSearchText, searchTerms, highlight, buildSnippet } = require('../utils/searchText')
+
+const SEARCH_SORTS = ['relevance', 'newest']
+
+// Values listed per facet, most common first
+const FACET_LIMIT = 10
+
+const facetCounts = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT }
+]
+
+// Search published articles by relevance (sort='relevance') or date (sort='newest').
+// The search string uses $text syntax: words, "exact phrases" and -excluded words.
+// category/tag/author narrow the results and the facet counts, which cover every match.
+// Returns { articles, total, facets: { categories, tags, authors } }; each article has
+// score and highlights: { title, snippet } with the matched words in <mark>.
+const searchArticles = async ({ q, category, tag, author, sort = 'relevance', page = 1, limit = 10 }) => {
+  const query = buildPublicArticleQuery({ category, tag, author, search: q })
+  const skip = (page - 1) * limit
+
+  // Aggregations don't cast, and $text has to be in the first stage, so the trash filter
+  // is written out here instead of being added by the model
+  const match = { ...query, deletedAt: null }
+  if (author) {
+    match.author = new mongoose.Types.ObjectId(author)
+  }
+
+  const [articles, total, [facets]] = await Promise.all([
+    Article.find(query)
+      .select({
+        score: { $meta: 'textScore' },
+        title: 1,
+        slug: 1,
+        excerpt: 1,
+        category: 1,
+        tags: 1,
+        author: 1,
+        featuredImage: 1,
+        publishedAt: 1,
+        readTime: 1,
+        views: 1,
+        likes: 1,
+        searchText: 1
+      })
+      .sort(sort === 'newest' ? { publishedAt: -1 } : { score: { $meta: 'textScore' }, publishedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('author', 'name avatar')
+      .lean(),
+    Article.countDocuments(query),
+    Article.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          categories: [{ $match: { category: { $nin: [null, ''] } } }, ...facetCounts('$category')],
+          tags: [{ $unwind: '$tags' }, ...facetCounts('$tags')],
+          authors: [
+            { $group: { _id: '$author', name: { $first: '$authorName' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT }
+          ]
+        }
+      }
+    ])
+  ])
+
+  const terms = searchTerms(q)
+  return {
+    articles: articles.map(({ searchText, ...article }) => ({
+      ...article,
+      highlights: {
+        title: highlight(article.title, terms),
+        snippet: buildSnippet(searchText || article.excerpt, terms)
+      }
+    })),
+    total,
+    facets: {
+      categories: facets.categories.map(({ _id, count }) => ({ name: _id, count })),
+      tags: facets.tags.map(({ _id, count }) => ({ name: _id, count })),
+      authors: facets.authors.map(({ _id, name, count }) => ({ id: _id, name, count }))
+    }
+  }
+}
+
+// Rebuild the search fields of every article, e.g. after upgrading or restoring documents
+// written without them. Returns the number of articles updated.
+const reindexArticles = async ({ batchSize = 200 } = {}) => {
+  const users = await User.find().select('name').lean()
+  const names = new Map(users.map(user => [String(user._id), user.name]))
+
+  let updated = 0
+  let batch = []
+  const flush = async () => {
+    if (batch.length === 0) return
+    const result = await Article.bulkWrite(batch)
+    updated += result.modifiedCount
+    batch = []
+  }
+
+  const cursor = Article.find().setOptions({ withDeleted: true }).select('editorData contentBlocks author').lean().cursor()
+  for await (const article of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { searchText: articleSearchText(article), authorName: names.get(String(article.author)) || '' },
+        timestamps: false
+      }
+    })
+    if (batch.length >= batchSize) await flush()
+  }
+  await flush()
+  return updated
+}
+
+// Keep the author name in the search index in step with a renamed user
+const syncAuthorName = (userId, name) => {
+  return Article.updateMany({ author: userId }, { authorName: name }, { timestamps: false })
+}
+
+module.exports = {
+  SEARCH_SORTS,
+  searchArticles,
+  reindexArticles,
+  syncAuthorName
+}
@@ -0,0 +1,425 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const Article = require('../models/Article')
+const Category = require('../models/Category')
+const Tag = require('../models/Tag')
+const Comment = require('../models/Comment')
+const site = require('../config/site')
+const { MAX_TAR_SIZE, writeTarGz, readTarGz } = require('../utils/tarball')
+const { findUploadReferences, uploadPath } = require('../utils/uploads')
+const { articleSearchText } = require('../utils/searchText')
+
+const BACKUP_FORMAT = 'blog-backup'
+const BACKUP_VERSION = 1
+
+const RESTORE_MODES = ['empty', 'merge']
+
+// Password hashes and two-factor secrets; only backed up when explicitly asked for
+const USER_CREDENTIALS = '+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep'
+
+const toJson = (value) => JSON.stringify(value, null, 2)
+
+// Problems with the archive itself, as opposed to failures writing it
+const invalidBackup = (message) => Object.assign(new Error(message), { code: 'INVALID_BACKUP' })
+
+const timestamp = (date) => date.toISOString().replace(/[:.]/g, '-')
+
+// Prepare a versioned .tar.gz of users, articles (trashed ones included), categories, tags,
+// comments and every upload they reference. Single-use tokens are never included.
+// Returns { filename, manifest, write(output) }; write streams the archive into a
+// writable stream and resolves once it's written.
+const createBackup = async ({ includePasswords = false } = {}) => {
+  const [users, articles, categories, tags, comments] = await Promise.all([
+    User.find().select(includePasswords ? USER_CREDENTIALS : '').lean(),
+    Article.find().setOptions({ withDeleted: true }).select('+workflowHistory +reviewNotes').lean(),
+    Category.find().lean(),
+    Tag.find().lean(),
+    Comment.find().lean()
+  ])
+
+  const uploads = []
+  const missingUploads = []
+  const references = findUploadReferences(
+    ...users.map(user => user.avatar),
+    ...articles.map(article => [article.featuredImage, article.editorData, article.contentBlocks])
+  )
+  for (const name of references) {
+    // Files are read from disk as the archive is written, not held in memory
+    if (fs.existsSync(uploadPath(name))) {
+      uploads.push({ name: `uploads/${name}`, path: uploadPath(name) })
+    } else {
+      missingUploads.push(name)
+    }
+  }
+
+  const createdAt = new Date()
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: createdAt.toISOString(),
+    // Upload URLs in content point at this API; a restore elsewhere rewrites them
+    apiUrl: site.apiUrl,
+    includesPasswords: includePasswords,
+    counts: {
+      users: users.length,
+      articles: articles.length,
+      categories: categories.length,
+      tags: tags.length,
+      comments: comments.length,
+      uploads: uploads.length
+    },
+    missingUploads
+  }
+
+  const root = `backup-${timestamp(createdAt)}`
+  const entries = [
+    { name: 'manifest.json', data: toJson(manifest) },
+    { name: 'users.json', data: toJson(users) },
+    { name: 'articles.json', data: toJson(articles) },
+    { name: 'categories.json', data: toJson(categories) },
+    { name: 'tags.json', data: toJson(tags) },
+    { name: 'comments.json', data: toJson(comments) },
+    ...uploads
+  ].map(entry => ({ ...entry, name: `${root}/${entry.name}` }))
+
+  return {
+    filename: `${root}.tar.gz`,
+    manifest,
+    write: (output) => writeTarGz(entries, output, { mtime: createdAt })
+  }
+}
+
+// Unpack and check a backup archive. Throws an error with code 'INVALID_BACKUP' and a
+// message fit for the caller when the archive isn't a backup this version can restore.
+const readBackup = (archive) => {
+  let entries
+  try {
+    entries = readTarGz(archive)
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw invalidBackup(`Archive unpacks to more than ${Math.round(MAX_TAR_SIZE / (1024 * 1024))}MB`)
+    }
+    throw invalidBackup('Not a valid .tar.gz archive')
+  }
+
+  const manifestEntry = entries.find(entry => entry.name.split('/').pop() === 'manifest.json')
+  if (!manifestEntry) {
+    throw invalidBackup('Archive has no manifest.json')
+  }
+  const root = manifestEntry.name.slice(0, -'manifest.json'.length)
+  const files = new Map(entries.filter(entry => entry.name.startsWith(root)).map(entry => [entry.name.slice(root.length), entry.data]))
+
+  const parse = (name) => {
+    if (!files.has(name)) throw invalidBackup(`Archive is missing ${name}`)
+    try {
+      return JSON.parse(files.get(name).toString('utf8'))
+    } catch (error) {
+      throw invalidBackup(`${name} is not valid JSON`)
+    }
+  }
+
+  const manifest = parse('manifest.json')
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw invalidBackup('Archive is not a site backup')
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_VERSION) {
+    throw invalidBackup(`Backup version ${manifest.version} is not supported (latest is ${BACKUP_VERSION})`)
+  }
+
+  const parseList = (name) => {
+    const records = parse(name)
+    if (!Array.isArray(records)) throw invalidBackup(`${name} must be a list`)
+    return records
+  }
+
+  return {
+    manifest,
+    users: parseList('users.json'),
+    articles: parseList('articles.json'),
+    categories: parseList('categories.json'),
+    tags: parseList('tags.json'),
+    comments: parseList('comments.json'),
+    uploads: [...files.entries()]
+      .filter(([name]) => name.startsWith('uploads/'))
+      .map(([name, data]) => ({ name: name.slice('uploads/'.length), data }))
+      .filter(upload => upload.name && !upload.name.includes('/'))
+  }
+}
+
+// A restore in 'empty' mode needs a database without users, articles or comments
+// (categories seeded at startup are replaced). Returns a reason it can't run, or null.
+const checkRestoreTarget = async (mode) => {
+  if (mode !== 'empty') return null
+  const [users, articles, comments] = await Promise.all([
+    User.exists({}),
+    Article.exists({}).setOptions({ withDeleted: true }),
+    Comment.exists({})
+  ])
+  if (users || articles || comments) {
+    return 'The database is not empty; restore with mode "merge" instead'
+  }
+  return null
+}
+
+// Validate documents before anything is written. Unique indexes aren't part of validation;
+// checkUnique covers those.
+const buildDocuments = (Model, records, label) => {
+  return records.map(record => {
+    const document = new Model(record)
+    const error = document.validateSync()
+    if (error) {
+      const details = Object.values(error.errors).map(e => e.message).join(', ')
+      throw invalidBackup(`Invalid ${label} ${record._id}: ${details}`)
+    }
+    return document
+  })
+}
+
+// Reject a batch whose values for unique fields repeat, or (againstDatabase) are already
+// taken, before insertMany runs into the unique index halfway through
+const checkUnique = async (Model, documents, fields, label, { againstDatabase = true } = {}) => {
+  for (const field of fields) {
+    const values = documents.map(document => document.get(field)).filter(value => value !== undefined && value !== null)
+    const seen = new Set()
+    for (const value of values) {
+      if (seen.has(String(value))) {
+        throw invalidBackup(`Backup has more than one ${label} with ${field} "${value}"`)
+      }
+      seen.add(String(value))
+    }
+
+    if (againstDatabase && values.length > 0) {
+      const existing = await Model.findOne({ [field]: { $in: values } }).setOptions({ withDeleted: true }).select(field).lean()
+      if (existing) {
+        throw invalidBackup(`A ${label} with ${field} "${existing[field]}" already exists`)
+      }
+    }
+  }
+}
+
+// Load a backup from readBackup(). In 'empty' mode documents keep their IDs. In 'merge'
+// mode users are matched by email, categories and tags by name, and articles by slug and
+// author; everything else is inserted with new IDs and references are remapped.
+// Returns counts of what was created and matched.
+const restoreBackup = async (backup, { mode = 'merge' } = {}) => {
+  const { manifest } = backup
+  const keepIds = mode === 'empty'
+  const report = {
+    mode,
+    backupCreatedAt: manifest.createdAt,
+    users: { created: 0, matched: 0 },
+    categories: { created: 0, matched: 0 },
+    tags: { created: 0, matched: 0 },
+    articles: { created: 0, matched: 0, renamed: [] },
+    comments: { created: 0 },
+    uploads: { copied: 0, existing: 0 }
+  }
+
+  const ids = { users: new Map(), categories: new Map(), articles: new Map(), comments: new Map() }
+  const assignId = (map, oldId) => {
+    const id = keepIds ? oldId : new mongoose.Types.ObjectId()
+    map.set(String(oldId), id)
+    return id
+  }
+  const mapId = (map, id) => id ? map.get(String(id)) || null : null
+  const mapIds = (map, values) => (values || []).map(id => mapId(map, id)).filter(Boolean)
+
+  // Point upload URLs at this API when the backup was taken elsewhere
+  const rewriteUploads = (value) => {
+    if (!value || !manifest.apiUrl || manifest.apiUrl === site.apiUrl) return value
+    return JSON.parse(JSON.stringify(value).split(`${manifest.apiUrl}/uploads/`).join(`${site.apiUrl}/uploads/`))
+  }
+
+  // Work out every ID first so references can point forwards (saved articles, parents)
+  const newUsers = []
+  const userNames = new Map()
+  for (const user of backup.users) {
+    const existing = keepIds ? null : await User.findOne({ email: user.email }).select('_id name')
+    if (existing) {
+      ids.users.set(String(user._id), existing._id)
+      userNames.set(String(existing._id), existing.name)
+      report.users.matched++
+    } else {
+      const id = assignId(ids.users, user._id)
+      userNames.set(String(id), user.name)
+      newUsers.push({ ...user, _id: id })
+    }
+  }
+
+  const newCategories = []
+  for (const category of backup.categories) {
+    const existing = keepIds ? null : await Category.findByNameOrSlug(category.name)
+    if (existing) {
+      ids.categories.set(String(category._id), existing._id)
+      report.categories.matched++
+    } else {
+      newCategories.push({ ...category, _id: assignId(ids.categories, category._id) })
+    }
+  }
+
+  const newTags = []
+  for (const tag of backup.tags) {
+    if (!keepIds && await Tag.exists({ name: tag.name })) {
+      report.tags.matched++
+    } else {
+      newTags.push({ ...tag, _id: keepIds ? tag._id : new mongoose.Types.ObjectId() })
+    }
+  }
+
+  const newArticles = []
+  for (const article of backup.articles) {
+    const author = mapId(ids.users, article.author)
+    const existing = keepIds || !author
+      ? null
+      : await Article.findOne({ slug: article.slug, author }).setOptions({ withDeleted: true }).select('_id')
+    if (existing) {
+      ids.articles.set(String(article._id), existing._id)
+      report.articles.matched++
+    } else {
+      newArticles.push({ ...article, _id: assignId(ids.articles, article._id), author })
+    }
+  }
+
+  // Comments come along with the articles they belong to
+  const insertedArticles = new Set(newArticles.map(article => String(article._id)))
+  const newComments = backup.comments.filter(comment => insertedArticles.has(String(mapId(ids.articles, comment.article))))
+  newComments.forEach(comment => assignId(ids.comments, comment._id))
+
+  // Slugs held by other articles in this database get a new one
+  if (!keepIds) {
+    for (const article of newArticles) {
+      if (await Article.slugInUse(article.slug)) {
+        const slug = await Article.generateSlug(article.slug)
+        report.articles.renamed.push({ from: article.slug, to: slug })
+        article.slug = slug
+        article.slugLocked = true
+      }
+      const previousSlugs = []
+      for (const previous of article.previousSlugs || []) {
+        if (!await Article.slugInUse(previous)) previousSlugs.push(previous)
+      }
+      article.previousSlugs = previousSlugs
+    }
+  }
+
+  const users = buildDocuments(User, newUsers.map(user => ({
+    ...user,
+    avatar: rewriteUploads(user.avatar),
+    savedArticles: mapIds(ids.articles, user.savedArticles),
+    // Without a hash (not a bcrypt value, so nothing matches it) the user has to reset
+    password: user.password || crypto.randomBytes(32).toString('hex'),
+    mustResetPassword: user.password ? user.mustResetPassword : true,
+    twoFactorEnabled: Boolean(user.twoFactorEnabled && user.twoFactorSecret)
+  })), 'user')
+
+  const categories = buildDocuments(Category, newCategories.map(category => ({
+    ...category,
+    parent: mapId(ids.categories, category.parent)
+  })), 'category')
+
+  const tags = buildDocuments(Tag, newTags.map(tag => ({
+    ...tag,
+    updatedBy: mapId(ids.users, tag.updatedBy) || undefined
+  })), 'tag')
+
+  const articles = buildDocuments(Article, newArticles.map(article => ({
+    ...article,
+    featuredImage: rewriteUploads(article.featuredImage),
+    editorData: rewriteUploads(article.editorData),
+    contentBlocks: rewriteUploads(article.contentBlocks),
+    // The search fields aren't backed up; insertMany skips the hooks that would set them
+    searchText: articleSearchText(article),
+    authorName: userNames.get(String(article.author)) || '',
+    likedBy: mapIds(ids.users, article.likedBy),
+    deletedBy: mapId(ids.users, article.deletedBy),
+    workflowHistory: (article.workflowHistory || []).map(event => ({ ...event, actor: mapId(ids.users, event.actor) })),
+    reviewNotes: (article.reviewNotes || [])
+      .map(note => ({ ...note, author: mapId(ids.users, note.author) }))
+      .filter(note => note.author)
+  })), 'article')
+
+  const comments = buildDocuments(Comment, newComments.map(comment => ({
+    ...comment,
+    _id: mapId(ids.comments, comment._id),
+    article: mapId(ids.articles, comment.article),
+    author: mapId(ids.users, comment.author),
+    parent: mapId(ids.comments, comment.parent),
+    root: mapId(ids.comments, comment.root),
+    moderatedBy: mapId(ids.users, comment.moderatedBy) || undefined
+  })), 'comment')
+
+  // In 'empty' mode the categories and tags seeded at startup are replaced, so only the
+  // backup itself can clash with them
+  await checkUnique(User, users, ['_id', 'email'], 'user')
+  await checkUnique(Category, categories, ['_id', 'name', 'slug'], 'category', { againstDatabase: !keepIds })
+  await checkUnique(Tag, tags, ['_id', 'name'], 'tag', { againstDatabase: !keepIds })
+  await checkUnique(Article, articles, ['_id', 'slug'], 'article')
+  await checkUnique(Comment, comments, ['_id'], 'comment')
+
+  // Transactions need a replica set, which a single server doesn't have. Instead, when a
+  // write fails everything this restore wrote is removed again and the replaced
+  // categories and tags are put back.
+  const [replacedCategories, replacedTags] = keepIds
+    ? await Promise.all([Category.find().lean(), Tag.find().lean()])
+    : [[], []]
+  const copiedUploads = []
+  const inserted = []
+  // insertMany skips save hooks, so stored password hashes and slugs are kept as they are
+  const options = { timestamps: false }
+
+  try {
+    for (const upload of backup.uploads) {
+      if (fs.existsSync(uploadPath(upload.name))) {
+        report.uploads.existing++
+      } else {
+        await fs.promises.writeFile(uploadPath(upload.name), upload.data)
+        copiedUploads.push(upload.name)
+        report.uploads.copied++
+      }
+    }
+
+    if (keepIds) {
+      await Promise.all([Category.deleteMany({}), Tag.deleteMany({})])
+    }
+
+    for (const [Model, documents] of [[User, users], [Category, categories], [Tag, tags], [Article, articles], [Comment, comments]]) {
+      inserted.push([Model, documents.map(document => document._id)])
+      await Model.insertMany(documents, options)
+    }
+  } catch (error) {
+    try {
+      for (const [Model, documentIds] of inserted.reverse()) {
+        await Model.deleteMany({ _id: { $in: documentIds } })
+      }
+      if (keepIds) {
+        await Category.deleteMany({})
+        await Tag.deleteMany({})
+        await Category.insertMany(replacedCategories, options)
+        await Tag.insertMany(replacedTags, options)
+      }
+      await Promise.all(copiedUploads.map(name => fs.promises.unlink(uploadPath(name))))
+    } catch (rollbackError) {
+      console.error('Restore rollback error:', rollbackError)
+    }
+    throw error
+  }
+
+  report.users.created = users.length
+  report.categories.created = categories.length
+  report.tags.created = tags.length
+  report.articles.created = articles.length
+  report.comments.created = comments.length
+
+  return report
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  createBackup,
+  readBackup,
+  checkRestoreTarget,
+  restoreBackup
+}
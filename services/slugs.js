@@ -0,0 +1,57 @@
+const { transliterate } = require('../utils/transliterate')
+const { escapeRegex } = require('../utils/regex')
+
+// Lowercase letters and numbers separated by single hyphens
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+const MAX_SLUG_LENGTH = 200
+
+// Public article URLs that a custom slug would shadow
+const RESERVED_SLUGS = ['featured', 'popular']
+
+// Turn text into a URL slug: non-Latin scripts are transliterated, accents dropped and
+// anything else that isn't a letter or number becomes a hyphen. Can return ''.
+const slugify = (text) => {
+  return transliterate(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '')
+}
+
+// Slugify text and make the slug unique in a model by appending -2, -3, ... when it is taken.
+// fields lists every field whose values count as taken (arrays included); excludeId leaves
+// out the document being renamed; fallback is used when the text has nothing to slugify.
+const uniqueSlug = async (Model, text, { excludeId, fields = ['slug'], fallback = 'item' } = {}) => {
+  // Leave room for a suffix within the length limit
+  const base = slugify(text).slice(0, MAX_SLUG_LENGTH - 6).replace(/-+$/, '') || fallback
+  const pattern = new RegExp(`^${escapeRegex(base)}(?:-\\d+)?$`)
+
+  const filter = { $or: fields.map(field => ({ [field]: pattern })) }
+  if (excludeId) {
+    filter._id = { $ne: excludeId }
+  }
+
+  // Trashed articles still hold their slugs until they are purged
+  const documents = await Model.find(filter).setOptions({ withDeleted: true }).select(fields.join(' ')).lean()
+  const taken = new Set(
+    documents.flatMap(document => fields.flatMap(field => [].concat(document[field] || [])))
+      .filter(value => pattern.test(value))
+  )
+
+  if (!taken.has(base)) return base
+
+  let suffix = 2
+  while (taken.has(`${base}-${suffix}`)) suffix++
+  return `${base}-${suffix}`
+}
+
+module.exports = {
+  SLUG_PATTERN,
+  MAX_SLUG_LENGTH,
+  RESERVED_SLUGS,
+  slugify,
+  uniqueSlug
+}
@@ -0,0 +1,78 @@
+const Article = require('../models/Article')
+const Tag = require('../models/Tag')
+const { escapeRegex } = require('../utils/regex')
+const { normalizeTag } = require('../utils/tags')
+
+// Count articles per tag. match narrows the articles counted; search matches tag names
+// (from the start only when prefix is set, for autocomplete); sort is 'count' or 'name'.
+// Returns [{ name, articleCount }].
+const getTagCounts = async ({ match = {}, search, prefix = false, sort = 'count', limit } = {}) => {
+  const pipeline = [
+    { $match: { ...match, 'tags.0': { $exists: true } } },
+    { $unwind: '$tags' }
+  ]
+
+  if (search) {
+    const pattern = escapeRegex(normalizeTag(search))
+    pipeline.push({ $match: { tags: new RegExp(prefix ? `^${pattern}` : pattern) } })
+  }
+
+  pipeline.push(
+    { $group: { _id: '$tags', articleCount: { $sum: 1 } } },
+    { $sort: sort === 'name' ? { _id: 1 } : { articleCount: -1, _id: 1 } }
+  )
+
+  if (limit) {
+    pipeline.push({ $limit: limit })
+  }
+
+  const counts = await Article.aggregate(pipeline)
+  return counts.map(({ _id, articleCount }) => ({ name: _id, articleCount }))
+}
+
+// Add each tag's description (empty when it has no Tag document)
+const withDescriptions = async (tags) => {
+  const descriptions = await Tag.getDescriptions(tags.map(tag => tag.name))
+  return tags.map(tag => ({ ...tag, description: descriptions[tag.name] || '' }))
+}
+
+// Replace every source tag with target on all articles. The target keeps its own description,
+// or takes the first one found among the sources. Returns { articles, merged }.
+const mergeTags = async (sources, target) => {
+  const name = normalizeTag(target)
+  const merged = [...new Set(sources.map(normalizeTag))].filter(tag => tag !== name)
+
+  if (merged.length === 0) {
+    return { articles: 0, merged }
+  }
+
+  // $addToSet and $pull can't touch the same array in one update
+  const result = await Article.updateMany({ tags: { $in: merged } }, { $addToSet: { tags: name } })
+  await Article.updateMany({ tags: { $in: merged } }, { $pull: { tags: { $in: merged } } })
+
+  const [targetTag, describedSource] = await Promise.all([
+    Tag.findOne({ name }),
+    Tag.findOne({ name: { $in: merged }, description: { $ne: '' } })
+  ])
+  if (describedSource && !(targetTag && targetTag.description)) {
+    await Tag.updateOne({ name }, { description: describedSource.description }, { upsert: true })
+  }
+  await Tag.deleteMany({ name: { $in: merged } })
+
+  return { articles: result.matchedCount, merged }
+}
+
+// Remove a tag from every article and drop its details. Returns the number of articles changed.
+const removeTag = async (tag) => {
+  const name = normalizeTag(tag)
+  const result = await Article.updateMany({ tags: name }, { $pull: { tags: name } })
+  await Tag.deleteOne({ name })
+  return result.modifiedCount
+}
+
+module.exports = {
+  getTagCounts,
+  withDescriptions,
+  mergeTags,
+  removeTag
+}
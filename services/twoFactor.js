@@ -0,0 +1,85 @@
+const jwt = require('jsonwebtoken')
+const User = require('../models/User')
+const Setting = require('../models/Setting')
+const site = require('../config/site')
+const { verifyCode } = require('../utils/totp')
+
+const REQUIRED_ROLES_KEY = 'twoFactor.requiredRoles'
+// Roles an admin can make 2FA mandatory for
+const ENFORCEABLE_ROLES = ['author', 'editor', 'admin']
+const CHALLENGE_PURPOSE = '2fa_challenge'
+const MAX_CHALLENGE_FAILURES = 5
+const POLICY_CACHE_MS = 30 * 1000
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || site.title
+
+// protect() consults the policy on every request, so keep it in memory for a short while
+let policyCache = null
+
+const getRequiredRoles = async () => {
+  if (policyCache && policyCache.expiresAt > Date.now()) {
+    return policyCache.roles
+  }
+  const roles = await Setting.getValue(REQUIRED_ROLES_KEY, [])
+  policyCache = { roles, expiresAt: Date.now() + POLICY_CACHE_MS }
+  return roles
+}
+
+const setRequiredRoles = async (roles, updatedBy) => {
+  await Setting.setValue(REQUIRED_ROLES_KEY, roles, updatedBy)
+  policyCache = null
+  return roles
+}
+
+const isTwoFactorRequired = async (user) => {
+  const roles = await getRequiredRoles()
+  return roles.includes(user.role)
+}
+
+// Short-lived token proving the password step passed; only accepted by the 2FA login step
+const createChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  )
+}
+
+// Returns the decoded challenge or null when it is invalid, expired or not a challenge token
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Check a TOTP code or a recovery code for a user loaded with +twoFactorSecret.
+// Returns 'totp' or 'recovery' on success, null otherwise. Both kinds are single-use.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && user.twoFactorSecret) {
+    const step = verifyCode(user.twoFactorSecret, code)
+    if (step !== null && await User.consumeTwoFactorStep(user._id, step)) {
+      return 'totp'
+    }
+  }
+
+  if (recoveryCode && await User.consumeRecoveryCode(user._id, recoveryCode)) {
+    return 'recovery'
+  }
+
+  return null
+}
+
+module.exports = {
+  ENFORCEABLE_ROLES,
+  MAX_CHALLENGE_FAILURES,
+  issuer,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+}
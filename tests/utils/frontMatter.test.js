@@ -0,0 +1,94 @@
+const { parseFrontMatter, stringifyFrontMatter } = require('../../utils/frontMatter')
+
+describe('stringifyFrontMatter / parseFrontMatter', () => {
+  it('round-trips article metadata', () => {
+    const data = {
+      title: 'Hello: world',
+      slug: 'hello-world',
+      category: 'Tech',
+      tags: ['javascript', 'web dev', 'yes', '12'],
+      seoTitle: 'Quotes "inside" and a #hash',
+      seoDescription: 'Ends with a space ',
+      featuredImage: 'https://cdn.example/a.png?w=800',
+      isFeatured: true,
+      readTime: 4
+    }
+
+    const { data: parsed, body } = parseFrontMatter(`${stringifyFrontMatter(data)}# Body\n`)
+
+    expect(parsed).toEqual(data)
+    expect(body).toBe('# Body\n')
+  })
+
+  it('writes dates as ISO strings', () => {
+    const text = stringifyFrontMatter({ publishedAt: new Date('2024-01-02T03:04:05Z') })
+
+    expect(text).toBe('---\npublishedAt: 2024-01-02T03:04:05.000Z\n---\n')
+    expect(parseFrontMatter(text).data).toEqual({ publishedAt: '2024-01-02T03:04:05.000Z' })
+  })
+
+  it('quotes values YAML would read as another type', () => {
+    expect(stringifyFrontMatter({ a: 'true', b: 'null', c: '-1.5', d: '[x]', e: 'plain text' }))
+      .toBe('---\na: "true"\nb: "null"\nc: "-1.5"\nd: "[x]"\ne: plain text\n---\n')
+  })
+
+  it('leaves out empty values', () => {
+    expect(stringifyFrontMatter({ title: 'T', category: '', tags: [], slug: null, excerpt: undefined }))
+      .toBe('---\ntitle: T\n---\n')
+  })
+})
+
+describe('parseFrontMatter', () => {
+  it('reads scalars, lists and block strings', () => {
+    const text = [
+      '---',
+      'title: \'It\'\'s here\' # a comment',
+      'seoTitle: "Say \\"hi\\" # not a comment" # a comment',
+      'draft: no',
+      'count: 3',
+      'empty:',
+      'missing: ~',
+      'tags: [a, "b, c", \'d\']',
+      'categories:',
+      '  - one',
+      '  - "two"',
+      'summary: >',
+      '  folded',
+      '  text',
+      'notes: |',
+      '  line one',
+      '  line two',
+      'plain: value # trailing comment',
+      '---',
+      'Body'
+    ].join('\n')
+
+    expect(parseFrontMatter(text)).toEqual({
+      data: {
+        title: "It's here",
+        seoTitle: 'Say "hi" # not a comment',
+        draft: false,
+        count: 3,
+        empty: null,
+        missing: null,
+        tags: ['a', 'b, c', 'd'],
+        categories: ['one', 'two'],
+        summary: 'folded text',
+        notes: 'line one\nline two',
+        plain: 'value'
+      },
+      body: 'Body'
+    })
+  })
+
+  it('returns the whole document as the body without front matter', () => {
+    expect(parseFrontMatter('\uFEFF# Title\n\n---\nnot: front matter\n')).toEqual({
+      data: {},
+      body: '# Title\n\n---\nnot: front matter\n'
+    })
+  })
+
+  it('reads Windows line endings and a byte order mark', () => {
+    expect(parseFrontMatter('\uFEFF---\r\ntitle: T\r\n---\r\nBody')).toEqual({ data: { title: 'T' }, body: 'Body' })
+  })
+})
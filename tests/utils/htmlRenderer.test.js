@@ -0,0 +1,160 @@
+const { escapeHtml, sanitizeInline, renderEditorBlocks, renderContentBlocks, renderArticleHtml } = require('../../utils/htmlRenderer')
+
+const REL = 'rel="nofollow noopener noreferrer"'
+
+describe('sanitizeInline', () => {
+  it('drops script and style elements with their contents', () => {
+    expect(sanitizeInline('<script>alert(1)</script>hi')).toBe('hi')
+    expect(sanitizeInline('<style>body { display: none }</style>text')).toBe('text')
+  })
+
+  it('escapes what is left of a nested script tag', () => {
+    expect(sanitizeInline('<scr<script>ipt>alert(1)</script>')).toBe('&lt;scr')
+  })
+
+  it('drops tags that are not whitelisted', () => {
+    expect(sanitizeInline('<img src=x onerror=alert(1)>')).toBe('')
+    expect(sanitizeInline('<svg onload=alert(1)>x</svg>')).toBe('x')
+    expect(sanitizeInline('<iframe src="https://evil.example"></iframe>')).toBe('')
+  })
+
+  it('drops comments', () => {
+    expect(sanitizeInline('<!-- <script>alert(1)</script> -->ok')).toBe('ok')
+  })
+
+  it('drops event handlers and other attributes that are not whitelisted', () => {
+    expect(sanitizeInline('<b onclick="alert(1)">b</b>')).toBe('<b>b</b>')
+    expect(sanitizeInline('<a href="/about" style="color:red" onmouseover="alert(1)">x</a>')).toBe(`<a href="/about" ${REL}>x</a>`)
+  })
+
+  it('escapes quotes in attribute values', () => {
+    expect(sanitizeInline('<a title=\'" onmouseover=alert(1)\'>x</a>')).toBe(`<a title="&quot; onmouseover=alert(1)" ${REL}>x</a>`)
+  })
+
+  it('keeps escaped markup as text', () => {
+    expect(sanitizeInline('&lt;script&gt;alert(1)&lt;/script&gt;')).toBe('&lt;script&gt;alert(1)&lt;/script&gt;')
+  })
+
+  it('closes tags left open', () => {
+    expect(sanitizeInline('<b><i>x')).toBe('<b><i>x</i></b>')
+    expect(sanitizeInline('<b><i>x</b>')).toBe('<b><i>x</i></b>')
+  })
+
+  it.each([
+    ['javascript:alert(1)'],
+    ['JavaScript:alert(1)'],
+    ['&#106;avascript:alert(1)'],
+    ['java\tscript:alert(1)'],
+    [' javascript:alert(1)'],
+    ['vbscript:msgbox(1)'],
+    ['data:text/html,<script>alert(1)</script>'],
+    ['//evil.example'],
+    ['/\\evil.example'],
+    ['/\t/evil.example'],
+    ['/\n/evil.example']
+  ])('drops the unsafe link %j', (href) => {
+    expect(sanitizeInline(`<a href="${href}">x</a>`)).toBe(`<a ${REL}>x</a>`)
+  })
+
+  it.each([
+    ['/about', '/about'],
+    ['/uploads/a.png?size=2#top', '/uploads/a.png?size=2#top'],
+    ['https://example.com/a', 'https://example.com/a'],
+    ['http://example.com', 'http://example.com/'],
+    ['mailto:editor@example.com', 'mailto:editor@example.com']
+  ])('keeps the safe link %j', (href, expected) => {
+    expect(sanitizeInline(`<a href="${href}">x</a>`)).toBe(`<a href="${expected}" ${REL}>x</a>`)
+  })
+})
+
+describe('renderEditorBlocks', () => {
+  it('renders images only from http(s) and site-relative URLs', () => {
+    const image = (url) => renderEditorBlocks([{ type: 'image', data: { file: { url } } }])
+
+    expect(image('javascript:alert(1)')).toBe('')
+    expect(image('data:image/svg+xml;base64,PHN2Zz4=')).toBe('')
+    expect(image('//evil.example/a.png')).toBe('')
+    expect(image('/uploads/a.png')).toBe('<figure class="image"><img src="/uploads/a.png" alt="" loading="lazy"></figure>')
+  })
+
+  it('escapes image captions in the alt text', () => {
+    const html = renderEditorBlocks([{ type: 'image', data: { file: { url: 'https://cdn.example/a.png' }, caption: '<b>"x</b>' } }])
+
+    expect(html).toContain('alt="&quot;x"')
+    expect(html).toContain('<figcaption><b>&quot;x</b></figcaption>')
+  })
+
+  it('renders embeds from unknown hosts as plain links', () => {
+    const html = renderEditorBlocks([{ type: 'embed', data: { embed: 'https://evil.example/frame', source: 'https://evil.example/page' } }])
+
+    expect(html).not.toContain('<iframe')
+    expect(html).toBe(`<p><a href="https://evil.example/page" ${REL}>https://evil.example/page</a></p>`)
+  })
+
+  it('renders embeds from whitelisted hosts as sandboxed iframes', () => {
+    const html = renderEditorBlocks([{ type: 'embed', data: { embed: 'https://www.youtube.com/embed/abc', service: 'you"tube' } }])
+
+    expect(html).toContain('<iframe src="https://www.youtube.com/embed/abc"')
+    expect(html).toContain('sandbox="allow-scripts allow-same-origin allow-popups allow-presentation"')
+    expect(html).toContain('class="embed embed--youtube"')
+  })
+
+  it('drops embeds and links with script URLs', () => {
+    expect(renderEditorBlocks([{ type: 'embed', data: { embed: 'javascript:alert(1)', source: 'javascript:alert(1)' } }])).toBe('')
+    expect(renderEditorBlocks([{ type: 'linkTool', data: { link: 'javascript:alert(1)' } }])).toBe('')
+  })
+
+  it('escapes code and link titles', () => {
+    expect(renderEditorBlocks([{ type: 'code', data: { code: '<script>alert(1)</script>' } }]))
+      .toBe('<pre><code>&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>')
+    expect(renderEditorBlocks([{ type: 'linkTool', data: { link: 'https://a.example', meta: { title: '<img src=x>' } } }]))
+      .toBe(`<p><a href="https://a.example/" ${REL}>&lt;img src=x&gt;</a></p>`)
+  })
+
+  it('sanitizes text in headers, lists, quotes and tables', () => {
+    const html = renderEditorBlocks([
+      { type: 'header', data: { text: '<img src=x onerror=alert(1)>Title', level: 9 } },
+      { type: 'list', data: { style: 'ordered', items: [{ content: '<script>alert(1)</script>one', items: ['<b onclick="x">two</b>'] }] } },
+      { type: 'quote', data: { text: 'q', caption: '<a href="javascript:alert(1)">c</a>' } },
+      { type: 'table', data: { content: [['<svg onload=alert(1)>cell</svg>']] } }
+    ])
+
+    expect(html).toBe([
+      '<h6>Title</h6>',
+      '<ol><li>one<ol><li><b>two</b></li></ol></li></ol>',
+      `<blockquote><p>q</p><cite><a ${REL}>c</a></cite></blockquote>`,
+      '<table><tbody><tr><td>cell</td></tr></tbody></table>'
+    ].join('\n'))
+  })
+
+  it('skips unknown block types', () => {
+    expect(renderEditorBlocks([{ type: 'raw', data: { html: '<script>alert(1)</script>' } }])).toBe('')
+  })
+})
+
+describe('renderContentBlocks', () => {
+  it('drops unsafe media URLs and escapes alt text', () => {
+    const html = renderContentBlocks([
+      { type: 'image', content: 'javascript:alert(1)', alt: 'a', order: 0 },
+      { type: 'video', content: 'vbscript:x', order: 1 },
+      { type: 'image', content: '/uploads/a.png', alt: '" onerror="alert(1)', order: 2 }
+    ])
+
+    expect(html).toBe('<figure class="image"><img src="/uploads/a.png" alt="&quot; onerror=&quot;alert(1)" loading="lazy"></figure>')
+  })
+})
+
+describe('renderArticleHtml', () => {
+  it('prefers editorData and falls back to contentBlocks', () => {
+    expect(renderArticleHtml({ editorData: { blocks: [{ type: 'paragraph', data: { text: 'editor' } }] }, contentBlocks: [{ type: 'text', content: 'legacy' }] }))
+      .toBe('<p>editor</p>')
+    expect(renderArticleHtml({ editorData: { blocks: [] }, contentBlocks: [{ type: 'text', content: '<script>alert(1)</script>legacy' }] }))
+      .toBe('<p>legacy</p>')
+  })
+})
+
+describe('escapeHtml', () => {
+  it('escapes every character that is special in HTML', () => {
+    expect(escapeHtml('<a href="x" title=\'y\'>&</a>')).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;')
+  })
+})
@@ -0,0 +1,148 @@
+const { markdownToBlocks, blocksToMarkdown, contentBlocksToMarkdown, articleToMarkdown } = require('../../utils/markdown')
+
+const image = (url, caption) => ({
+  type: 'image',
+  data: { file: { url }, caption, withBorder: false, stretched: false, withBackground: false }
+})
+
+// Blocks in the shape markdownToBlocks produces, so they survive a round trip unchanged
+const blocks = [
+  { type: 'header', data: { text: 'Getting <i>started</i>', level: 2 } },
+  { type: 'paragraph', data: { text: 'Some <b>bold</b>, <i>italic</i>, <s>struck</s> and <code>a &lt; b</code> text with a <a href="https://example.com/a">link</a>.' } },
+  { type: 'paragraph', data: { text: 'Literal *stars*, _underscores_, [brackets] and 5 &lt; 6 &amp; co' } },
+  { type: 'paragraph', data: { text: '# not a heading' } },
+  { type: 'paragraph', data: { text: '1. not a list' } },
+  { type: 'paragraph', data: { text: 'line one<br>line two' } },
+  { type: 'paragraph', data: { text: 'kept <u>underline</u> and <mark>mark</mark>' } },
+  { type: 'list', data: { style: 'unordered', items: ['one', 'two <b>bold</b>'] } },
+  { type: 'list', data: { style: 'ordered', items: [{ content: 'first', items: [{ content: 'nested', items: [] }] }, { content: 'second', items: [] }] } },
+  { type: 'quote', data: { text: 'To be', caption: 'Someone', alignment: 'left' } },
+  { type: 'code', data: { code: 'const a = `x`\n```\nnested fence' } },
+  image('https://cdn.example/a.png', 'A caption'),
+  { type: 'table', data: { withHeadings: true, content: [['Name', 'Value'], ['a | b', '<b>1</b>']] } },
+  { type: 'delimiter', data: {} }
+]
+
+describe('blocksToMarkdown / markdownToBlocks', () => {
+  it('round-trips every block type', () => {
+    expect(markdownToBlocks(blocksToMarkdown(blocks))).toEqual(blocks)
+  })
+
+  it('round-trips each block on its own', () => {
+    blocks.forEach(block => {
+      expect(markdownToBlocks(blocksToMarkdown([block]))).toEqual([block])
+    })
+  })
+
+  it('gives the same Markdown after a second round trip', () => {
+    const markdown = blocksToMarkdown(blocks)
+
+    expect(blocksToMarkdown(markdownToBlocks(markdown))).toBe(markdown)
+  })
+
+  it('writes the Markdown syntax for each block', () => {
+    expect(blocksToMarkdown(blocks.slice(0, 2))).toBe([
+      '## Getting *started*',
+      'Some **bold**, *italic*, ~~struck~~ and `a < b` text with a [link](https://example.com/a).'
+    ].join('\n\n'))
+    expect(blocksToMarkdown([blocks[8]])).toBe('1. first\n   1. nested\n2. second')
+    expect(blocksToMarkdown([blocks[12]])).toBe('| Name | Value |\n| --- | --- |\n| a \\| b | **1** |')
+  })
+
+  it('encodes parentheses and spaces in link URLs', () => {
+    const markdown = blocksToMarkdown([{ type: 'paragraph', data: { text: '<a href="https://example.com/a_(b) c">link</a>' } }])
+
+    expect(markdown).toBe('[link](https://example.com/a_%28b%29%20c)')
+    expect(markdownToBlocks(markdown)).toEqual([
+      { type: 'paragraph', data: { text: '<a href="https://example.com/a_%28b%29%20c">link</a>' } }
+    ])
+  })
+
+  it('uses a longer fence than any backtick run in the code', () => {
+    expect(blocksToMarkdown([blocks[10]])).toMatch(/^````\n[\s\S]*\n````$/)
+  })
+
+  it('skips unknown block types', () => {
+    expect(blocksToMarkdown([{ type: 'raw', data: { html: '<div>x</div>' } }, { type: 'delimiter', data: {} }])).toBe('---')
+  })
+})
+
+describe('markdownToBlocks', () => {
+  it('parses common Markdown', () => {
+    const markdown = [
+      '# Title #',
+      '',
+      'A paragraph that',
+      'wraps over __two__ lines with `code`, <https://example.com> and ![inline](/a.png).',
+      '',
+      '* [ ] not special',
+      '+ plus',
+      '',
+      '3) third',
+      '',
+      '> quoted',
+      '> -- Author',
+      '',
+      '~~~js',
+      'let x = 1',
+      '~~~',
+      '',
+      '***'
+    ].join('\n')
+
+    expect(markdownToBlocks(markdown)).toEqual([
+      { type: 'header', data: { text: 'Title', level: 1 } },
+      { type: 'paragraph', data: { text: 'A paragraph that wraps over <b>two</b> lines with <code>code</code>, <a href="https://example.com">https://example.com</a> and <a href="/a.png">inline</a>.' } },
+      { type: 'list', data: { style: 'unordered', items: ['[ ] not special', 'plus'] } },
+      { type: 'list', data: { style: 'ordered', items: ['third'] } },
+      { type: 'quote', data: { text: 'quoted', caption: 'Author', alignment: 'left' } },
+      { type: 'code', data: { code: 'let x = 1' } },
+      { type: 'delimiter', data: {} }
+    ])
+  })
+
+  it('reads Windows line endings', () => {
+    expect(markdownToBlocks('# A\r\n\r\nb\r\n')).toEqual([
+      { type: 'header', data: { text: 'A', level: 1 } },
+      { type: 'paragraph', data: { text: 'b' } }
+    ])
+  })
+
+  it('pads table rows to the same length', () => {
+    expect(markdownToBlocks('| a | b |\n|---|---|\n| 1 |')).toEqual([
+      { type: 'table', data: { withHeadings: true, content: [['a', 'b'], ['1', '']] } }
+    ])
+  })
+
+  it('escapes stray angle brackets and ampersands', () => {
+    expect(markdownToBlocks('1 < 2 & 3 > 2')).toEqual([{ type: 'paragraph', data: { text: '1 &lt; 2 &amp; 3 > 2' } }])
+  })
+
+  it('returns no blocks for empty input', () => {
+    expect(markdownToBlocks('')).toEqual([])
+    expect(markdownToBlocks(undefined)).toEqual([])
+  })
+})
+
+describe('contentBlocksToMarkdown / articleToMarkdown', () => {
+  const contentBlocks = [
+    { type: 'code', content: 'x()', order: 2 },
+    { type: 'text', content: 'Hello <b>world</b>', order: 0 },
+    { type: 'image', content: '/uploads/a.png', alt: 'An [image]', order: 1 },
+    { type: 'video', content: 'https://v.example/v.mp4', order: 3 }
+  ]
+
+  it('converts legacy content blocks in order', () => {
+    expect(contentBlocksToMarkdown(contentBlocks)).toBe([
+      'Hello **world**',
+      '![An \\[image\\]](/uploads/a.png)',
+      '```\nx()\n```',
+      '<https://v.example/v.mp4>'
+    ].join('\n\n'))
+  })
+
+  it('prefers editorData and falls back to contentBlocks', () => {
+    expect(articleToMarkdown({ editorData: { blocks: [blocks[0]] }, contentBlocks })).toBe('## Getting *started*')
+    expect(articleToMarkdown({ editorData: { blocks: [] }, contentBlocks: [contentBlocks[1]] })).toBe('Hello **world**')
+  })
+})
@@ -0,0 +1,108 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { createTarGz, writeTarGz, readTarGz } = require('../../utils/tarball')
+
+const longName = `backup/${'nested-directory/'.repeat(6)}${'a'.repeat(60)}.json`
+
+const entries = [
+  { name: 'backup/manifest.json', data: '{"version":1}' },
+  { name: 'backup/uploads/image.png', data: Buffer.from([0, 1, 2, 255, 254, 253]) },
+  { name: 'backup/empty.txt', data: '' },
+  { name: 'backup/ünïcödé.txt', data: 'ünïcödé' },
+  { name: longName, data: 'x'.repeat(1500) }
+]
+
+const asText = (archiveEntries) => archiveEntries.map(entry => [entry.name, entry.data.toString('utf8')])
+
+describe('createTarGz / readTarGz', () => {
+  it('reads back every entry with its name and data', () => {
+    const archive = createTarGz(entries)
+
+    expect(asText(readTarGz(archive))).toEqual(asText(entries.map(entry => ({ ...entry, data: Buffer.from(entry.data) }))))
+  })
+
+  it('keeps binary data byte for byte', () => {
+    const [, image] = readTarGz(createTarGz(entries))
+
+    expect(image.data.equals(entries[1].data)).toBe(true)
+  })
+
+  it('splits names over 100 bytes into the ustar prefix', () => {
+    const tar = zlib.gunzipSync(createTarGz([{ name: longName, data: 'x' }]))
+    const field = (offset, length) => tar.subarray(offset, offset + length).toString('utf8').replace(/\0.*$/s, '')
+
+    expect(`${field(345, 155)}/${field(0, 100)}`).toBe(longName)
+  })
+
+  it('refuses names that cannot be split', () => {
+    expect(() => createTarGz([{ name: 'a'.repeat(120), data: 'x' }])).toThrow('File name too long for tar')
+  })
+
+  it('rejects a header whose checksum does not match', () => {
+    const tar = zlib.gunzipSync(createTarGz(entries))
+    // Change the file name without updating the checksum
+    tar[0] = 'X'.charCodeAt(0)
+
+    expect(() => readTarGz(zlib.gzipSync(tar))).toThrow('header checksum mismatch')
+  })
+
+  it('rejects data that is not gzipped', () => {
+    expect(() => readTarGz(Buffer.from('not an archive'))).toThrow()
+  })
+
+  it('refuses archives that unpack to more than maxSize', () => {
+    const bomb = zlib.gzipSync(Buffer.alloc(2 * 1024 * 1024))
+
+    expect(() => readTarGz(bomb, { maxSize: 1024 * 1024 })).toThrow(expect.objectContaining({ code: 'ERR_BUFFER_TOO_LARGE' }))
+  })
+})
+
+describe('writeTarGz', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tarball-test-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('streams data and files from disk into an archive readTarGz can read', async () => {
+    const upload = path.join(dir, 'upload.bin')
+    const empty = path.join(dir, 'empty.bin')
+    fs.writeFileSync(upload, Buffer.alloc(1500, 7))
+    fs.writeFileSync(empty, '')
+    const output = path.join(dir, 'archive.tar.gz')
+
+    await writeTarGz([
+      { name: 'backup/manifest.json', data: '{"version":1}' },
+      { name: 'backup/uploads/upload.bin', path: upload },
+      { name: 'backup/uploads/empty.bin', path: empty }
+    ], fs.createWriteStream(output))
+
+    const [manifest, uploaded, emptyUpload] = readTarGz(fs.readFileSync(output))
+    expect(manifest.data.toString('utf8')).toBe('{"version":1}')
+    expect(uploaded.name).toBe('backup/uploads/upload.bin')
+    expect(uploaded.data.equals(Buffer.alloc(1500, 7))).toBe(true)
+    expect(emptyUpload.data.length).toBe(0)
+  })
+
+  it('writes the same archive contents as createTarGz', async () => {
+    const mtime = new Date('2024-01-01T00:00:00Z')
+    const output = path.join(dir, 'archive.tar.gz')
+
+    await writeTarGz(entries, fs.createWriteStream(output), { mtime })
+
+    expect(zlib.gunzipSync(fs.readFileSync(output)).equals(zlib.gunzipSync(createTarGz(entries, { mtime })))).toBe(true)
+  })
+
+  it('fails when a file to archive is missing', async () => {
+    const output = path.join(dir, 'archive.tar.gz')
+
+    await expect(writeTarGz([{ name: 'missing', path: path.join(dir, 'missing') }], fs.createWriteStream(output)))
+      .rejects.toThrow(expect.objectContaining({ code: 'ENOENT' }))
+  })
+})
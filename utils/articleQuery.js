@@ -0,0 +1,29 @@
+// Filters shared by the public article listing and everything built on it (feeds, sitemaps)
+
+// Build the Mongo query for published articles from category/tag/author/search params
+const buildPublicArticleQuery = ({ category, tag, author, search } = {}) => {
+  const query = { status: 'published' }
+
+  if (category) {
+    query.category = category
+  }
+
+  if (tag) {
+    query.tags = { $in: [tag] }
+  }
+
+  if (author) {
+    query.author = author
+  }
+
+  // Full-text search over the title, tags, author name and body (see the Article text index)
+  if (search) {
+    query.$text = { $search: search }
+  }
+
+  return query
+}
+
+module.exports = {
+  buildPublicArticleQuery
+}
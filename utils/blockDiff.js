@@ -0,0 +1,125 @@
+// Block-level diff between two article snapshots
+
+const SCALAR_FIELDS = ['title', 'seoTitle', 'seoDescription']
+
+// Normalize Editor.js blocks and legacy contentBlocks into one comparable list
+const normalizeBlocks = (snapshot) => {
+  const editorBlocks = snapshot?.editorData?.blocks
+  if (Array.isArray(editorBlocks) && editorBlocks.length > 0) {
+    return editorBlocks.map(block => ({
+      id: block.id || null,
+      type: block.type,
+      data: block.data || {}
+    }))
+  }
+
+  const legacyBlocks = Array.isArray(snapshot?.contentBlocks) ? snapshot.contentBlocks : []
+  return [...legacyBlocks]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(block => ({
+      id: null,
+      type: block.type,
+      data: { content: block.content, alt: block.alt }
+    }))
+}
+
+const blockKey = (block) => JSON.stringify({ type: block.type, data: block.data })
+
+// Longest common subsequence over block keys, returned as an edit script
+const diffSequences = (oldBlocks, newBlocks) => {
+  const oldKeys = oldBlocks.map(blockKey)
+  const newKeys = newBlocks.map(blockKey)
+  const rows = oldKeys.length
+  const cols = newKeys.length
+
+  const table = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0))
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i][j] = oldKeys[i] === newKeys[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1])
+    }
+  }
+
+  const ops = []
+  let i = 0
+  let j = 0
+  while (i < rows && j < cols) {
+    if (oldKeys[i] === newKeys[j]) {
+      ops.push({ op: 'unchanged', oldIndex: i, newIndex: j, block: newBlocks[j] })
+      i++
+      j++
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ op: 'removed', oldIndex: i, block: oldBlocks[i] })
+      i++
+    } else {
+      ops.push({ op: 'added', newIndex: j, block: newBlocks[j] })
+      j++
+    }
+  }
+  while (i < rows) {
+    ops.push({ op: 'removed', oldIndex: i, block: oldBlocks[i] })
+    i++
+  }
+  while (j < cols) {
+    ops.push({ op: 'added', newIndex: j, block: newBlocks[j] })
+    j++
+  }
+
+  return ops
+}
+
+// Collapse a removed/added pair of the same Editor.js block id into a single "modified" entry
+const collapseModified = (ops) => {
+  const result = []
+  ops.forEach(entry => {
+    if (entry.op === 'added' && entry.block.id) {
+      const removedIndex = result.findIndex(prev =>
+        prev.op === 'removed' && prev.block.id === entry.block.id
+      )
+      if (removedIndex !== -1) {
+        const removed = result[removedIndex]
+        result[removedIndex] = {
+          op: 'modified',
+          oldIndex: removed.oldIndex,
+          newIndex: entry.newIndex,
+          before: removed.block,
+          after: entry.block
+        }
+        return
+      }
+    }
+    result.push(entry)
+  })
+  return result
+}
+
+const diffTags = (oldTags = [], newTags = []) => ({
+  added: newTags.filter(tag => !oldTags.includes(tag)),
+  removed: oldTags.filter(tag => !newTags.includes(tag))
+})
+
+// Compare two snapshots and describe field and block changes
+const diffSnapshots = (from, to) => {
+  const fields = {}
+  SCALAR_FIELDS.forEach(field => {
+    const before = from?.[field] ?? null
+    const after = to?.[field] ?? null
+    if (before !== after) {
+      fields[field] = { before, after }
+    }
+  })
+
+  const tags = diffTags(from?.tags, to?.tags)
+  const blocks = collapseModified(diffSequences(normalizeBlocks(from), normalizeBlocks(to)))
+
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 }
+  blocks.forEach(entry => { summary[entry.op]++ })
+
+  return { fields, tags, blocks, summary }
+}
+
+module.exports = {
+  normalizeBlocks,
+  diffSnapshots
+}
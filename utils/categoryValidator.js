@@ -0,0 +1,17 @@
+const Category = require('../models/Category')
+
+// express-validator custom check: the value must match a category by name or slug
+// (case-insensitive), and is rewritten to the category's canonical name, which is what
+// articles store. Use as .custom(isCategory).
+const isCategory = async (value, { req, location, path }) => {
+  const category = await Category.findByNameOrSlug(value)
+  if (!category) {
+    throw new Error('Invalid category')
+  }
+  req[location][path] = category.name
+  return true
+}
+
+module.exports = {
+  isCategory
+}
@@ -0,0 +1,112 @@
+// Editorial pipeline: draft -> in_review -> approved -> published
+//
+// Each transition lists the statuses it may start from, the status it ends in,
+// the roles that may perform it on any article (`roles`) and whether the
+// article's own author may perform it regardless of role (`owner`).
+
+const REVIEWER_ROLES = ['editor', 'admin']
+
+const TRANSITIONS = {
+  submit: {
+    from: ['draft'],
+    to: 'in_review',
+    roles: REVIEWER_ROLES,
+    owner: true
+  },
+  withdraw: {
+    from: ['in_review'],
+    to: 'draft',
+    roles: REVIEWER_ROLES,
+    owner: true
+  },
+  request_changes: {
+    from: ['in_review', 'approved'],
+    to: 'draft',
+    roles: REVIEWER_ROLES,
+    owner: false
+  },
+  approve: {
+    from: ['in_review'],
+    to: 'approved',
+    roles: REVIEWER_ROLES,
+    owner: false
+  },
+  publish: {
+    from: ['approved'],
+    to: 'published',
+    roles: REVIEWER_ROLES,
+    owner: true
+  },
+  schedule: {
+    from: ['approved', 'scheduled'],
+    to: 'scheduled',
+    roles: REVIEWER_ROLES,
+    owner: true
+  },
+  unschedule: {
+    from: ['scheduled'],
+    to: 'approved',
+    roles: REVIEWER_ROLES,
+    owner: true
+  },
+  unpublish: {
+    from: ['published'],
+    to: 'draft',
+    roles: REVIEWER_ROLES,
+    owner: true
+  }
+}
+
+const isReviewer = (user) => Boolean(user) && REVIEWER_ROLES.includes(user.role)
+
+const isOwner = (user, article) => {
+  const authorId = article.author && article.author._id ? article.author._id : article.author
+  return Boolean(user) && String(authorId) === String(user._id || user.id)
+}
+
+// Returns null when allowed, otherwise { status, error } describing why not
+const checkTransition = (user, article, action) => {
+  const transition = TRANSITIONS[action]
+  if (!transition) {
+    return { status: 400, error: `Unknown workflow action '${action}'` }
+  }
+
+  const allowedByRole = transition.roles.includes(user.role)
+  const allowedAsOwner = transition.owner && isOwner(user, article)
+  if (!allowedByRole && !allowedAsOwner) {
+    return {
+      status: 403,
+      error: `User role '${user.role}' is not authorized to ${action.replace('_', ' ')} this article.`
+    }
+  }
+
+  if (!transition.from.includes(article.status)) {
+    return {
+      status: 409,
+      error: `Cannot ${action.replace('_', ' ')} an article with status '${article.status}'`
+    }
+  }
+
+  return null
+}
+
+// Statuses whose content has passed review
+const REVIEWED_STATUSES = ['approved', 'scheduled', 'published']
+
+// A content change by someone who can't approve it sends a reviewed article back to review
+const requiresReReview = (user, status) => REVIEWED_STATUSES.includes(status) && !isReviewer(user)
+
+// Statuses a user may set directly through create/update without going through a transition
+const canSetStatusDirectly = (user, status) => {
+  return ['draft', 'archived'].includes(status) || isReviewer(user)
+}
+
+module.exports = {
+  TRANSITIONS,
+  REVIEWER_ROLES,
+  isReviewer,
+  isOwner,
+  checkTransition,
+  canSetStatusDirectly,
+  requiresReReview
+}
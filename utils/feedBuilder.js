@@ -0,0 +1,132 @@
+// Serialize feed metadata and entries as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+//
+// meta:  { title, description, language, siteUrl, feedUrl, updated }
+// items: [{ id, title, url, summary, contentHtml, authorName, publishedAt, updatedAt, tags, image }]
+//        image: { url, type, length } or null
+
+const { escapeHtml } = require('./htmlRenderer')
+
+const escapeXml = escapeHtml
+
+// CDATA can't contain "]]>", so split it across sections
+const cdata = (value) => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+
+const toDate = (value) => (value ? new Date(value) : new Date())
+
+const buildRss = (meta, items) => {
+  const entries = items.map(item => {
+    const parts = [
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.url)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `<pubDate>${toDate(item.publishedAt).toUTCString()}</pubDate>`,
+      `<description>${cdata(item.summary)}</description>`
+    ]
+    if (item.contentHtml) parts.push(`<content:encoded>${cdata(item.contentHtml)}</content:encoded>`)
+    if (item.authorName) parts.push(`<dc:creator>${escapeXml(item.authorName)}</dc:creator>`)
+    if (item.updatedAt) parts.push(`<atom:updated>${toDate(item.updatedAt).toISOString()}</atom:updated>`)
+    ;(item.tags || []).forEach(tag => parts.push(`<category>${escapeXml(tag)}</category>`))
+    if (item.image) {
+      parts.push(`<enclosure url="${escapeXml(item.image.url)}" length="${item.image.length || 0}" type="${escapeXml(item.image.type)}"/>`)
+    }
+    return `    <item>\n      ${parts.join('\n      ')}\n    </item>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.siteUrl)}</link>`,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    `    <language>${escapeXml(meta.language)}</language>`,
+    `    <lastBuildDate>${toDate(meta.updated).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n')
+}
+
+const buildAtom = (meta, items) => {
+  const entries = items.map(item => {
+    const parts = [
+      `<id>${escapeXml(item.id)}</id>`,
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      `<published>${toDate(item.publishedAt).toISOString()}</published>`,
+      `<updated>${toDate(item.updatedAt || item.publishedAt).toISOString()}</updated>`,
+      `<summary type="html">${escapeXml(item.summary)}</summary>`
+    ]
+    if (item.contentHtml) parts.push(`<content type="html">${escapeXml(item.contentHtml)}</content>`)
+    if (item.authorName) parts.push(`<author><name>${escapeXml(item.authorName)}</name></author>`)
+    ;(item.tags || []).forEach(tag => parts.push(`<category term="${escapeXml(tag)}"/>`))
+    if (item.image) {
+      parts.push(`<link rel="enclosure" href="${escapeXml(item.image.url)}" type="${escapeXml(item.image.type)}" length="${item.image.length || 0}"/>`)
+    }
+    return `  <entry>\n    ${parts.join('\n    ')}\n  </entry>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(meta.language)}">`,
+    `  <id>${escapeXml(meta.feedUrl)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    meta.description ? `  <subtitle>${escapeXml(meta.description)}</subtitle>` : null,
+    `  <updated>${toDate(meta.updated).toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(meta.siteUrl)}"/>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n')
+}
+
+const buildJsonFeed = (meta, items) => {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    home_page_url: meta.siteUrl,
+    feed_url: meta.feedUrl,
+    language: meta.language,
+    items: items.map(item => {
+      const entry = {
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        date_published: toDate(item.publishedAt).toISOString(),
+        date_modified: toDate(item.updatedAt || item.publishedAt).toISOString()
+      }
+      if (item.contentHtml) {
+        entry.content_html = item.contentHtml
+      } else {
+        entry.content_text = item.summary || ''
+      }
+      if (item.authorName) entry.authors = [{ name: item.authorName }]
+      if (item.tags && item.tags.length) entry.tags = item.tags
+      if (item.image) {
+        entry.image = item.image.url
+        entry.attachments = [{ url: item.image.url, mime_type: item.image.type, size_in_bytes: item.image.length || undefined }]
+      }
+      return entry
+    })
+  }
+  if (meta.description) feed.description = meta.description
+
+  return JSON.stringify(feed, null, 2)
+}
+
+const FEED_FORMATS = {
+  xml: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  json: { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+}
+
+module.exports = {
+  FEED_FORMATS,
+  buildRss,
+  buildAtom,
+  buildJsonFeed
+}
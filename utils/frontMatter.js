@@ -0,0 +1,135 @@
+// YAML front matter for Markdown files. Only the subset article metadata needs is
+// supported: `key: value` scalars (plain, quoted, numbers, booleans, null), inline lists
+// ([a, b]), block lists (lines of "- item") and | / > block strings.
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/
+
+const stripComment = (value) => value.replace(/\s+#.*$/, '')
+
+// Quoted strings may be followed by a comment
+const DOUBLE_QUOTED = /^"((?:[^"\\]|\\.)*)"(?:\s+#.*)?$/
+const SINGLE_QUOTED = /^'((?:[^']|'')*)'(?:\s+#.*)?$/
+
+const parseScalar = (raw) => {
+  const value = raw.trim()
+  if (value.startsWith('"')) {
+    const quoted = value.match(DOUBLE_QUOTED)
+    try {
+      return JSON.parse(quoted ? `"${quoted[1]}"` : value)
+    } catch (error) {
+      return value.slice(1, value.endsWith('"') ? -1 : undefined)
+    }
+  }
+  if (value.startsWith("'")) {
+    const quoted = value.match(SINGLE_QUOTED)
+    return (quoted ? quoted[1] : value.slice(1, value.endsWith("'") ? -1 : undefined)).replace(/''/g, "'")
+  }
+
+  const plain = stripComment(value)
+  if (/^(true|yes)$/i.test(plain)) return true
+  if (/^(false|no)$/i.test(plain)) return false
+  if (/^(null|~)?$/i.test(plain)) return null
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain)
+  return plain
+}
+
+// Split an inline list on commas outside quotes
+const parseInlineList = (value) => {
+  const inner = value.trim().slice(1, -1)
+  const items = []
+  let current = ''
+  let quote = null
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null
+      current += char
+    } else if (char === '"' || char === "'") {
+      quote = char
+      current += char
+    } else if (char === ',') {
+      items.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current.trim()) items.push(current)
+  return items.map(parseScalar).filter(item => item !== null && item !== '')
+}
+
+const parseYaml = (source) => {
+  const data = {}
+  const lines = source.split(/\r?\n/)
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    if (!line.trim() || line.trim().startsWith('#')) continue
+
+    const match = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/)
+    if (!match) continue
+
+    const [, key, rest] = match
+    const value = rest.trim()
+
+    if (value === '|' || value === '>' || value === '|-' || value === '>-') {
+      const block = []
+      while (i + 1 < lines.length && (/^\s+/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+        block.push(lines[++i].trim())
+      }
+      data[key] = value.startsWith('|') ? block.join('\n').trim() : block.join(' ').replace(/\s+/g, ' ').trim()
+    } else if (value === '') {
+      const items = []
+      while (i + 1 < lines.length && /^\s*-\s+/.test(lines[i + 1])) {
+        items.push(parseScalar(lines[++i].replace(/^\s*-\s+/, '')))
+      }
+      data[key] = items.length > 0 ? items : null
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = parseInlineList(value)
+    } else {
+      data[key] = parseScalar(value)
+    }
+  }
+
+  return data
+}
+
+// Split a document into its front matter data and the Markdown body
+const parseFrontMatter = (text) => {
+  const source = String(text)
+  const match = source.match(FRONT_MATTER)
+  if (!match) {
+    return { data: {}, body: source.replace(/^\uFEFF/, '') }
+  }
+  return { data: parseYaml(match[1]), body: source.slice(match[0].length) }
+}
+
+const formatScalar = (value) => {
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+
+  const text = String(value)
+  // Anything YAML could read as another type or as syntax is double-quoted (valid JSON and YAML)
+  const plain = /^[\p{L}\p{N}][\p{L}\p{N} _.,()/-]*$/u.test(text) &&
+    !/^(true|false|yes|no|null|~)$/i.test(text) &&
+    !/^-?\d+(\.\d+)?$/.test(text) &&
+    !text.endsWith(' ')
+  return plain ? text : JSON.stringify(text)
+}
+
+// Build a front matter block; empty values are left out
+const stringifyFrontMatter = (data) => {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        return `${key}: [${value.map(formatScalar).join(', ')}]`
+      }
+      return `${key}: ${formatScalar(value)}`
+    })
+  return `---\n${lines.join('\n')}\n---\n`
+}
+
+module.exports = {
+  parseFrontMatter,
+  stringifyFrontMatter
+}
@@ -0,0 +1,298 @@
+// Render Editor.js editorData and legacy contentBlocks into sanitized HTML
+
+// Inline tags Editor.js inline tools produce, with the attributes each may keep
+const INLINE_WHITELIST = {
+  a: ['href', 'title'],
+  b: [],
+  strong: [],
+  i: [],
+  em: [],
+  u: [],
+  s: [],
+  mark: [],
+  code: [],
+  sub: [],
+  sup: [],
+  br: []
+}
+
+const VOID_TAGS = ['br']
+
+// Hosts whose embed URLs may be rendered as iframes
+const EMBED_HOSTS = [
+  'www.youtube.com',
+  'www.youtube-nocookie.com',
+  'player.vimeo.com',
+  'codepen.io',
+  'www.instagram.com',
+  'platform.twitter.com',
+  'open.spotify.com',
+  'gist.github.com'
+]
+
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// Decode the entities Editor.js writes so they aren't double-escaped on output
+const decodeEntities = (value) => {
+  return value
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => {
+      const point = parseInt(code, 10)
+      return point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : ''
+    })
+    .replace(/&amp;/g, '&')
+}
+
+const RELATIVE_URL_BASE = 'https://relative.invalid'
+
+// Allow only http(s), mailto and site-relative URLs
+const safeUrl = (url, { allowMailto = false } = {}) => {
+  if (typeof url !== 'string') return null
+  const trimmed = url.trim()
+  if (!trimmed) return null
+
+  // Browsers treat "//host", "/\host" (and the same with tabs or newlines in between) as
+  // links to another site, so a relative URL has to stay on the origin it's resolved against
+  if (trimmed.startsWith('/')) {
+    try {
+      return new URL(trimmed, RELATIVE_URL_BASE).origin === RELATIVE_URL_BASE ? trimmed : null
+    } catch (e) {
+      return null
+    }
+  }
+
+  try {
+    const parsed = new URL(trimmed)
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') return parsed.href
+    if (allowMailto && parsed.protocol === 'mailto:') return parsed.href
+  } catch (e) {
+    return null
+  }
+  return null
+}
+
+const parseAttributes = (source) => {
+  const attributes = {}
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+  let match
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4]
+    attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value)
+  }
+  return attributes
+}
+
+// Whitelist-sanitize inline HTML: text is escaped, allowed tags are rebuilt with
+// allowed attributes only, everything else is dropped and tags are kept balanced
+const sanitizeInline = (html) => {
+  if (html === undefined || html === null) return ''
+  // Drop script/style bodies entirely rather than leaving their code as text
+  const source = String(html).replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+  const tagPattern = /<\/?([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>|<!--[\s\S]*?-->/g
+  const open = []
+  let output = ''
+  let lastIndex = 0
+  let match
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    output += escapeHtml(decodeEntities(source.slice(lastIndex, match.index)))
+    lastIndex = tagPattern.lastIndex
+
+    const tag = match[1] && match[1].toLowerCase()
+    if (!tag || !INLINE_WHITELIST[tag]) continue
+
+    const isClosing = match[0].startsWith('</')
+    if (isClosing) {
+      const position = open.lastIndexOf(tag)
+      if (position === -1) continue
+      // Close anything left open inside this tag first
+      while (open.length > position) {
+        output += `</${open.pop()}>`
+      }
+      continue
+    }
+
+    if (VOID_TAGS.includes(tag)) {
+      output += `<${tag}>`
+      continue
+    }
+
+    const attributes = parseAttributes(match[2] || '')
+    let rendered = `<${tag}`
+    INLINE_WHITELIST[tag].forEach(name => {
+      if (attributes[name] === undefined) return
+      const value = name === 'href' ? safeUrl(attributes[name], { allowMailto: true }) : attributes[name]
+      if (value !== null) rendered += ` ${name}="${escapeHtml(value)}"`
+    })
+    if (tag === 'a') rendered += ' rel="nofollow noopener noreferrer"'
+    output += `${rendered}>`
+    open.push(tag)
+  }
+
+  output += escapeHtml(decodeEntities(source.slice(lastIndex)))
+  while (open.length) {
+    output += `</${open.pop()}>`
+  }
+  return output
+}
+
+// Lists may hold plain strings (list v1) or { content, items } objects (nested list / list v2)
+const renderListItems = (items, tag) => {
+  if (!Array.isArray(items) || items.length === 0) return ''
+  return items.map(item => {
+    if (item && typeof item === 'object') {
+      const nested = Array.isArray(item.items) && item.items.length > 0
+        ? `<${tag}>${renderListItems(item.items, tag)}</${tag}>`
+        : ''
+      return `<li>${sanitizeInline(item.content)}${nested}</li>`
+    }
+    return `<li>${sanitizeInline(item)}</li>`
+  }).join('')
+}
+
+const renderFigure = (inner, caption, classes = []) => {
+  const classAttr = classes.length ? ` class="${classes.join(' ')}"` : ''
+  const figcaption = caption ? `<figcaption>${sanitizeInline(caption)}</figcaption>` : ''
+  return `<figure${classAttr}>${inner}${figcaption}</figure>`
+}
+
+const BLOCK_RENDERERS = {
+  paragraph: (data) => `<p>${sanitizeInline(data.text)}</p>`,
+
+  header: (data) => {
+    const level = Math.min(Math.max(parseInt(data.level) || 2, 1), 6)
+    return `<h${level}>${sanitizeInline(data.text)}</h${level}>`
+  },
+
+  list: (data) => {
+    const tag = data.style === 'ordered' ? 'ol' : 'ul'
+    return `<${tag}>${renderListItems(data.items, tag)}</${tag}>`
+  },
+
+  quote: (data) => {
+    const cite = data.caption ? `<cite>${sanitizeInline(data.caption)}</cite>` : ''
+    return `<blockquote><p>${sanitizeInline(data.text)}</p>${cite}</blockquote>`
+  },
+
+  code: (data) => `<pre><code>${escapeHtml(data.code)}</code></pre>`,
+
+  image: (data) => {
+    const src = safeUrl((data.file && data.file.url) || data.url)
+    if (!src) return ''
+    const classes = ['image']
+    if (data.withBorder) classes.push('image--bordered')
+    if (data.stretched) classes.push('image--stretched')
+    if (data.withBackground) classes.push('image--background')
+    const alt = escapeHtml(decodeEntities(String(data.caption || '').replace(/<[^>]*>/g, '')))
+    return renderFigure(`<img src="${escapeHtml(src)}" alt="${alt}" loading="lazy">`, data.caption, classes)
+  },
+
+  embed: (data) => {
+    const embedUrl = safeUrl(data.embed)
+    const sourceUrl = safeUrl(data.source)
+    let host = null
+    try {
+      host = embedUrl ? new URL(embedUrl).hostname : null
+    } catch (e) {
+      host = null
+    }
+
+    // Unknown embed hosts degrade to a plain link instead of an iframe
+    if (!embedUrl || !embedUrl.startsWith('https:') || !EMBED_HOSTS.includes(host)) {
+      if (!sourceUrl) return ''
+      return `<p><a href="${escapeHtml(sourceUrl)}" rel="nofollow noopener noreferrer">${escapeHtml(sourceUrl)}</a></p>`
+    }
+
+    const width = parseInt(data.width) || 580
+    const height = parseInt(data.height) || 320
+    const service = escapeHtml(String(data.service || '').replace(/[^a-z0-9-]/gi, ''))
+    const iframe = `<iframe src="${escapeHtml(embedUrl)}" width="${width}" height="${height}" frameborder="0" allowfullscreen loading="lazy" sandbox="allow-scripts allow-same-origin allow-popups allow-presentation"></iframe>`
+    return renderFigure(iframe, data.caption, service ? ['embed', `embed--${service}`] : ['embed'])
+  },
+
+  table: (data) => {
+    const rows = Array.isArray(data.content) ? data.content.filter(Array.isArray) : []
+    if (rows.length === 0) return ''
+    const renderRow = (row, cellTag) => `<tr>${row.map(cell => `<${cellTag}>${sanitizeInline(cell)}</${cellTag}>`).join('')}</tr>`
+    if (data.withHeadings) {
+      const [head, ...body] = rows
+      return `<table><thead>${renderRow(head, 'th')}</thead><tbody>${body.map(row => renderRow(row, 'td')).join('')}</tbody></table>`
+    }
+    return `<table><tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody></table>`
+  },
+
+  delimiter: () => '<hr>',
+
+  linkTool: (data) => {
+    const href = safeUrl(data.link)
+    if (!href) return ''
+    const title = data.meta && data.meta.title ? data.meta.title : href
+    return `<p><a href="${escapeHtml(href)}" rel="nofollow noopener noreferrer">${escapeHtml(title)}</a></p>`
+  }
+}
+
+// Render Editor.js blocks; unknown block types are skipped
+const renderEditorBlocks = (blocks) => {
+  if (!Array.isArray(blocks)) return ''
+  return blocks
+    .filter(block => block && BLOCK_RENDERERS[block.type])
+    .map(block => BLOCK_RENDERERS[block.type](block.data || {}))
+    .filter(Boolean)
+    .join('\n')
+}
+
+// Render the legacy contentBlocks format
+const renderContentBlocks = (blocks) => {
+  if (!Array.isArray(blocks)) return ''
+  return [...blocks]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(block => {
+      switch (block.type) {
+        case 'text':
+          return `<p>${sanitizeInline(block.content)}</p>`
+        case 'image': {
+          const src = safeUrl(block.content)
+          return src ? renderFigure(`<img src="${escapeHtml(src)}" alt="${escapeHtml(block.alt)}" loading="lazy">`, null, ['image']) : ''
+        }
+        case 'video': {
+          const src = safeUrl(block.content)
+          return src ? renderFigure(`<video src="${escapeHtml(src)}" controls preload="metadata"></video>`, null, ['video']) : ''
+        }
+        case 'code':
+          return `<pre><code>${escapeHtml(block.content)}</code></pre>`
+        default:
+          return ''
+      }
+    })
+    .filter(Boolean)
+    .join('\n')
+}
+
+// Render an article, preferring editorData and falling back to contentBlocks
+const renderArticleHtml = (article) => {
+  const editorBlocks = article && article.editorData && article.editorData.blocks
+  if (Array.isArray(editorBlocks) && editorBlocks.length > 0) {
+    return renderEditorBlocks(editorBlocks)
+  }
+  return renderContentBlocks(article && article.contentBlocks)
+}
+
+module.exports = {
+  escapeHtml,
+  decodeEntities,
+  sanitizeInline,
+  renderEditorBlocks,
+  renderContentBlocks,
+  renderArticleHtml
+}
@@ -0,0 +1,345 @@
+// Convert post HTML from other blog engines (WordPress, Ghost) into Editor.js blocks.
+// The HTML is parsed into a loose tree, block elements become blocks and everything
+// inline is reduced to the inline tags Editor.js keeps.
+
+const { escapeHtml, decodeEntities } = require('./htmlRenderer')
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']
+
+// Elements whose content is never text
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'form', 'button', 'select', 'textarea']
+
+// Opening one of these closes an open <p>
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]
+
+// Inline tags kept in block text, mapped to the tag Editor.js uses
+const INLINE_TAGS = {
+  a: 'a', b: 'b', strong: 'b', i: 'i', em: 'i', u: 'u', s: 's', del: 's', strike: 's',
+  mark: 'mark', code: 'code', sub: 'sub', sup: 'sup'
+}
+
+const parseAttributes = (source) => {
+  const attributes = {}
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+  let match
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4]
+    attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value)
+  }
+  return attributes
+}
+
+// Parse HTML into { tag, attributes, children } nodes; text nodes are { text } with entities
+// left encoded. Unclosed and stray tags are tolerated the way browsers mostly do.
+const parseHtml = (html) => {
+  const root = { tag: '#root', attributes: {}, children: [] }
+  const stack = [root]
+  const current = () => stack[stack.length - 1]
+  // Close the nearest open tag, but not past an element in boundaries (an <li> only
+  // closes the item of its own list)
+  const closeTag = (tag, boundaries = []) => {
+    for (let index = stack.length - 1; index > 0; index--) {
+      if (stack[index].tag === tag) {
+        stack.length = index
+        return
+      }
+      if (boundaries.includes(stack[index].tag)) return
+    }
+  }
+
+  const source = String(html || '').replace(/<!--[\s\S]*?-->/g, '')
+  const pattern = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g
+  let lastIndex = 0
+  let match
+
+  const addText = (text) => {
+    if (text) current().children.push({ text })
+  }
+
+  while ((match = pattern.exec(source)) !== null) {
+    addText(source.slice(lastIndex, match.index))
+    lastIndex = pattern.lastIndex
+
+    const [, closing, name, rest] = match
+    const tag = name.toLowerCase()
+
+    if (closing) {
+      closeTag(tag)
+      continue
+    }
+
+    if (SKIPPED_TAGS.includes(tag)) {
+      const end = source.toLowerCase().indexOf(`</${tag}`, lastIndex)
+      lastIndex = end === -1 ? source.length : source.indexOf('>', end) + 1
+      pattern.lastIndex = lastIndex
+      continue
+    }
+
+    if (BLOCK_TAGS.includes(tag)) closeTag('p')
+    if (tag === 'li') closeTag('li', ['ul', 'ol'])
+    if (tag === 'tr') closeTag('tr', ['table'])
+    if (tag === 'td' || tag === 'th') {
+      closeTag('td', ['tr', 'table'])
+      closeTag('th', ['tr', 'table'])
+    }
+
+    const node = { tag, attributes: parseAttributes(rest), children: [] }
+    current().children.push(node)
+    if (!VOID_TAGS.includes(tag) && !rest.trim().endsWith('/')) {
+      stack.push(node)
+    }
+  }
+  addText(source.slice(lastIndex))
+
+  return root
+}
+
+// Plain text of a node with entities decoded
+const textOf = (node) => {
+  if (node.text !== undefined) return decodeEntities(node.text)
+  if (node.tag === 'br') return '\n'
+  return node.children.map(textOf).join('')
+}
+
+const findAll = (node, predicate, found = []) => {
+  if (!node.children) return found
+  node.children.forEach(child => {
+    if (predicate(child)) found.push(child)
+    findAll(child, predicate, found)
+  })
+  return found
+}
+
+const find = (node, predicate) => findAll(node, predicate)[0]
+
+// Inline HTML of a node's children. Whitespace is collapsed the way a browser would show it.
+const inlineOf = (node) => {
+  const render = (child) => {
+    if (child.text !== undefined) {
+      // Re-encode so stray < and & can't become markup
+      return escapeHtml(decodeEntities(child.text)).replace(/&#39;/g, "'").replace(/&quot;/g, '"')
+    }
+    if (child.tag === 'br') return '<br>'
+    if (child.tag === 'img') return ''
+
+    const inner = child.children.map(render).join('')
+    const tag = INLINE_TAGS[child.tag]
+    if (!tag) return inner
+    if (tag === 'a') {
+      const href = child.attributes.href
+      return href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner
+    }
+    return inner.trim() ? `<${tag}>${inner}</${tag}>` : inner
+  }
+
+  return node.children.map(render).join('')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*<br>\s*/g, '<br>')
+    .replace(/^(?:<br>)+|(?:<br>)+$/g, '')
+    .trim()
+}
+
+const imageBlock = (img, caption = '') => ({
+  type: 'image',
+  data: {
+    file: { url: img.attributes.src },
+    caption: caption || escapeHtml(img.attributes.alt || ''),
+    withBorder: false,
+    stretched: false,
+    withBackground: false
+  }
+})
+
+const embedBlock = (src, caption = '') => {
+  let service = ''
+  try {
+    service = new URL(src).hostname.replace(/^www\./, '').split('.')[0]
+  } catch (error) {
+    service = ''
+  }
+  return { type: 'embed', data: { service, source: src, embed: src, width: 580, height: 320, caption } }
+}
+
+const listItems = (list) => {
+  return list.children
+    .filter(child => child.tag === 'li')
+    .map(li => {
+      const nested = li.children.find(child => child.tag === 'ul' || child.tag === 'ol')
+      const content = inlineOf({ children: li.children.filter(child => child !== nested && child.tag !== 'ul' && child.tag !== 'ol') })
+      return { content, items: nested ? listItems(nested) : [] }
+    })
+}
+
+// List items as plain strings unless the list has nested levels
+const listBlock = (list) => {
+  const items = listItems(list)
+  const nested = items.some(item => item.items.length > 0)
+  return {
+    type: 'list',
+    data: {
+      style: list.tag === 'ol' ? 'ordered' : 'unordered',
+      items: nested ? items : items.map(item => item.content)
+    }
+  }
+}
+
+const tableBlock = (table) => {
+  const rows = findAll(table, node => node.tag === 'tr')
+  const content = rows.map(row => row.children
+    .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+    .map(cell => inlineOf(cell)))
+    .filter(row => row.length > 0)
+  if (content.length === 0) return null
+
+  const width = Math.max(...content.map(row => row.length))
+  content.forEach(row => {
+    while (row.length < width) row.push('')
+  })
+  const withHeadings = Boolean(find(table, node => node.tag === 'thead')) ||
+    rows[0].children.some(cell => cell.tag === 'th')
+  return { type: 'table', data: { withHeadings, content } }
+}
+
+const quoteBlock = (quote) => {
+  const citeNode = find(quote, node => node.tag === 'cite' || node.tag === 'footer')
+  const paragraphs = quote.children.filter(child => child !== citeNode && child.tag !== 'footer')
+  const parts = paragraphs.some(child => child.tag === 'p')
+    ? paragraphs.filter(child => child.tag === 'p').map(inlineOf)
+    : [inlineOf({ children: paragraphs.filter(child => child.tag !== 'cite') })]
+  return {
+    type: 'quote',
+    data: {
+      text: parts.filter(Boolean).join('<br><br>'),
+      caption: citeNode ? inlineOf(citeNode).replace(/^(?:—|–|-)\s*/, '') : '',
+      alignment: 'left'
+    }
+  }
+}
+
+// Convert a list of sibling nodes to blocks. Inline content between block elements is
+// gathered into paragraphs; blank lines in text split paragraphs (WordPress classic
+// editor content has no <p> tags).
+const convertNodes = (nodes) => {
+  const blocks = []
+  let pending = []
+
+  const flush = () => {
+    if (pending.length === 0) return
+    const raw = pending
+    pending = []
+
+    // Split on blank lines inside text nodes
+    let group = []
+    const groups = [group]
+    raw.forEach(node => {
+      if (node.text !== undefined && /\n\s*\n/.test(node.text)) {
+        node.text.split(/\n\s*\n/).forEach((part, index) => {
+          if (index > 0) {
+            group = []
+            groups.push(group)
+          }
+          group.push({ text: part })
+        })
+      } else {
+        group.push(node)
+      }
+    })
+
+    groups.forEach(children => {
+      // Images inside inline content become their own blocks, in order
+      let segment = []
+      const emit = () => {
+        const text = inlineOf({ children: segment })
+        if (text) blocks.push({ type: 'paragraph', data: { text } })
+        segment = []
+      }
+      children.forEach(child => {
+        const img = child.tag === 'img' ? child : (child.children && find(child, node => node.tag === 'img'))
+        if (img && img.attributes.src && !textOf(child).trim()) {
+          emit()
+          blocks.push(imageBlock(img))
+        } else {
+          segment.push(child)
+        }
+      })
+      emit()
+    })
+  }
+
+  nodes.forEach(node => {
+    if (node.text !== undefined || INLINE_TAGS[node.tag] || ['span', 'img', 'br', 'small', 'abbr', 'font'].includes(node.tag)) {
+      pending.push(node)
+      return
+    }
+
+    flush()
+    switch (node.tag) {
+      case 'p':
+        pending = [...node.children]
+        flush()
+        break
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = inlineOf(node)
+        if (text) blocks.push({ type: 'header', data: { text, level: parseInt(node.tag[1]) } })
+        break
+      }
+      case 'ul':
+      case 'ol':
+        blocks.push(listBlock(node))
+        break
+      case 'blockquote':
+        blocks.push(quoteBlock(node))
+        break
+      case 'pre':
+        blocks.push({ type: 'code', data: { code: textOf(node).replace(/^\n|\n$/g, '') } })
+        break
+      case 'hr':
+        blocks.push({ type: 'delimiter', data: {} })
+        break
+      case 'table': {
+        const table = tableBlock(node)
+        if (table) blocks.push(table)
+        break
+      }
+      case 'iframe':
+        if (node.attributes.src) blocks.push(embedBlock(node.attributes.src))
+        break
+      case 'figure': {
+        const figcaption = find(node, child => child.tag === 'figcaption')
+        const caption = figcaption ? inlineOf(figcaption) : ''
+        const img = find(node, child => child.tag === 'img')
+        const iframe = find(node, child => child.tag === 'iframe')
+        if (img && img.attributes.src && !find(node, child => child.tag === 'table' || child.tag === 'blockquote')) {
+          blocks.push(imageBlock(img, caption))
+        } else if (iframe && iframe.attributes.src) {
+          blocks.push(embedBlock(iframe.attributes.src, caption))
+        } else {
+          blocks.push(...convertNodes(node.children.filter(child => child !== figcaption)))
+        }
+        break
+      }
+      default:
+        // Containers (div, section, ...) and unknown elements: convert what's inside
+        blocks.push(...convertNodes(node.children || []))
+    }
+  })
+  flush()
+
+  return blocks
+}
+
+// Convert an HTML fragment to Editor.js blocks
+const htmlToBlocks = (html) => convertNodes(parseHtml(html).children)
+
+module.exports = {
+  parseHtml,
+  htmlToBlocks
+}
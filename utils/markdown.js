@@ -0,0 +1,435 @@
+// Convert between Markdown and Editor.js blocks. Markdown inline formatting maps onto the
+// inline HTML Editor.js stores (<b>, <i>, <s>, <code>, <a>); other inline HTML passes through.
+
+const { escapeHtml, decodeEntities } = require('./htmlRenderer')
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/
+const IMAGE = /^\s*!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)\s*$/
+const QUOTE = /^\s{0,3}>\s?(.*)$/
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/
+
+// Convert inline Markdown to the inline HTML Editor.js stores
+const inlineToHtml = (text) => {
+  const held = []
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`
+
+  let output = String(text)
+    // Backslash escapes and code spans are taken out before anything else is matched
+    .replace(/\\([\\`*_{}[\]()#+\-.!~>|<])/g, (match, char) => hold(escapeHtml(char)))
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`))
+
+  // Keep inline HTML tags and entities; escape stray & and <
+  output = output
+    .replace(/&(?!#?\w+;)/g, '&amp;')
+    .replace(/<(?!\/?[a-zA-Z][a-zA-Z0-9]*\b[^<>]*>)/g, '&lt;')
+
+  output = output
+    // Inline images have no inline equivalent in Editor.js, so they become links
+    .replace(/!?\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+      const titleAttr = title ? ` title="${title.replace(/"/g, '&quot;')}"` : ''
+      // Only the tags are held so the label still gets emphasis
+      return `${hold(`<a href="${url.replace(/"/g, '&quot;')}"${titleAttr}>`)}${label || url}${hold('</a>')}`
+    })
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<b>$2</b>')
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<i>$1</i>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+    // Two trailing spaces or a backslash end a line with a hard break
+    .replace(/(?: {2,}|\\)\n/g, '<br>')
+    .replace(/\s*\n\s*/g, ' ')
+
+  // Held fragments can contain other held fragments (a code span inside a link label)
+  while (/\u0000\d+\u0000/.test(output)) {
+    output = output.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index])
+  }
+  return output.trim()
+}
+
+const isTableStart = (lines, i) => lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DIVIDER.test(lines[i + 1])
+
+// Any line that starts a block other than a paragraph
+const startsBlock = (lines, i) => {
+  const line = lines[i]
+  return !line.trim() || FENCE.test(line) || HEADING.test(line) || RULE.test(line) || IMAGE.test(line) ||
+    QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i)
+}
+
+const splitTableRow = (line) => {
+  const cells = []
+  let current = ''
+  const source = line.trim().replace(/^\|/, '').replace(/\|$/, '')
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\' && source[i + 1] === '|') {
+      current += '|'
+      i++
+    } else if (source[i] === '|') {
+      cells.push(current)
+      current = ''
+    } else {
+      current += source[i]
+    }
+  }
+  cells.push(current)
+  return cells.map(cell => inlineToHtml(cell.trim()))
+}
+
+// Nest list items by indentation; returns plain strings when the list is flat
+const buildListItems = (entries) => {
+  const root = { indent: -1, items: [] }
+  const stack = [root]
+  entries.forEach(entry => {
+    while (stack.length > 1 && entry.indent <= stack[stack.length - 1].indent) {
+      stack.pop()
+    }
+    const item = { indent: entry.indent, content: inlineToHtml(entry.content), items: [] }
+    stack[stack.length - 1].items.push(item)
+    stack.push(item)
+  })
+
+  const nested = root.items.some(item => item.items.length > 0)
+  const toItems = (items) => items.map(item => nested ? { content: item.content, items: toItems(item.items) } : item.content)
+  return toItems(root.items)
+}
+
+const parseList = (lines, start) => {
+  const first = lines[start].match(LIST_ITEM)
+  const style = /\d/.test(first[2]) ? 'ordered' : 'unordered'
+  const entries = []
+  let i = start
+
+  while (i < lines.length) {
+    const line = lines[i]
+    const item = line.match(LIST_ITEM)
+    // A top-level item with the other kind of marker starts a new list
+    if (item && entries.length > 0 && item[1].length <= first[1].length && /\d/.test(item[2]) !== (style === 'ordered')) {
+      break
+    }
+    if (item) {
+      entries.push({ indent: item[1].replace(/\t/g, '    ').length, content: item[3] })
+      i++
+    } else if (line.trim() && /^\s/.test(line) && entries.length > 0) {
+      // Indented continuation of the previous item
+      entries[entries.length - 1].content += `\n${line.trim()}`
+      i++
+    } else if (!line.trim() && i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+      // Blank lines between items keep the list going
+      i++
+    } else {
+      break
+    }
+  }
+
+  return { block: { type: 'list', data: { style, items: buildListItems(entries) } }, next: i }
+}
+
+// Parse a Markdown body (without front matter) into Editor.js blocks
+const markdownToBlocks = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+    if (!line.trim()) {
+      i++
+      continue
+    }
+
+    const fence = line.match(FENCE)
+    if (fence) {
+      const code = []
+      i++
+      while (i < lines.length && !(lines[i].trim().startsWith(fence[1][0].repeat(fence[1].length)) && !lines[i].trim().replace(/[`~]/g, ''))) {
+        code.push(lines[i])
+        i++
+      }
+      i++
+      blocks.push({ type: 'code', data: { code: code.join('\n') } })
+      continue
+    }
+
+    const heading = line.match(HEADING)
+    if (heading) {
+      blocks.push({ type: 'header', data: { text: inlineToHtml(heading[2]), level: heading[1].length } })
+      i++
+      continue
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'delimiter', data: {} })
+      i++
+      continue
+    }
+
+    const image = line.match(IMAGE)
+    if (image) {
+      const caption = inlineToHtml(image[3] || image[1])
+      blocks.push({
+        type: 'image',
+        data: { file: { url: image[2] }, caption, withBorder: false, stretched: false, withBackground: false }
+      })
+      i++
+      continue
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = []
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1])
+        i++
+      }
+      // A last line starting with a dash is the attribution
+      let caption = ''
+      const last = quoted.length > 1 ? quoted[quoted.length - 1].match(/^\s*(?:—|--)\s*(.+)$/) : null
+      if (last) {
+        caption = inlineToHtml(last[1])
+        quoted.pop()
+      }
+      const text = quoted.join('\n').trim().split(/\n\s*\n/).map(inlineToHtml).join('<br><br>')
+      blocks.push({ type: 'quote', data: { text, caption, alignment: 'left' } })
+      continue
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i)
+      blocks.push(block)
+      i = next
+      continue
+    }
+
+    if (isTableStart(lines, i)) {
+      const content = [splitTableRow(line)]
+      i += 2
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        content.push(splitTableRow(lines[i]))
+        i++
+      }
+      // Editor.js tables need rows of equal length
+      const width = Math.max(...content.map(row => row.length))
+      content.forEach(row => {
+        while (row.length < width) row.push('')
+      })
+      blocks.push({ type: 'table', data: { withHeadings: true, content } })
+      continue
+    }
+
+    const paragraph = [line]
+    i++
+    while (i < lines.length && !startsBlock(lines, i)) {
+      paragraph.push(lines[i])
+      i++
+    }
+    blocks.push({ type: 'paragraph', data: { text: inlineToHtml(paragraph.join('\n')) } })
+  }
+
+  return blocks
+}
+
+// Characters that would otherwise read as Markdown syntax inside text
+const escapeMarkdownText = (text) => text.replace(/([\\`*_[\]~])/g, '\\$1')
+
+// Convert Editor.js inline HTML to Markdown. lineBreak is what <br> becomes, which differs
+// for contexts where a newline would end the block (list items, table cells).
+const htmlToInline = (html, { lineBreak = '\\\n' } = {}) => {
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g
+  const source = String(html || '')
+  const links = []
+  let output = ''
+  let lastIndex = 0
+  let match
+
+  const text = (value) => escapeMarkdownText(decodeEntities(value))
+    // Decoded < and & go back to entities so they can't start tags or entities
+    .replace(/&(?=#?\w+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    output += text(source.slice(lastIndex, match.index))
+    lastIndex = tagPattern.lastIndex
+
+    const [raw, closing, name, attributes] = match
+    const tag = name.toLowerCase()
+
+    if (tag === 'code' && !closing) {
+      const end = source.toLowerCase().indexOf('</code>', lastIndex)
+      const code = decodeEntities(source.slice(lastIndex, end === -1 ? undefined : end).replace(/<[^>]*>/g, ''))
+      const ticks = code.includes('`') ? '``' : '`'
+      output += ticks === '``' ? `\`\` ${code} \`\`` : `\`${code}\``
+      lastIndex = end === -1 ? source.length : end + '</code>'.length
+      tagPattern.lastIndex = lastIndex
+      continue
+    }
+
+    switch (tag) {
+      case 'b':
+      case 'strong':
+        output += '**'
+        break
+      case 'i':
+      case 'em':
+        output += '*'
+        break
+      case 's':
+      case 'del':
+      case 'strike':
+        output += '~~'
+        break
+      case 'br':
+        output += lineBreak
+        break
+      case 'a':
+        if (closing) {
+          const href = links.pop()
+          // encodeURIComponent leaves parentheses alone, and they would end the link
+          output += href ? `](${href.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})` : ''
+        } else {
+          const href = (attributes.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)')/i) || [])
+          const url = href[1] !== undefined ? href[1] : href[2]
+          links.push(url ? decodeEntities(url) : null)
+          if (url) output += '['
+        }
+        break
+      default:
+        // Other inline HTML (<u>, <mark>, <sub>, ...) has no Markdown syntax and is kept as is
+        output += raw
+    }
+  }
+
+  output += text(source.slice(lastIndex))
+  return output.trim()
+}
+
+// Stop the first characters of a paragraph from reading as another block
+const escapeBlockStart = (text) => {
+  return text
+    .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2')
+}
+
+const stripTags = (html) => decodeEntities(String(html || '').replace(/<[^>]*>/g, '')).trim()
+
+const fenceFor = (code) => {
+  const longest = Math.max(2, ...(String(code).match(/`+/g) || []).map(run => run.length))
+  return '`'.repeat(longest + 1)
+}
+
+const listToMarkdown = (items, ordered, depth = 0) => {
+  const indent = '   '.repeat(depth)
+  return (items || []).map((item, index) => {
+    const content = item && typeof item === 'object' ? item.content : item
+    const marker = ordered ? `${index + 1}.` : '-'
+    const line = `${indent}${marker} ${htmlToInline(content, { lineBreak: '<br>' })}`
+    const children = item && typeof item === 'object' && Array.isArray(item.items) && item.items.length > 0
+      ? `\n${listToMarkdown(item.items, ordered, depth + 1)}`
+      : ''
+    return line + children
+  }).join('\n')
+}
+
+const tableRowToMarkdown = (row) => `| ${row.map(cell => htmlToInline(cell, { lineBreak: '<br>' }).replace(/\|/g, '\\|')).join(' | ')} |`
+
+const BLOCK_CONVERTERS = {
+  paragraph: (data) => escapeBlockStart(htmlToInline(data.text)),
+
+  header: (data) => {
+    const level = Math.min(Math.max(parseInt(data.level) || 2, 1), 6)
+    return `${'#'.repeat(level)} ${htmlToInline(data.text, { lineBreak: ' ' })}`
+  },
+
+  list: (data) => listToMarkdown(data.items, data.style === 'ordered'),
+
+  quote: (data) => {
+    const text = htmlToInline(data.text).split('\n').map(line => `> ${line}`.trimEnd())
+    if (data.caption) {
+      text.push('>', `> — ${htmlToInline(data.caption, { lineBreak: ' ' })}`)
+    }
+    return text.join('\n')
+  },
+
+  code: (data) => {
+    const fence = fenceFor(data.code || '')
+    return `${fence}\n${data.code || ''}\n${fence}`
+  },
+
+  image: (data) => {
+    const url = (data.file && data.file.url) || data.url
+    if (!url) return ''
+    return `![${escapeMarkdownText(stripTags(data.caption))}](${url})`
+  },
+
+  embed: (data) => data.source ? `<${data.source}>` : '',
+
+  table: (data) => {
+    const rows = Array.isArray(data.content) ? data.content.filter(Array.isArray) : []
+    if (rows.length === 0) return ''
+    // Markdown tables always have a heading row; a table without one gets an empty heading
+    const head = data.withHeadings ? rows[0] : rows[0].map(() => '')
+    const body = data.withHeadings ? rows.slice(1) : rows
+    return [
+      tableRowToMarkdown(head),
+      `| ${head.map(() => '---').join(' | ')} |`,
+      ...body.map(tableRowToMarkdown)
+    ].join('\n')
+  },
+
+  delimiter: () => '---',
+
+  linkTool: (data) => {
+    if (!data.link) return ''
+    const title = data.meta && data.meta.title
+    return title ? `[${escapeMarkdownText(title)}](${data.link})` : `<${data.link}>`
+  }
+}
+
+// Convert Editor.js blocks to Markdown; unknown block types are skipped
+const blocksToMarkdown = (blocks) => {
+  if (!Array.isArray(blocks)) return ''
+  return blocks
+    .filter(block => block && BLOCK_CONVERTERS[block.type])
+    .map(block => BLOCK_CONVERTERS[block.type](block.data || {}))
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+// Convert the legacy contentBlocks format to Markdown
+const contentBlocksToMarkdown = (blocks) => {
+  if (!Array.isArray(blocks)) return ''
+  return [...blocks]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(block => {
+      switch (block.type) {
+        case 'text':
+          return BLOCK_CONVERTERS.paragraph({ text: block.content })
+        case 'image':
+          return block.content ? `![${escapeMarkdownText(block.alt || '')}](${block.content})` : ''
+        case 'video':
+          return block.content ? `<${block.content}>` : ''
+        case 'code':
+          return BLOCK_CONVERTERS.code({ code: block.content })
+        default:
+          return ''
+      }
+    })
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+// Markdown body for an article, preferring editorData and falling back to contentBlocks
+const articleToMarkdown = (article) => {
+  const editorBlocks = article && article.editorData && article.editorData.blocks
+  if (Array.isArray(editorBlocks) && editorBlocks.length > 0) {
+    return blocksToMarkdown(editorBlocks)
+  }
+  return contentBlocksToMarkdown(article && article.contentBlocks)
+}
+
+module.exports = {
+  markdownToBlocks,
+  blocksToMarkdown,
+  contentBlocksToMarkdown,
+  articleToMarkdown
+}
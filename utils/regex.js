@@ -0,0 +1,6 @@
+// Escape user input for use inside a RegExp / $regex so it only matches literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+module.exports = {
+  escapeRegex
+}
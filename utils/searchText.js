@@ -0,0 +1,119 @@
+const { escapeHtml, decodeEntities } = require('./htmlRenderer')
+const { escapeRegex } = require('./regex')
+
+// Long articles are indexed up to this many characters
+const MAX_SEARCH_TEXT = 100000
+
+// Plain text of inline HTML
+const stripTags = (html) => decodeEntities(String(html || '').replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, ''))
+
+const listItemsText = (items) => {
+  if (!Array.isArray(items)) return []
+  return items.flatMap(item => item && typeof item === 'object'
+    ? [item.content, ...listItemsText(item.items)]
+    : [item])
+}
+
+const BLOCK_TEXT = {
+  paragraph: (data) => [data.text],
+  header: (data) => [data.text],
+  list: (data) => listItemsText(data.items),
+  checklist: (data) => (Array.isArray(data.items) ? data.items : []).map(item => item && item.text),
+  quote: (data) => [data.text, data.caption],
+  warning: (data) => [data.title, data.message],
+  code: (data) => [data.code],
+  image: (data) => [data.caption],
+  embed: (data) => [data.caption],
+  table: (data) => (Array.isArray(data.content) ? data.content.filter(Array.isArray) : []).flat(),
+  linkTool: (data) => [data.meta && data.meta.title, data.meta && data.meta.description]
+}
+
+// Plain text of an article's body for the search index, from editorData or, like
+// renderArticleHtml, from the legacy contentBlocks when there is no editorData
+const articleSearchText = (article) => {
+  const editorBlocks = article && article.editorData && article.editorData.blocks
+  let parts
+  if (Array.isArray(editorBlocks) && editorBlocks.length > 0) {
+    parts = editorBlocks
+      .filter(block => block && BLOCK_TEXT[block.type])
+      .flatMap(block => BLOCK_TEXT[block.type](block.data || {}))
+  } else {
+    parts = (Array.isArray(article && article.contentBlocks) ? article.contentBlocks : [])
+      .flatMap(block => block.type === 'text' || block.type === 'code' ? [block.content] : [block.alt])
+  }
+
+  return parts
+    .filter(part => typeof part === 'string' && part)
+    .map(stripTags)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SEARCH_TEXT)
+}
+
+// Words and "quoted phrases" of a $text search string, leaving out -excluded ones
+const searchTerms = (search) => {
+  const terms = []
+  const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g
+  let match
+  while ((match = pattern.exec(String(search || ''))) !== null) {
+    const excluded = match[1] || match[3]
+    const term = (match[2] !== undefined ? match[2] : match[4]).replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    if (!excluded && term) terms.push(term.toLowerCase())
+  }
+  return [...new Set(terms)]
+}
+
+// Matches terms at the start of a word, so "publish" also finds "published" the way
+// the stemmed index does
+const termPattern = (terms) => {
+  if (terms.length === 0) return null
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex)
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu')
+}
+
+// Escape text for HTML and wrap the matched terms in <mark>
+const highlight = (text, terms) => {
+  const pattern = termPattern(terms)
+  if (!pattern) return escapeHtml(text)
+  let output = ''
+  let last = 0
+  for (const match of String(text).matchAll(pattern)) {
+    output += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`
+    last = match.index + match[0].length
+  }
+  return output + escapeHtml(text.slice(last))
+}
+
+// A highlighted excerpt of about length characters around the first matched term
+const buildSnippet = (text, terms, length = 200) => {
+  const source = String(text || '')
+  const pattern = termPattern(terms)
+  const match = pattern ? pattern.exec(source) : null
+  const center = match ? match.index : 0
+
+  let start = Math.max(0, center - Math.floor(length / 3))
+  let end = Math.min(source.length, start + length)
+  start = Math.max(0, Math.min(start, end - length))
+  // Don't cut words in half
+  if (start > 0) {
+    const space = source.indexOf(' ', start)
+    if (space !== -1 && space < center) start = space + 1
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end)
+    if (space > start && space > (match ? match.index + match[0].length : start)) end = space
+  }
+
+  const prefix = start > 0 ? '…' : ''
+  const suffix = end < source.length ? '…' : ''
+  return `${prefix}${highlight(source.slice(start, end), terms)}${suffix}`
+}
+
+module.exports = {
+  MAX_SEARCH_TEXT,
+  articleSearchText,
+  searchTerms,
+  highlight,
+  buildSnippet
+}
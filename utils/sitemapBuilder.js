@@ -0,0 +1,49 @@
+// Serialize sitemap XML (https://www.sitemaps.org/protocol.html)
+
+const { escapeHtml } = require('./htmlRenderer')
+
+// Protocol limit for URLs in one sitemap file and sitemaps in one index
+const MAX_URLS_PER_SITEMAP = 50000
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : null)
+
+// entries: [{ loc, lastmod, changefreq, priority }]
+const buildUrlset = (entries) => {
+  const urls = entries.map(entry => {
+    const parts = [`<loc>${escapeHtml(entry.loc)}</loc>`]
+    if (entry.lastmod) parts.push(`<lastmod>${formatDate(entry.lastmod)}</lastmod>`)
+    if (entry.changefreq) parts.push(`<changefreq>${entry.changefreq}</changefreq>`)
+    if (entry.priority !== undefined) parts.push(`<priority>${entry.priority.toFixed(1)}</priority>`)
+    return `  <url>${parts.join('')}</url>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+// sitemaps: [{ loc, lastmod }]
+const buildSitemapIndex = (sitemaps) => {
+  const items = sitemaps.map(sitemap => {
+    const lastmod = sitemap.lastmod ? `<lastmod>${formatDate(sitemap.lastmod)}</lastmod>` : ''
+    return `  <sitemap><loc>${escapeHtml(sitemap.loc)}</loc>${lastmod}</sitemap>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...items,
+    '</sitemapindex>',
+    ''
+  ].join('\n')
+}
+
+module.exports = {
+  MAX_URLS_PER_SITEMAP,
+  buildUrlset,
+  buildSitemapIndex
+}
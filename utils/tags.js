@@ -0,0 +1,9 @@
+const MAX_TAG_LENGTH = 50
+
+// Tags are stored lowercase with single spaces, so " Web  Dev" and "web dev" are one tag
+const normalizeTag = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ')
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag
+}
@@ -0,0 +1,169 @@
+const fs = require('fs')
+const zlib = require('zlib')
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
+
+const BLOCK_SIZE = 512
+
+// Archives unpacking to more than this are refused, so a small gzip bomb can't fill memory
+const MAX_TAR_SIZE = parseInt(process.env.MAX_BACKUP_UNPACKED_SIZE) || 1024 * 1024 * 1024
+
+const writeString = (buffer, value, offset, length) => {
+  buffer.write(value.slice(0, length), offset, length, 'utf8')
+}
+
+const writeOctal = (buffer, value, offset, length) => {
+  writeString(buffer, value.toString(8).padStart(length - 1, '0') + '\0', offset, length)
+}
+
+// ustar header for a regular file
+const buildHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE)
+  let prefix = ''
+  let shortName = name
+
+  // Names over 100 bytes are split into prefix/name at a slash
+  if (Buffer.byteLength(name) > 100) {
+    const split = name.lastIndexOf('/', name.length - 1)
+    if (split <= 0 || split > 155 || Buffer.byteLength(name.slice(split + 1)) > 100) {
+      throw new Error(`File name too long for tar: ${name}`)
+    }
+    prefix = name.slice(0, split)
+    shortName = name.slice(split + 1)
+  }
+
+  writeString(header, shortName, 0, 100)
+  writeOctal(header, 0o644, 100, 8)
+  writeOctal(header, 0, 108, 8)
+  writeOctal(header, 0, 116, 8)
+  writeOctal(header, size, 124, 12)
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12)
+  // Checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156)
+  header[156] = '0'.charCodeAt(0)
+  writeString(header, 'ustar\0', 257, 6)
+  writeString(header, '00', 263, 2)
+  writeString(header, prefix, 345, 155)
+
+  let checksum = 0
+  for (const byte of header) checksum += byte
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8)
+
+  return header
+}
+
+const toBuffer = (data) => Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8')
+
+// Zero bytes filling the last block of an entry
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE)
+
+// Two empty blocks mark the end of the archive
+const endOfArchive = () => Buffer.alloc(BLOCK_SIZE * 2)
+
+// Build a gzipped tar archive from [{ name, data }] where data is a Buffer or string
+const createTarGz = (entries, { mtime = new Date() } = {}) => {
+  const chunks = []
+
+  for (const entry of entries) {
+    const data = toBuffer(entry.data)
+    chunks.push(buildHeader(entry.name, data.length, entry.mtime || mtime), data, padding(data.length))
+  }
+  chunks.push(endOfArchive())
+
+  return zlib.gzipSync(Buffer.concat(chunks))
+}
+
+// Header, data and padding of each entry, then the end of the archive
+const tarChunks = async function* (entries, mtime) {
+  for (const entry of entries) {
+    if (entry.path) {
+      const { size } = await fs.promises.stat(entry.path)
+      yield buildHeader(entry.name, size, entry.mtime || mtime)
+      // Read only the size written to the header, in case the file grows meanwhile
+      let written = 0
+      if (size > 0) {
+        for await (const chunk of fs.createReadStream(entry.path, { end: size - 1 })) {
+          written += chunk.length
+          yield chunk
+        }
+      }
+      if (written !== size) {
+        throw new Error(`${entry.path} changed while it was being archived`)
+      }
+      yield padding(size)
+    } else {
+      const data = toBuffer(entry.data)
+      yield buildHeader(entry.name, data.length, entry.mtime || mtime)
+      yield data
+      yield padding(data.length)
+    }
+  }
+  yield endOfArchive()
+}
+
+// Stream a gzipped tar archive into a writable stream. Entries are { name, data } like
+// createTarGz or { name, path }, which is read from disk only when it's reached.
+// Resolves when the archive has been written.
+const writeTarGz = (entries, output, { mtime = new Date() } = {}) => {
+  return pipeline(Readable.from(tarChunks(entries, mtime)), zlib.createGzip(), output)
+}
+
+const readString = (buffer, offset, length) => {
+  const value = buffer.subarray(offset, offset + length)
+  const end = value.indexOf(0)
+  return value.subarray(0, end === -1 ? value.length : end).toString('utf8')
+}
+
+// Read a gzipped tar archive into [{ name, data }]. Only regular files are returned;
+// directories and links are skipped. Long names from GNU tar (L) and pax (x) headers
+// are applied to the entry that follows them. Throws a RangeError with code
+// 'ERR_BUFFER_TOO_LARGE' when the archive unpacks to more than maxSize bytes.
+const readTarGz = (archive, { maxSize = MAX_TAR_SIZE } = {}) => {
+  const tar = zlib.gunzipSync(archive, { maxOutputLength: maxSize })
+  const entries = []
+  let offset = 0
+  let longName = null
+
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE)
+    // An empty block marks the end of the archive
+    if (header.every(byte => byte === 0)) break
+
+    let checksum = 0
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      checksum += i >= 148 && i < 156 ? 32 : header[i]
+    }
+    if (checksum !== parseInt(readString(header, 148, 8).trim(), 8)) {
+      throw new Error('Invalid tar archive: header checksum mismatch')
+    }
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8)
+    const type = String.fromCharCode(header[156] || 48)
+    const prefix = readString(header, 345, 155)
+    const name = prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100)
+
+    offset += BLOCK_SIZE
+    const data = tar.subarray(offset, offset + size)
+    if (type === 'L') {
+      longName = readString(data, 0, data.length)
+    } else if (type === 'x') {
+      const path = data.toString('utf8').match(/^\d+ path=(.*)$/m)
+      if (path) longName = path[1]
+    } else {
+      if (type === '0') {
+        entries.push({ name: longName || name, data: Buffer.from(data) })
+      }
+      longName = null
+    }
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+  }
+
+  return entries
+}
+
+module.exports = {
+  MAX_TAR_SIZE,
+  createTarGz,
+  writeTarGz,
+  readTarGz
+}
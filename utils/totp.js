@@ -0,0 +1,103 @@
+const crypto = require('crypto')
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the defaults every authenticator app supports
+const DIGITS = 6
+const STEP_SECONDS = 30
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase()
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+// 160-bit secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS)
+
+// HOTP value for a time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+// Check a code against the current step and `window` steps either side to allow for clock drift.
+// Returns the matching step (so callers can reject replays) or null.
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s+/g, '')
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null
+
+  const step = currentStep(now)
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, step + offset)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + offset
+    }
+  }
+
+  return null
+}
+
+// otpauth:// provisioning URI, usually rendered as a QR code by the client
+const buildProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+}
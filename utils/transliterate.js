@@ -0,0 +1,131 @@
+// Romanize text for URL slugs. Covers Latin letters without a plain decomposition,
+// Greek, Cyrillic, Devanagari and Tamil; accents are removed afterwards by the caller.
+// Characters from other scripts are passed through unchanged.
+
+const LETTERS = {
+  // Latin
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i', 'ŋ': 'ng',
+  // Greek
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i', 'κ': 'k',
+  'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't',
+  'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o',
+  'ά': 'a', 'έ': 'e', 'ή': 'i', 'ί': 'i', 'ό': 'o', 'ύ': 'y', 'ώ': 'o', 'ϊ': 'i', 'ϋ': 'y', 'ΐ': 'i', 'ΰ': 'y',
+  // Cyrillic (Russian, Ukrainian, Belarusian)
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z', 'и': 'i',
+  'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+  'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+  'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g', 'ў': 'u'
+}
+
+// Brahmic scripts write a consonant with an inherent "a" that a vowel sign replaces
+// and a virama removes
+const DEVANAGARI = {
+  vowels: {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai',
+    'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+  },
+  consonants: {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh',
+    'ञ': 'n', 'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd',
+    'ध': 'dh', 'न': 'n', 'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r',
+    'ल': 'l', 'ळ': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+  },
+  // Consonants followed by a nukta (NFC always keeps the nukta as a separate mark)
+  nukta: '़',
+  nuktaConsonants: { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' },
+  vowelSigns: {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o',
+    'ौ': 'au', 'ॉ': 'o'
+  },
+  signs: { 'ं': 'n', 'ँ': 'n', 'ः': 'h', 'ॐ': 'om' },
+  virama: '्',
+  digitZero: 0x0966,
+  // Hindi drops the inherent vowel at the end of a word ("भारत" is "bharat")
+  dropFinalVowel: true
+}
+
+const TAMIL = {
+  vowels: {
+    'அ': 'a', 'ஆ': 'a', 'இ': 'i', 'ஈ': 'i', 'உ': 'u', 'ஊ': 'u', 'எ': 'e', 'ஏ': 'e', 'ஐ': 'ai',
+    'ஒ': 'o', 'ஓ': 'o', 'ஔ': 'au'
+  },
+  consonants: {
+    'க': 'k', 'ங': 'ng', 'ச': 's', 'ஞ': 'nj', 'ட': 't', 'ண': 'n', 'த': 'th', 'ந': 'n', 'ப': 'p',
+    'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v', 'ழ': 'zh', 'ள': 'l', 'ற': 'r', 'ன': 'n',
+    'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+  },
+  vowelSigns: {
+    'ா': 'a', 'ி': 'i', 'ீ': 'i', 'ு': 'u', 'ூ': 'u', 'ெ': 'e', 'ே': 'e', 'ை': 'ai', 'ொ': 'o',
+    'ோ': 'o', 'ௌ': 'au'
+  },
+  signs: { 'ஃ': 'h', 'ௐ': 'om' },
+  virama: '்',
+  digitZero: 0x0BE6,
+  dropFinalVowel: false
+}
+
+const scriptOf = (char) => {
+  const code = char.codePointAt(0)
+  if (code >= 0x0900 && code <= 0x097F) return DEVANAGARI
+  if (code >= 0x0B80 && code <= 0x0BFF) return TAMIL
+  return null
+}
+
+const transliterate = (text) => {
+  // NFC keeps precomposed letters (й, ё) intact so the tables can match them
+  const chars = [...String(text).normalize('NFC').toLowerCase()]
+  let output = ''
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i]
+    const script = scriptOf(char)
+
+    if (!script) {
+      output += LETTERS[char] !== undefined ? LETTERS[char] : char
+      continue
+    }
+
+    const code = char.codePointAt(0)
+    if (code >= script.digitZero && code <= script.digitZero + 9) {
+      output += String(code - script.digitZero)
+    } else if (script.consonants[char] !== undefined) {
+      let next = i + 1
+      if (script.nukta && chars[next] === script.nukta) {
+        output += script.nuktaConsonants[char] || script.consonants[char]
+        next++
+      } else {
+        output += script.consonants[char]
+      }
+
+      if (chars[next] === script.virama) {
+        i = next
+      } else if (script.vowelSigns[chars[next]] !== undefined) {
+        output += script.vowelSigns[chars[next]]
+        i = next
+      } else {
+        const wordEnds = !chars[next] || scriptOf(chars[next]) !== script ||
+          (script.signs[chars[next]] === undefined && script.consonants[chars[next]] === undefined &&
+            script.vowels[chars[next]] === undefined)
+        if (!(script.dropFinalVowel && wordEnds)) {
+          output += 'a'
+        }
+        i = next - 1
+      }
+    } else if (script.vowels[char] !== undefined) {
+      output += script.vowels[char]
+    } else if (script.vowelSigns[char] !== undefined) {
+      output += script.vowelSigns[char]
+    } else if (script.signs[char] !== undefined) {
+      output += script.signs[char]
+    } else if (char !== script.virama && char !== script.nukta) {
+      // Punctuation such as the danda separates words
+      output += ' '
+    }
+  }
+
+  return output
+}
+
+module.exports = {
+  transliterate
+}
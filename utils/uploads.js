@@ -0,0 +1,30 @@
+const path = require('path')
+
+const uploadDir = () => process.env.UPLOAD_PATH || './uploads'
+
+// File names of local uploads (/uploads/<name>) referenced anywhere in a value,
+// e.g. an article's featuredImage, editorData or contentBlocks
+const findUploadReferences = (...values) => {
+  const names = new Set()
+  const pattern = /\/uploads\/([A-Za-z0-9._-]+)/g
+
+  for (const value of values) {
+    if (!value) continue
+    const text = typeof value === 'string' ? value : JSON.stringify(value)
+    let match
+    while ((match = pattern.exec(text)) !== null) {
+      names.add(match[1])
+    }
+  }
+
+  return [...names]
+}
+
+// Absolute path of an upload; basename() keeps references from escaping the upload directory
+const uploadPath = (name) => path.resolve(uploadDir(), path.basename(name))
+
+module.exports = {
+  uploadDir,
+  findUploadReferences,
+  uploadPath
+}